@@ -1,9 +1,11 @@
 const http = require('http');
+// Same settings as the server, so a PORT set in the environment or .env is probed
+const { config } = require('./lib/config');
 
 const options = {
   hostname: 'localhost',
-  port: 3000,
-  path: '/health',
+  port: config.port,
+  path: '/health/ready',
   timeout: 2000
 };
 
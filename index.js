@@ -1,171 +1,646 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
+const cors = require('cors');
 const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { createBlobStore } = require('./lib/blobs');
+const { HttpError } = require('./lib/errors');
+const { parseListQuery } = require('./lib/pagination');
+const { parseSearchQuery, withHighlights } = require('./lib/search');
+const { normalizeTag, normalizeTags, parseTagFilter } = require('./lib/tags');
+const { withTags, listNotes, searchNotes, getNote, createNote, updateNote, trashNote } = require('./lib/notes');
+const { noteEtag, parseIfMatch } = require('./lib/etag');
+const { normalizeFormat, wantsHtml, renderContent, withHtml } = require('./lib/render');
+const { purgeDate, purgeNote, startTrashPurge } = require('./lib/trash');
+const { noteChanges } = require('./lib/sync');
+const { parseBatch, runBatch } = require('./lib/batch');
+const { createEventBus, publishNote } = require('./lib/events');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { httpMetrics, observePool, metricsHandler } = require('./lib/metrics');
+const { logger, requestLogger } = require('./lib/logger');
+const { config } = require('./lib/config');
+const { createMemoryStore, createStorageStore, createRateLimiter } = require('./lib/ratelimit');
+const { requireAuth } = require('./lib/auth');
+const { document: openApiDocument } = require('./lib/openapi');
+const { validate } = require('./lib/validation');
+const swaggerUi = require('swagger-ui-dist');
+const createAuthRouter = require('./lib/routes/auth');
+const createRevisionsRouter = require('./lib/routes/revisions');
+const createTransferRouter = require('./lib/routes/transfer');
+const createEventsRouter = require('./lib/routes/events');
+const createWebhooksRouter = require('./lib/routes/webhooks');
+const createSharesRouter = require('./lib/routes/shares');
+const createSharedRouter = require('./lib/routes/shared');
+const createAttachmentsRouter = require('./lib/routes/attachments');
+const createLinksRouter = require('./lib/routes/links');
 const app = express();
 
+// Behind a load balancer, so req.ip (which rate limits are keyed by) is the client's address
+app.set('trust proxy', config.trustProxy);
+
+// Request ids, log context and access logs, then timing for every request, including the
+// ones handled by the routers mounted below
+app.use(requestLogger);
+app.use(httpMetrics);
+
+// Note changes, pushed to the owner's open event streams and webhooks
+const events = createEventBus();
+const webhooks = createWebhookDispatcher(getStorage);
+events.listen(event => webhooks.handle(event));
+
+// Attachment files live in a blob store (ATTACHMENT_STORE), their metadata in storage
+const blobs = createBlobStore();
+
+// Browsers may call the API from the allow-listed origins (CORS_ORIGIN). Preflight requests
+// are answered here, before authentication and rate limits.
+app.use('/api', cors({
+  origin: config.http.corsOrigins.includes('*') ? '*' : config.http.corsOrigins,
+  exposedHeaders: [
+    'ETag', 'Link', 'X-Next-Cursor', 'X-Request-Id', 'Retry-After',
+    'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'
+  ],
+  maxAge: 600
+}));
+
+// Shared note pages (/s) are limited too, so share passwords can't be guessed at speed
+if (config.rateLimit.enabled) {
+  app.use(['/api', '/s'], createRateLimiter({
+    store: config.rateLimit.store === 'database' ? createStorageStore(getStorage) : createMemoryStore(),
+    windowMs: config.rateLimit.windowSeconds * 1000,
+    readMax: config.rateLimit.readMax,
+    writeMax: config.rateLimit.writeMax
+  }));
+}
+
+// Bulk import/export parses its own (raw, larger) request bodies, so it goes before express.json()
+app.use('/api', createTransferRouter({ getStorage, events }));
+
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+const bodyLimit = `${config.http.bodyLimitKb}kb`;
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
 app.use(express.static('public'));
 
 // Database configuration
 const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || 'password',
-  database: process.env.DB_NAME || 'notes_app'
+  host: config.db.host,
+  port: config.db.port,
+  user: config.db.user,
+  password: config.db.password,
+  database: config.db.database,
+  connectionLimit: config.db.poolSize,
+  // Apply pending schema migrations on startup, or refuse to start while any are pending
+  migrations: config.db.migrateOnStart ? 'auto' : 'check',
+  retry: {
+    retries: config.db.connectRetries,
+    minDelay: config.db.retryDelayMs
+  }
 };
 
-let db;
-
-// Initialize database connection
-async function initDB() {
-  try {
-    db = await mysql.createConnection(dbConfig);
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS notes (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        content TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
-    console.warn('Database connected and table created'); // Use warn for infrastructure logs
-    return db;
-  } catch (error) {
-    console.error('Database connection failed:', error);
+let storage;
+let connecting;
+
+observePool(() => storage && storage.stats());
+
+// Initialize the storage backend (STORAGE_DRIVER, or options.driver)
+async function initDB(options = {}) {
+  try {
+    storage = await createStorage(options.driver, {
+      ...dbConfig,
+      migrations: options.migrations || dbConfig.migrations
+    });
+    logger.info('Database connected', { driver: storage.driver });
+    return storage;
+  } catch (error) {
+    logger.error('Database connection failed', { error });
     throw error;
   }
 }
 
 // Close database connection
 async function closeDB() {
-  if (db) {
-    await db.end();
-    db = null;
+  if (storage) {
+    await storage.close();
+    storage = null;
   }
 }
 
-// Get database instance
+// Get the storage instance
 function getDB() {
-  return db;
+  return storage;
 }
 
 // Add helper to ensure DB is initialized when a route needs it
 async function ensureDB() {
-  if (!db) {
-    await initDB();
+  if (!storage) {
+    // Concurrent requests share one connection attempt
+    connecting = connecting || initDB().finally(() => {
+      connecting = null;
+    });
+    await connecting;
   }
 }
 
+// Connected storage, for routers mounted from lib/routes
+async function getStorage() {
+  await ensureDB();
+  return storage;
+}
+
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// GET all notes
-app.get('/api/notes', async (req, res) => {
+app.use('/api/auth', createAuthRouter({ getStorage }));
+app.use('/api', createEventsRouter({ events }));
+
+// The OpenAPI document every request is validated against, and a page to browse it
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.get('/api/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'docs.html'));
+});
+app.use('/api/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+// Notes, tags, links, the trash and webhooks belong to the signed-in user
+app.use(['/api/notes', '/api/tags', '/api/links', '/api/trash', '/api/render', '/api/webhooks'], requireAuth);
+
+// Link header pointing at the next page, keeping the caller's other query parameters
+function nextPageLink(req, cursor) {
+  const params = new URLSearchParams();
+  Object.entries(req.query)
+    .filter(([key]) => key !== 'cursor')
+    .forEach(([key, value]) => [].concat(value).forEach(item => params.append(key, item)));
+  params.append('cursor', cursor);
+  return `<${req.baseUrl}${req.path}?${params}>; rel="next"`;
+}
+
+// GET notes, one page at a time, pinned ones first (?limit, ?cursor, ?sort, ?order, ?created_after,
+// ?updated_since, ?tag=a&tag=b with ?match=all|any, ?archived=false|true|all, ?render=html)
+app.get('/api/notes', validate('listNotes'), async (req, res) => {
   try {
+    const options = { ...parseListQuery(req.query), ...parseTagFilter(req.query) };
+    const render = wantsHtml(req.query);
     await ensureDB();
-    const [rows] = await db.execute('SELECT * FROM notes ORDER BY created_at DESC');
-    res.json(rows);
+    const { items, next } = await listNotes(storage, req.user.id, options);
+    if (next) {
+      res.set('X-Next-Cursor', next);
+      res.set('Link', nextPageLink(req, next));
+    }
+    res.json(render ? items.map(withHtml) : items);
   } catch (error) {
-    console.error('Error fetching notes:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error fetching notes', { error });
     res.status(500).json({ error: 'Failed to fetch notes' });
   }
 });
 
-// POST new note
-app.post('/api/notes', async (req, res) => {
-  const { title, content } = req.body;
-  
-  if (!title || !content) {
-    return res.status(400).json({ error: 'Title and content are required' });
+// Search notes by relevance (?q with words, "phrases" and prefix*; ?limit)
+app.get('/api/notes/search', validate('searchNotes'), async (req, res) => {
+  try {
+    const query = parseSearchQuery(req.query.q);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    await ensureDB();
+    const results = await searchNotes(storage, req.user.id, query, { limit });
+    res.json(results.map(note => withHighlights(note, query)));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error searching notes', { error });
+    res.status(500).json({ error: 'Failed to search notes' });
   }
+});
 
+// GET what changed since ?since (the synced_at of the previous sync) for offline clients:
+// { reset, synced_at, notes, deleted }. Without ?since, or when it's too old, every note is
+// listed with reset: true. ?render=html adds each note's rendered HTML.
+app.get('/api/notes/changes', validate('listNoteChanges'), async (req, res) => {
   try {
+    const render = wantsHtml(req.query);
     await ensureDB();
-    const [result] = await db.execute(
-      'INSERT INTO notes (title, content) VALUES (?, ?)',
-      [title, content]
-    );
+    const changes = await noteChanges(storage, req.user.id, req.query.since);
+    res.json(render ? { ...changes, notes: changes.notes.map(withHtml) } : changes);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error fetching note changes', { error });
+    res.status(500).json({ error: 'Failed to fetch note changes' });
+  }
+});
+
+// GET a single note, with an ETag for conditional requests (If-None-Match answers 304).
+// ?render=html adds the content rendered to sanitized HTML.
+app.get('/api/notes/:id', validate('getNote'), async (req, res) => {
+  try {
+    const render = wantsHtml(req.query);
+    await ensureDB();
+    const note = await getNote(storage, req.user.id, req.params.id);
+
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    res.set('ETag', noteEtag(note));
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.json(render ? withHtml(note) : note);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error fetching note', { error });
+    res.status(500).json({ error: 'Failed to fetch note' });
+  }
+});
+
+// POST new note
+app.post('/api/notes', validate('createNote'), async (req, res) => {
+  const { title, content, pinned, archived } = req.body;
+
+  try {
+    const tags = normalizeTags(req.body.tags);
+    const format = normalizeFormat(req.body.format);
+    await ensureDB();
+    const note = await createNote(storage, req.user.id, { title, content, format, pinned, archived, tags });
+    await publishNote(events, storage, req.user.id, 'note.created', note.id);
+    res.set('ETag', noteEtag(note));
     res.status(201).json({ 
-      id: result.insertId, 
-      title, 
-      content, 
+      ...note, 
       message: 'Note created successfully' 
     });
   } catch (error) {
-    console.error('Error creating note:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error creating note', { error });
     res.status(500).json({ error: 'Failed to create note' });
   }
 });
 
-// PUT update note
-app.put('/api/notes/:id', async (req, res) => {
-  const { id } = req.params;
-  const { title, content } = req.body;
+const BATCH_EVENTS = { create: 'created', update: 'updated', delete: 'deleted' };
 
-  if (!title || !content) {
-    return res.status(400).json({ error: 'Title and content are required' });
+// POST many creates, updates and deletes in one transaction ({ operations, atomic })
+app.post('/api/notes/batch', validate('batchNotes'), async (req, res) => {
+  try {
+    const batch = parseBatch(req.body);
+    await ensureDB();
+    const outcome = await runBatch(storage, req.user.id, batch);
+    if (outcome.committed) {
+      for (const result of outcome.results.filter(result => result.ok)) {
+        await publishNote(events, storage, req.user.id, `note.${BATCH_EVENTS[result.op]}`, result.id);
+        for (const id of (result.note && result.note.relinked) || []) {
+          await publishNote(events, storage, req.user.id, 'note.updated', id);
+        }
+      }
+    }
+    // A failed atomic batch answers with the status of the operation that failed
+    const failed = outcome.results.find(result => !result.ok && result.status !== 424);
+    res.status(outcome.committed ? 200 : failed.status).json(outcome);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error running batch', { error });
+    res.status(500).json({ error: 'Failed to run batch' });
+  }
+});
+
+// An updated note, and the notes whose [[links]] followed it to a new title
+async function publishUpdated(ownerId, note) {
+  for (const id of [note.id, ...note.relinked]) {
+    await publishNote(events, storage, ownerId, 'note.updated', id);
   }
+}
+
+// PUT update note. With If-Match, answers 412 if someone else has saved it in the meantime.
+app.put('/api/notes/:id', validate('replaceNote'), async (req, res) => {
+  const { id } = req.params;
+  const { title, content, pinned, archived } = req.body;
 
   try {
+    const tags = normalizeTags(req.body.tags);
+    const format = normalizeFormat(req.body.format);
     await ensureDB();
-    const [result] = await db.execute(
-      'UPDATE notes SET title = ?, content = ? WHERE id = ?',
-      [title, content, id]
-    );
+    const updated = await updateNote(storage, req.user.id, id, { title, content, format, pinned, archived, tags }, {
+      ifMatch: parseIfMatch(req.get('If-Match'), id)
+    });
     
-    if (result.affectedRows === 0) {
+    if (!updated) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
-    res.json({ message: 'Note updated successfully' });
+    await publishUpdated(req.user.id, updated);
+    res.set('ETag', noteEtag(updated));
+    res.json({ ...updated, message: 'Note updated successfully' });
   } catch (error) {
-    console.error('Error updating note:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error updating note', { error });
     res.status(500).json({ error: 'Failed to update note' });
   }
 });
 
-// DELETE note
-app.delete('/api/notes/:id', async (req, res) => {
+// PATCH update some of a note's fields (title, content, format, tags, pinned, archived); honours
+// If-Match like PUT
+app.patch('/api/notes/:id', validate('updateNote'), async (req, res) => {
+  const { id } = req.params;
+  const { title, content, pinned, archived } = req.body;
+  const changes = { title, content, pinned, archived };
+
+  try {
+    changes.tags = normalizeTags(req.body.tags);
+    changes.format = normalizeFormat(req.body.format);
+    if (Object.values(changes).every(value => value === undefined)) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    await ensureDB();
+    const updated = await updateNote(storage, req.user.id, id, changes, {
+      ifMatch: parseIfMatch(req.get('If-Match'), id)
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    await publishUpdated(req.user.id, updated);
+    res.set('ETag', noteEtag(updated));
+    res.json({ ...updated, message: 'Note updated successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error updating note', { error });
+    res.status(500).json({ error: 'Failed to update note' });
+  }
+});
+
+// DELETE note: moves it to the trash, from where it can be restored until it is purged.
+// Honours If-Match like PUT.
+app.delete('/api/notes/:id', validate('deleteNote'), async (req, res) => {
   const { id } = req.params;
 
   try {
     await ensureDB();
-    const [result] = await db.execute('DELETE FROM notes WHERE id = ?', [id]);
+    const removed = await trashNote(storage, req.user.id, id, {
+      ifMatch: parseIfMatch(req.get('If-Match'), id)
+    });
     
-    if (result.affectedRows === 0) {
+    if (!removed) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
-    res.json({ message: 'Note deleted successfully' });
+    await publishNote(events, storage, req.user.id, 'note.deleted', id);
+    res.json({ message: 'Note moved to trash' });
   } catch (error) {
-    console.error('Error deleting note:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error deleting note', { error });
     res.status(500).json({ error: 'Failed to delete note' });
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// POST take a note back out of the trash
+app.post('/api/notes/:id/restore', validate('restoreNote'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await ensureDB();
+    const restored = await storage.notes.restore(req.user.id, id);
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    await publishNote(events, storage, req.user.id, 'note.restored', id);
+    res.json({ message: 'Note restored successfully' });
+  } catch (error) {
+    logger.error('Error restoring note', { error });
+    res.status(500).json({ error: 'Failed to restore note' });
+  }
+});
+
+// GET trashed notes, most recently deleted first, with the date each will be purged
+app.get('/api/trash', async (req, res) => {
+  try {
+    await ensureDB();
+    const notes = await withTags(storage, await storage.notes.listTrash(req.user.id));
+    res.json(notes.map(note => ({ ...note, purge_at: purgeDate(note.deleted_at) })));
+  } catch (error) {
+    logger.error('Error fetching trash', { error });
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// DELETE a trashed note permanently
+app.delete('/api/trash/:id', validate('purgeNote'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await ensureDB();
+    const purged = await purgeNote(storage, blobs, req.user.id, id);
+
+    if (!purged) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    res.json({ message: 'Note permanently deleted' });
+  } catch (error) {
+    logger.error('Error purging note', { error });
+    res.status(500).json({ error: 'Failed to permanently delete note' });
+  }
+});
+
+// POST render content to sanitized HTML without saving it (editor preview)
+app.post('/api/render', validate('renderPreview'), (req, res) => {
+  const { content = '' } = req.body;
+
+  try {
+    const format = normalizeFormat(req.body.format) || 'markdown';
+    res.json({ html: renderContent(content, format) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error rendering content', { error });
+    res.status(500).json({ error: 'Failed to render content' });
+  }
+});
+
+// GET all tags with usage counts
+app.get('/api/tags', async (req, res) => {
+  try {
+    await ensureDB();
+    res.json(await storage.tags.list(req.user.id));
+  } catch (error) {
+    logger.error('Error fetching tags', { error });
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// PATCH rename a tag; renaming onto an existing tag merges the two
+app.patch('/api/tags/:name', validate('renameTag'), async (req, res) => {
+  try {
+    const from = normalizeTag(req.params.name);
+    const to = normalizeTag(req.body.name);
+    await ensureDB();
+    const renamed = await storage.transaction(tx => tx.tags.rename(req.user.id, from, to));
+
+    if (!renamed) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ ...renamed, message: renamed.merged ? 'Tags merged successfully' : 'Tag renamed successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error renaming tag', { error });
+    res.status(500).json({ error: 'Failed to rename tag' });
+  }
+});
+
+// POST merge several tags into one ({ sources: [...], target })
+app.post('/api/tags/merge', validate('mergeTags'), async (req, res) => {
+  try {
+    const sources = normalizeTags(req.body.sources);
+    const target = normalizeTag(req.body.target);
+    if (!sources || sources.length === 0) {
+      return res.status(400).json({ error: 'sources must list at least one tag' });
+    }
+
+    await ensureDB();
+    const merged = await storage.transaction(async (tx) => {
+      const results = [];
+      for (const source of sources.filter(name => name !== target)) {
+        results.push(await tx.tags.rename(req.user.id, source, target));
+      }
+      return results.filter(Boolean).length;
+    });
+
+    res.json({ name: target, merged, message: 'Tags merged successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error merging tags', { error });
+    res.status(500).json({ error: 'Failed to merge tags' });
+  }
+});
+
+// DELETE a tag from every note
+app.delete('/api/tags/:name', validate('deleteTag'), async (req, res) => {
+  try {
+    const name = normalizeTag(req.params.name);
+    await ensureDB();
+    const removed = await storage.tags.remove(req.user.id, name);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error deleting tag', { error });
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+app.use('/api/notes/:id/revisions', createRevisionsRouter({ getStorage, events }));
+app.use('/api/notes/:id/shares', createSharesRouter({ getStorage }));
+app.use('/api/notes/:id/attachments', createAttachmentsRouter({ getStorage, blobs }));
+app.use('/api', createLinksRouter({ getStorage }));
+app.use('/api/webhooks', createWebhooksRouter({ getStorage }));
+
+// Shared notes need no account, only the link
+app.use(createSharedRouter({ getStorage }));
+
+// Liveness: the process is up and serving requests
+function liveness(req, res) {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
+}
+
+// Health check endpoint
+app.get('/health', liveness);
+app.get('/health/live', liveness);
+
+// Readiness: the database answers and can take traffic
+app.get('/health/ready', async (req, res) => {
+  try {
+    await ensureDB();
+    await storage.ping();
+    res.status(200).json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      database: { status: 'up', driver: storage.driver, pool: storage.stats() }
+    });
+  } catch (error) {
+    logger.error('Readiness check failed', { error });
+    res.status(503).json({
+      status: 'UNAVAILABLE',
+      timestamp: new Date().toISOString(),
+      database: { status: 'down', error: error.message }
+    });
+  }
 });
 
-const PORT = process.env.PORT || 3000;
+// Prometheus metrics; with METRICS_PORT they are served on that port instead, away from the API
+if (!config.metricsPort) {
+  app.get('/metrics', metricsHandler);
+}
+
+// Unknown API routes, and errors no route handled (such as a malformed JSON body), answer in JSON
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  logger.error('Unhandled error', { error });
+  res.status(500).json({ error: 'Internal server error' });
+});
 
 async function startServer() {
   await initDB();
-  return app.listen(PORT, () => {
-    console.warn(`Server running on port ${PORT}`); // Use warn for server startup logs
+  const stopTrashPurge = startTrashPurge(getStorage, { blobs });
+  const stopWebhookRetries = webhooks.start();
+  const server = app.listen(config.port, () => {
+    logger.info('Server running', { port: config.port, env: config.env });
   });
+  server.on('close', stopTrashPurge);
+  server.on('close', stopWebhookRetries);
+  if (config.metricsPort) {
+    const metricsServer = express().get('/metrics', metricsHandler).listen(config.metricsPort, () => {
+      logger.info('Metrics available', { port: config.metricsPort });
+    });
+    server.on('close', () => metricsServer.close());
+  }
+  return server;
 }
 
 // Only start server if this file is run directly
 if (require.main === module) {
   startServer().catch(error => {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   });
 }
@@ -0,0 +1,208 @@
+// File attachments: multipart uploads are streamed to the blob store (lib/blobs) under size and
+// type limits, checksummed on the way through, and sent back with Range support
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const busboy = require('busboy');
+const contentDisposition = require('content-disposition');
+const { HttpError, BadRequestError } = require('./errors');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+const MAX_MB = config.attachments.maxMb;
+const ALLOWED_TYPES = config.attachments.types;
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_FILENAME_LENGTH = 255;
+// Opened in the browser; everything else (HTML, SVG, PDF, ...) downloads
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'text/plain'];
+
+// Exact types, or a family like image/*
+function isAllowedType(type, allowed = ALLOWED_TYPES) {
+  return allowed.some(pattern => pattern === type || (pattern.endsWith('/*') && type.startsWith(pattern.slice(0, -1))));
+}
+
+// The name without the directories some browsers send, control characters or excess length
+function cleanFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'));
+  const printable = [...base].filter(char => char.charCodeAt(0) > 31 && char !== '\u007f');
+  return printable.slice(0, MAX_FILENAME_LENGTH).join('').trim() || 'attachment';
+}
+
+// Stream every file in a multipart/form-data request to the blob store. Resolves to each file's
+// { storageKey, filename, contentType, size, checksum } once all of them are stored; when any is
+// refused (413 too large, 415 type not allowed) the ones already stored are removed again.
+function receiveFiles(req, blobs, { maxMb = MAX_MB, allowedTypes = ALLOWED_TYPES, maxFiles = MAX_FILES_PER_UPLOAD } = {}) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      // Browsers send file names as raw UTF-8
+      parser = busboy({
+        headers: req.headers,
+        defParamCharset: 'utf8',
+        limits: { fileSize: maxMb * 1024 * 1024, files: maxFiles, fields: 20 }
+      });
+    } catch (_error) {
+      return reject(new BadRequestError('Upload the files as multipart/form-data'));
+    }
+
+    const files = [];
+    const writes = [];
+    // Stop the files still being written
+    const aborts = new Set();
+    let failure = null;
+    let finished = false;
+
+    const fail = (error) => {
+      failure = failure || error;
+      aborts.forEach(abort => abort(error));
+    };
+
+    parser.on('file', (_field, stream, { filename, mimeType }) => {
+      const contentType = mimeType.toLowerCase();
+      if (!failure && !isAllowedType(contentType, allowedTypes)) {
+        fail(new HttpError(415, `${contentType} files can't be attached (allowed: ${allowedTypes.join(', ')})`));
+      }
+      if (failure) {
+        return stream.resume();
+      }
+
+      const file = { storageKey: crypto.randomUUID(), filename: cleanFilename(filename), contentType, size: 0, checksum: null };
+      const hash = crypto.createHash('sha256');
+      const counter = new Transform({
+        transform(chunk, _encoding, callback) {
+          hash.update(chunk);
+          file.size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+      // Failures come back through blobs.put, which may not be reading the stream yet
+      counter.on('error', () => {});
+      // Discard the rest of the file so the parser can move on. A file read to the end is
+      // left to finish writing, and is removed along with the others.
+      const abort = (error) => {
+        stream.unpipe(counter);
+        stream.resume();
+        if (!counter.writableEnded) {
+          counter.destroy(error);
+        }
+      };
+      aborts.add(abort);
+      files.push(file);
+
+      stream.on('limit', () => fail(new HttpError(413, `Attachments are limited to ${maxMb} MB`)));
+      stream.on('error', fail);
+      writes.push(blobs.put(file.storageKey, counter).then(() => {
+        file.checksum = hash.digest('hex');
+      }, fail).finally(() => aborts.delete(abort)));
+      stream.pipe(counter);
+    });
+    parser.on('filesLimit', () => fail(new HttpError(413, `At most ${maxFiles} files can be uploaded at once`)));
+
+    async function finish(error) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (error) {
+        fail(error);
+      }
+      await Promise.all(writes);
+      if (!failure && files.length === 0) {
+        failure = new BadRequestError('No file was uploaded');
+      }
+      if (failure) {
+        await removeBlobs(blobs, files.filter(file => file.checksum).map(file => file.storageKey));
+        return reject(failure);
+      }
+      resolve(files);
+    }
+
+    parser.on('error', () => finish(new BadRequestError('Malformed multipart body')));
+    parser.on('close', () => finish());
+    req.on('close', () => {
+      if (!req.complete) {
+        finish(new BadRequestError('The upload was interrupted'));
+      }
+    });
+    req.pipe(parser);
+  });
+}
+
+// Best effort: a file that can't be removed only wastes space
+async function removeBlobs(blobs, keys) {
+  await Promise.all(keys.map(key => blobs.remove(key).catch((error) => {
+    logger.error('Error removing attachment file', { error, key });
+  })));
+}
+
+// If-Range holds the ETag or Last-Modified the client's partial copy came from
+function rangeStillValid(req, etag, lastModified) {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) {
+    return true;
+  }
+  return ifRange.startsWith('"') || ifRange.startsWith('W/') ? ifRange === etag : Date.parse(ifRange) >= Date.parse(lastModified);
+}
+
+// Send an attachment's file: all of it, or the byte range asked for (206). Several ranges
+// are answered with the whole file. Uploads never change, so the checksum is the ETag.
+async function sendAttachment(req, res, blobs, attachment) {
+  const { size } = attachment;
+  const etag = `"${attachment.checksum}"`;
+  const lastModified = new Date(attachment.created_at).toUTCString();
+  res.set({
+    'Content-Type': attachment.content_type,
+    'Content-Disposition': contentDisposition(attachment.filename, {
+      type: INLINE_TYPES.includes(attachment.content_type) ? 'inline' : 'attachment'
+    }),
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Last-Modified': lastModified,
+    'Cache-Control': 'private, no-cache',
+    // Uploaded files must never run as part of the app
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': 'default-src \'none\'; sandbox'
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const range = req.get('Range') && rangeStillValid(req, etag, lastModified) ? req.range(size, { combine: true }) : undefined;
+  if (range === -1) {
+    res.removeHeader('Content-Disposition');
+    res.type('json').set('Content-Range', `bytes */${size}`);
+    return res.status(416).json({ error: 'Range not satisfiable' });
+  }
+  const partial = Array.isArray(range) && range.type === 'bytes' && range.length === 1;
+  const { start, end } = partial ? range[0] : { start: 0, end: size - 1 };
+  if (partial) {
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  res.set('Content-Length', String(end - start + 1));
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+  await pipeline(blobs.get(attachment.storage_key, { start, end }), res);
+}
+
+// The storage key stays on the server
+const toPublic = ({ id, note_id, filename, content_type, size, checksum, created_at }) => ({
+  id,
+  note_id,
+  filename,
+  content_type,
+  size,
+  checksum,
+  created_at
+});
+
+module.exports = {
+  MAX_FILES_PER_UPLOAD,
+  isAllowedType,
+  cleanFilename,
+  receiveFiles,
+  removeBlobs,
+  sendAttachment,
+  toPublic
+};
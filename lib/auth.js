@@ -0,0 +1,122 @@
+// Password hashing, JWT access tokens, refresh tokens and the auth middleware
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+const KEY_LENGTH = 64;
+
+let generatedSecret;
+
+// Without JWT_SECRET tokens are signed with a per-process secret and stop working on restart
+function jwtSecret() {
+  if (config.auth.jwtSecret) {
+    return config.auth.jwtSecret;
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET is not set; using a random secret, tokens will not survive a restart');
+  }
+  return generatedSecret;
+}
+
+// Stored as scrypt$<salt>$<hash>, both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const hash = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, 'hex');
+  // timingSafeEqual throws on buffers of different lengths, as a damaged stored hash gives
+  return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ email: user.email }, jwtSecret(), {
+    subject: String(user.id),
+    expiresIn: ACCESS_TOKEN_TTL,
+    algorithm: 'HS256'
+  });
+}
+
+// Resolves the token to { id, email }; throws on bad signature or expiry
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, jwtSecret(), { algorithms: ['HS256'] });
+  return { id: Number(payload.sub), email: payload.email };
+}
+
+// Refresh tokens are opaque random strings; only their SHA-256 is stored
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Mint an access token plus a new refresh token, persisting the latter
+async function issueTokens(storage, user) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await storage.users.addRefreshToken(user.id, {
+    tokenHash: hashRefreshToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const accessToken = signAccessToken(user);
+  const { iat, exp } = jwt.decode(accessToken);
+  return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: exp - iat };
+}
+
+// Sets req.user from the access token, or answers 401
+function authenticate(token, req, res, next) {
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (_error) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    res.status(401).json({ error: 'Invalid or expired access token' });
+  }
+}
+
+function bearerToken(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+}
+
+// Express middleware: requires "Authorization: Bearer <access token>" and sets req.user
+function requireAuth(req, res, next) {
+  authenticate(bearerToken(req), req, res, next);
+}
+
+// The bearer token, or else ?access_token (browsers' EventSource can't send headers)
+function accessToken(req) {
+  return bearerToken(req) || (typeof req.query.access_token === 'string' ? req.query.access_token : undefined);
+}
+
+// Like requireAuth, but also takes ?access_token
+function requireStreamAuth(req, res, next) {
+  authenticate(accessToken(req), req, res, next);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  hashRefreshToken,
+  issueTokens,
+  accessToken,
+  requireAuth,
+  requireStreamAuth
+};
@@ -0,0 +1,180 @@
+// Batches of note writes (create, update, delete) run in one transaction
+const { createNote, updateNote, trashNote } = require('./notes');
+const { normalizeTags } = require('./tags');
+const { normalizeFormat } = require('./render');
+const { HttpError, BadRequestError } = require('./errors');
+const { checkSchema } = require('./validation');
+const { config } = require('./config');
+
+const MAX_BATCH_OPERATIONS = config.notes.batchMaxOperations;
+const OPERATIONS = ['create', 'update', 'delete'];
+
+// Each op's schema in the OpenAPI document (BatchCreate, BatchUpdate, BatchDelete)
+const SCHEMAS = {
+  create: checkSchema('BatchCreate'),
+  update: checkSchema('BatchUpdate'),
+  delete: checkSchema('BatchDelete')
+};
+
+// Throws a BadRequestError describing what's wrong with the operation
+function parseOperation(operation) {
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    throw new BadRequestError('Each operation must be an object');
+  }
+  const { op } = operation;
+  if (!OPERATIONS.includes(op)) {
+    throw new BadRequestError(`op must be one of: ${OPERATIONS.join(', ')}`);
+  }
+  const problem = SCHEMAS[op](operation);
+  if (problem) {
+    throw new BadRequestError(problem);
+  }
+
+  if (op === 'create') {
+    return {
+      op,
+      note: {
+        title: operation.title,
+        content: operation.content,
+        format: normalizeFormat(operation.format),
+        pinned: operation.pinned,
+        archived: operation.archived,
+        tags: normalizeTags(operation.tags) || []
+      }
+    };
+  }
+
+  const { id } = operation;
+  // `version` makes the write conditional, like If-Match
+  const ifMatch = operation.version === undefined ? undefined : [operation.version];
+  if (op === 'delete') {
+    return { op, id, ifMatch };
+  }
+
+  const changes = {
+    title: operation.title,
+    content: operation.content,
+    format: normalizeFormat(operation.format),
+    pinned: operation.pinned,
+    archived: operation.archived,
+    tags: normalizeTags(operation.tags)
+  };
+  if (Object.values(changes).every(value => value === undefined)) {
+    throw new BadRequestError('Nothing to update');
+  }
+  return { op, id, changes, ifMatch };
+}
+
+// Validate a batch request body ({ operations, atomic = true }). Problems with the batch as a
+// whole throw; problems with single operations are kept as that operation's `error`.
+function parseBatch(body) {
+  const { operations, atomic = true } = body || {};
+  if (typeof atomic !== 'boolean') {
+    throw new BadRequestError('atomic must be a boolean');
+  }
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new BadRequestError('operations must be a non-empty array');
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw new BadRequestError(`A batch can have at most ${MAX_BATCH_OPERATIONS} operations`);
+  }
+
+  return {
+    atomic,
+    operations: operations.map((operation) => {
+      try {
+        return parseOperation(operation);
+      } catch (error) {
+        if (!(error instanceof HttpError)) {
+          throw error;
+        }
+        return { op: operation && operation.op, error };
+      }
+    })
+  };
+}
+
+async function runOperation(tx, ownerId, operation) {
+  if (operation.error) {
+    throw operation.error;
+  }
+  if (operation.op === 'create') {
+    const note = await createNote(tx, ownerId, operation.note);
+    return { status: 201, id: note.id, note };
+  }
+  if (operation.op === 'update') {
+    const note = await updateNote(tx, ownerId, operation.id, operation.changes, { ifMatch: operation.ifMatch });
+    if (!note) {
+      throw new HttpError(404, 'Note not found');
+    }
+    return { status: 200, id: note.id, note };
+  }
+  if (!(await trashNote(tx, ownerId, operation.id, { ifMatch: operation.ifMatch }))) {
+    throw new HttpError(404, 'Note not found');
+  }
+  return { status: 200, id: operation.id };
+}
+
+// Thrown to roll an atomic batch back
+class BatchAborted extends Error {}
+
+// Atomic batches are all-or-nothing: the first failed operation rolls every write back.
+// Otherwise each operation runs in its own savepoint and failures leave the others applied.
+// Resolves to { atomic, committed, results } with one result per operation, in order;
+// errors other than HttpErrors (a lost connection, say) roll back the whole batch and reject.
+async function runBatch(storage, ownerId, { atomic, operations }) {
+  const results = [];
+  // An atomic batch with an invalid operation can't succeed, so don't start it
+  let failed = atomic ? operations.findIndex(operation => operation.error) : -1;
+  if (failed !== -1) {
+    const { op, error } = operations[failed];
+    results[failed] = { index: failed, op, ok: false, status: error.status, error: error.message };
+  }
+
+  try {
+    if (failed !== -1) {
+      throw new BatchAborted();
+    }
+    await storage.transaction(async (tx) => {
+      for (const [index, operation] of operations.entries()) {
+        try {
+          const result = await tx.transaction(inner => runOperation(inner, ownerId, operation));
+          results.push({ index, op: operation.op, ok: true, ...result });
+        } catch (error) {
+          if (!(error instanceof HttpError)) {
+            throw error;
+          }
+          results.push({ index, op: operation.op, ok: false, status: error.status, error: error.message });
+          if (atomic) {
+            failed = index;
+            throw new BatchAborted();
+          }
+        }
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof BatchAborted)) {
+      throw error;
+    }
+    // Nothing was applied: report every other operation as not applied because of the failure
+    return {
+      atomic,
+      committed: false,
+      results: operations.map((operation, index) => (index === failed ? results[index] : {
+        index,
+        op: operation.op,
+        ok: false,
+        status: 424,
+        error: `Not applied: operation ${failed} failed`
+      }))
+    };
+  }
+
+  return { atomic, committed: true, results };
+}
+
+module.exports = {
+  MAX_BATCH_OPERATIONS,
+  parseBatch,
+  runBatch
+};
@@ -0,0 +1,23 @@
+// Blob stores hold attachment files by key; what each file is lives in the attachments table.
+// Picks a store based on ATTACHMENT_STORE. Every store has:
+//   put(key, stream)              write the stream's bytes; the blob only appears once complete
+//   get(key, { start, end })      a readable stream of the blob, or of bytes start to end (inclusive)
+//   remove(key)                   delete the blob, if it exists
+const { config } = require('../config');
+
+const drivers = {
+  local: () => require('./local')
+};
+
+function createBlobStore(driver = config.attachments.store, options = {}) {
+  const load = drivers[driver];
+  if (!load) {
+    throw new Error(`Unknown blob store "${driver}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+  return load().create(options);
+}
+
+module.exports = {
+  createBlobStore,
+  drivers: Object.keys(drivers)
+};
@@ -0,0 +1,48 @@
+// Blob store on the local filesystem: a file per key under ATTACHMENT_DIR
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { config } = require('../config');
+
+// Keys are generated by the server; anything else could point outside the directory
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+function create({ dir = config.attachments.dir } = {}) {
+  const root = path.resolve(dir);
+
+  function fileOf(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid blob key "${key}"`);
+    }
+    return path.join(root, key);
+  }
+
+  return {
+    driver: 'local',
+
+    // Written to a temporary file first, so a failed upload never leaves a partial blob
+    async put(key, stream) {
+      const file = fileOf(key);
+      const partial = `${file}.${crypto.randomBytes(6).toString('hex')}.partial`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await pipeline(stream, fs.createWriteStream(partial, { flags: 'wx' }));
+        await fs.promises.rename(partial, file);
+      } catch (error) {
+        await fs.promises.rm(partial, { force: true });
+        throw error;
+      }
+    },
+
+    get(key, { start, end } = {}) {
+      return fs.createReadStream(fileOf(key), { start, end });
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,248 @@
+// Configuration: every setting read from the environment, in one typed schema.
+// A value comes from the environment, else from a .env file in the working directory (not
+// loaded under NODE_ENV=test), else from its default, which may depend on NODE_ENV. Secrets
+// can instead be read from the file named by <NAME>_FILE (Docker and Kubernetes secrets).
+// The settings are validated as a whole: loading throws a ConfigError listing every problem.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// path: where the value goes in the config object. default applies in every environment
+// unless `defaults` has one for the current NODE_ENV; a setting without either is left unset.
+const SCHEMA = {
+  NODE_ENV: { path: 'env', type: 'enum', values: ENVIRONMENTS, default: 'development' },
+  PORT: { path: 'port', type: 'port', default: 3000 },
+  LOG_LEVEL: { path: 'logLevel', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+  STORAGE_DRIVER: { path: 'storageDriver', type: 'enum', values: ['mysql', 'memory'], default: 'mysql' },
+  // Express's "trust proxy": true, a hop count, or addresses/subnets (loopback, 10.0.0.0/8, ...)
+  TRUST_PROXY: { path: 'trustProxy', type: 'trustProxy', default: false },
+
+  BODY_LIMIT_KB: { path: 'http.bodyLimitKb', type: 'integer', min: 1, default: 1024 },
+  // Origins allowed to call the API from a browser; none means same-origin only
+  CORS_ORIGIN: { path: 'http.corsOrigins', type: 'origins', default: [] },
+  RATE_LIMIT_ENABLED: { path: 'rateLimit.enabled', type: 'boolean', default: true, defaults: { test: false } },
+  RATE_LIMIT_WINDOW_SECONDS: { path: 'rateLimit.windowSeconds', type: 'integer', min: 1, default: 60 },
+  RATE_LIMIT_READ_MAX: { path: 'rateLimit.readMax', type: 'integer', min: 1, default: 300 },
+  RATE_LIMIT_WRITE_MAX: { path: 'rateLimit.writeMax', type: 'integer', min: 1, default: 60 },
+  RATE_LIMIT_STORE: { path: 'rateLimit.store', type: 'enum', values: ['memory', 'database'], default: 'memory' },
+
+  DB_HOST: { path: 'db.host', type: 'string', default: 'localhost' },
+  DB_PORT: { path: 'db.port', type: 'port', default: 3306 },
+  // Development credentials only: production has to set its own
+  DB_USER: { path: 'db.user', type: 'string', defaults: { development: 'root', test: 'root' } },
+  DB_PASSWORD: { path: 'db.password', type: 'string', secret: true, defaults: { development: 'password', test: 'password' } },
+  DB_NAME: { path: 'db.database', type: 'string', default: 'notes_app' },
+  DB_POOL_SIZE: { path: 'db.poolSize', type: 'integer', min: 1, default: 10 },
+  DB_CONNECT_RETRIES: { path: 'db.connectRetries', type: 'integer', min: 0, default: 5 },
+  DB_RETRY_DELAY_MS: { path: 'db.retryDelayMs', type: 'integer', min: 0, default: 500 },
+  MIGRATE_ON_START: { path: 'db.migrateOnStart', type: 'boolean', default: true },
+
+  // Unset outside production means a random per-process secret
+  JWT_SECRET: { path: 'auth.jwtSecret', type: 'string', secret: true },
+  JWT_EXPIRES_IN: { path: 'auth.accessTokenTtl', type: 'string', default: '15m' },
+  REFRESH_TOKEN_TTL_DAYS: { path: 'auth.refreshTokenTtlDays', type: 'integer', min: 1, default: 30 },
+
+  REVISION_RETENTION: { path: 'notes.revisionRetention', type: 'integer', min: 0, default: 50 },
+  BATCH_MAX_OPERATIONS: { path: 'notes.batchMaxOperations', type: 'integer', min: 1, default: 100 },
+  IMPORT_MAX_MB: { path: 'notes.importMaxMb', type: 'integer', min: 1, default: 20 },
+  TRASH_RETENTION_DAYS: { path: 'trash.retentionDays', type: 'integer', min: 0, default: 30 },
+  TRASH_PURGE_INTERVAL_MINUTES: { path: 'trash.purgeIntervalMinutes', type: 'integer', min: 1, default: 60 },
+
+  // Attachment files go to a blob store; `local` keeps them under ATTACHMENT_DIR
+  ATTACHMENT_STORE: { path: 'attachments.store', type: 'enum', values: ['local'], default: 'local' },
+  ATTACHMENT_DIR: { path: 'attachments.dir', type: 'string', default: 'data/attachments' },
+  ATTACHMENT_MAX_MB: { path: 'attachments.maxMb', type: 'integer', min: 1, default: 10 },
+  ATTACHMENT_TYPES: {
+    path: 'attachments.types',
+    type: 'mimeTypes',
+    default: ['image/*', 'text/plain', 'text/csv', 'text/markdown', 'application/pdf', 'application/json', 'application/zip', 'application/gzip']
+  },
+
+  WEBHOOK_MAX_ATTEMPTS: { path: 'webhooks.maxAttempts', type: 'integer', min: 1, default: 8 },
+  WEBHOOK_RETRY_BASE_SECONDS: { path: 'webhooks.retryBaseSeconds', type: 'integer', min: 1, default: 30 },
+  WEBHOOK_TIMEOUT_SECONDS: { path: 'webhooks.timeoutSeconds', type: 'integer', min: 1, default: 10 },
+  // Off, webhooks can't reach loopback, private or link-local addresses; tests and local
+  // receivers turn it on
+  WEBHOOK_ALLOW_PRIVATE_HOSTS: { path: 'webhooks.allowPrivateHosts', type: 'boolean', default: false, defaults: { test: true } },
+  WEBHOOK_DELIVERY_RETENTION_DAYS: { path: 'webhooks.deliveryRetentionDays', type: 'integer', min: 1, default: 30 },
+  EVENT_HISTORY_SIZE: { path: 'events.historySize', type: 'integer', min: 1, default: 1000 },
+
+  METRICS_PORT: { path: 'metricsPort', type: 'port' }
+};
+
+// Example and development values that must never protect a production deployment
+const INSECURE_SECRETS = ['password', 'root', 'secret', 'changeme', 'your_password_here', 'your-super-secret-jwt-key'];
+const MIN_JWT_SECRET_LENGTH = 32;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const parsers = {
+  string: value => value,
+  integer(value, { min = -Infinity }) {
+    if (!/^-?\d+$/.test(value) || Number(value) < min) {
+      throw new Error(min === -Infinity ? 'must be an integer' : `must be an integer of at least ${min}`);
+    }
+    return Number(value);
+  },
+  port(value) {
+    if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > 65535) {
+      throw new Error('must be a port number (1-65535)');
+    }
+    return Number(value);
+  },
+  boolean(value) {
+    const normalized = value.toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(normalized)) {
+      throw new Error('must be true or false');
+    }
+    return normalized === 'true' || normalized === '1';
+  },
+  enum(value, { values }) {
+    if (!values.includes(value)) {
+      throw new Error(`must be one of: ${values.join(', ')}`);
+    }
+    return value;
+  },
+  trustProxy(value) {
+    if (['true', 'false'].includes(value)) {
+      return value === 'true';
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+  },
+  // Comma-separated origins (https://notes.example.com), or * for any
+  origins(value) {
+    const origins = value.split(',').map(origin => origin.trim()).filter(Boolean);
+    const invalid = origins.find(origin => origin !== '*' && !isOrigin(origin));
+    if (invalid) {
+      throw new Error(`must be a comma-separated list of origins like https://notes.example.com ("${invalid}" is not one)`);
+    }
+    return origins;
+  },
+  // Comma-separated MIME types (image/png), or whole families (image/*)
+  mimeTypes(value) {
+    const types = value.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    const invalid = types.find(type => !/^[\w.+-]+\/([\w.+-]+|\*)$/.test(type));
+    if (types.length === 0 || invalid) {
+      throw new Error(`must be a comma-separated list of MIME types like image/png or image/*${invalid ? ` ("${invalid}" is not one)` : ''}`);
+    }
+    return types;
+  }
+};
+
+function isOrigin(value) {
+  try {
+    return new URL(value).origin === value;
+  } catch (_error) {
+    return false;
+  }
+}
+
+// The .env file's variables, or none when it doesn't exist
+function readEnvFile(file) {
+  try {
+    return dotenv.parse(fs.readFileSync(file));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+// Secret files usually end with a newline that isn't part of the secret
+function readSecretFile(file) {
+  return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+}
+
+function setPath(target, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+  parent[last] = value;
+}
+
+// Refuse to run production on development defaults or example values
+function productionProblems(config) {
+  const problems = [];
+  if (config.storageDriver === 'mysql') {
+    if (!config.db.user) {
+      problems.push('DB_USER must be set in production');
+    }
+    if (!config.db.password) {
+      problems.push('DB_PASSWORD (or DB_PASSWORD_FILE) must be set in production');
+    } else if (INSECURE_SECRETS.includes(config.db.password)) {
+      problems.push('DB_PASSWORD is a default or example value; set a real password in production');
+    }
+  }
+  if (!config.auth.jwtSecret) {
+    problems.push('JWT_SECRET (or JWT_SECRET_FILE) must be set in production');
+  } else if (INSECURE_SECRETS.includes(config.auth.jwtSecret) || config.auth.jwtSecret.length < MIN_JWT_SECRET_LENGTH) {
+    problems.push(`JWT_SECRET must be a random value of at least ${MIN_JWT_SECRET_LENGTH} characters in production`);
+  }
+  return problems;
+}
+
+// Build and validate the config from `env`; envFile is the .env file to fall back on (null for none)
+function loadConfig(env = process.env, { envFile = path.join(process.cwd(), '.env') } = {}) {
+  const source = {
+    ...(envFile && env.NODE_ENV !== 'test' ? readEnvFile(envFile) : {}),
+    ...env
+  };
+  const given = name => (source[name] === undefined || source[name] === '' ? undefined : source[name]);
+
+  const problems = [];
+  const nodeEnv = ENVIRONMENTS.includes(given('NODE_ENV')) ? given('NODE_ENV') : SCHEMA.NODE_ENV.default;
+  const config = {};
+
+  for (const [name, setting] of Object.entries(SCHEMA)) {
+    let raw = given(name);
+    const file = setting.secret ? given(`${name}_FILE`) : undefined;
+    if (file !== undefined) {
+      if (raw !== undefined) {
+        problems.push(`${name} and ${name}_FILE are both set; use one of them`);
+        continue;
+      }
+      try {
+        raw = readSecretFile(file);
+      } catch (error) {
+        problems.push(`${name}_FILE could not be read (${error.code || error.message})`);
+        continue;
+      }
+    }
+
+    let value = setting.defaults && nodeEnv in setting.defaults ? setting.defaults[nodeEnv] : setting.default;
+    if (raw !== undefined) {
+      try {
+        value = parsers[setting.type](raw, setting);
+      } catch (error) {
+        problems.push(`${name} ${error.message} (got "${raw}")`);
+        continue;
+      }
+    }
+    setPath(config, setting.path, value);
+  }
+
+  if (problems.length === 0 && config.env === 'production') {
+    problems.push(...productionProblems(config));
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+module.exports = {
+  SCHEMA,
+  ConfigError,
+  loadConfig,
+  // The process's configuration, loaded (and validated) once on first require
+  config: loadConfig()
+};
@@ -0,0 +1,139 @@
+// Line-based text diff (longest common subsequence) and unified-format output
+
+// Above this many cells in the LCS table, the changed block is reported as a plain replace
+const MAX_TABLE_SIZE = 4000000;
+
+function splitLines(text) {
+  return text ? String(text).split(/\r?\n/) : [];
+}
+
+// LCS over the lines that differ; yields equal/removed/added entries in order
+function diffBlock(before, after) {
+  const rows = before.length;
+  const cols = after.length;
+  if (rows * cols > MAX_TABLE_SIZE) {
+    return [
+      ...before.map(text => ({ type: 'removed', text })),
+      ...after.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j]: LCS length of before[i..] and after[j..]
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      changes.push({ type: 'equal', text: before[i++] });
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      changes.push({ type: 'removed', text: before[i++] });
+    } else {
+      changes.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < rows) {
+    changes.push({ type: 'removed', text: before[i++] });
+  }
+  while (j < cols) {
+    changes.push({ type: 'added', text: after[j++] });
+  }
+  return changes;
+}
+
+// [{ type: 'equal' | 'removed' | 'added', text }] turning `before` into `after`
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Common prefix and suffix never need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+
+  const equal = text => ({ type: 'equal', text });
+  return [
+    ...a.slice(0, start).map(equal),
+    ...diffBlock(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+    ...a.slice(a.length - end).map(equal)
+  ];
+}
+
+function diffStats(changes) {
+  return {
+    added: changes.filter(change => change.type === 'added').length,
+    removed: changes.filter(change => change.type === 'removed').length
+  };
+}
+
+// Unified diff text with `context` unchanged lines around each hunk; '' when nothing changed
+function unifiedDiff(changes, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  let oldLine = 1;
+  let newLine = 1;
+  const rows = changes.map((change) => {
+    const row = { ...change, oldLine, newLine };
+    if (change.type !== 'added') {
+      oldLine++;
+    }
+    if (change.type !== 'removed') {
+      newLine++;
+    }
+    return row;
+  });
+
+  // Group changed lines whose context overlaps into hunks of [start, end) row indexes
+  const hunks = [];
+  rows.forEach((row, index) => {
+    if (row.type === 'equal') {
+      return;
+    }
+    const start = Math.max(0, index - context);
+    const end = Math.min(rows.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const prefix = { equal: ' ', removed: '-', added: '+' };
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const { start, end } of hunks) {
+    const hunk = rows.slice(start, end);
+    const oldCount = hunk.filter(row => row.type !== 'added').length;
+    const newCount = hunk.filter(row => row.type !== 'removed').length;
+    // An empty side points at the line before the hunk, as diff(1) does
+    const oldStart = oldCount ? hunk[0].oldLine : hunk[0].oldLine - 1;
+    const newStart = newCount ? hunk[0].newLine : hunk[0].newLine - 1;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(row => lines.push(prefix[row.type] + row.text));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  diffStats,
+  unifiedDiff
+};
@@ -0,0 +1,24 @@
+// Errors that carry the HTTP status a route should answer with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'BadRequestError';
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message) {
+    super(412, message);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+module.exports = { HttpError, BadRequestError, PreconditionFailedError };
@@ -0,0 +1,23 @@
+// ETags for single notes, built from the note's version counter, and If-Match parsing.
+// Listings use Express's automatic weak ETags over the response body instead.
+
+function noteEtag(note) {
+  return `"${note.id}.${note.version}"`;
+}
+
+// The note versions an If-Match header accepts: undefined when absent or `*` (any version),
+// otherwise an array, empty when none of its tags is one of ours. Weak tags never match (RFC 9110).
+function parseIfMatch(header, id) {
+  if (header === undefined || header.trim() === '*') {
+    return undefined;
+  }
+  return header.split(',')
+    .map(tag => /^"(\d+)\.(\d+)"$/.exec(tag.trim()))
+    .filter(match => match && Number(match[1]) === Number(id))
+    .map(match => Number(match[2]));
+}
+
+module.exports = {
+  noteEtag,
+  parseIfMatch
+};
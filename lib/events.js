@@ -0,0 +1,99 @@
+// In-process bus for note change events, fanned out to each user's open event streams.
+// Recent events are kept so a client that reconnects with Last-Event-ID gets what it missed.
+const crypto = require('crypto');
+const { getNote } = require('./notes');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+const HISTORY_SIZE = config.events.historySize;
+
+function createEventBus({ historySize = HISTORY_SIZE } = {}) {
+  // Ids are "<instance>-<sequence>", so ids handed out before a restart are recognised as stale
+  const instance = crypto.randomBytes(6).toString('hex');
+  let sequence = 0;
+  const history = [];
+  const listeners = new Map();
+  // Called with every user's events
+  const everything = new Set();
+
+  const eventId = seq => `${instance}-${seq}`;
+
+  // The sequence number of an id issued by this instance, or null
+  function parseId(id) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(id));
+    return match && match[1] === instance ? Number(match[2]) : null;
+  }
+
+  function publish(ownerId, type, data) {
+    const event = { id: eventId(++sequence), seq: sequence, ownerId, type, data };
+    history.push(event);
+    if (history.length > historySize) {
+      history.shift();
+    }
+    (listeners.get(ownerId) || new Set()).forEach(listener => listener(event));
+    everything.forEach(listener => listener(event));
+    return event;
+  }
+
+  // Events for the user after lastEventId, oldest first, or null when some of them may be
+  // gone (evicted from the history, or issued before a restart) and the client must reload
+  function since(ownerId, lastEventId) {
+    const seq = parseId(lastEventId);
+    const oldest = history.length ? history[0].seq : sequence + 1;
+    if (seq === null || seq > sequence || seq < oldest - 1) {
+      return null;
+    }
+    return history.filter(event => event.seq > seq && event.ownerId === ownerId);
+  }
+
+  // Calls listener with each event published for the user; returns the unsubscribe function
+  function subscribe(ownerId, listener) {
+    if (!listeners.has(ownerId)) {
+      listeners.set(ownerId, new Set());
+    }
+    listeners.get(ownerId).add(listener);
+    return () => {
+      const set = listeners.get(ownerId);
+      set.delete(listener);
+      if (set.size === 0) {
+        listeners.delete(ownerId);
+      }
+    };
+  }
+
+  // Calls listener with every event, whoever it belongs to; returns the unsubscribe function
+  function listen(listener) {
+    everything.add(listener);
+    return () => everything.delete(listener);
+  }
+
+  return {
+    publish,
+    since,
+    subscribe,
+    listen,
+    lastId: () => eventId(sequence)
+  };
+}
+
+// Publish a note.created/updated/restored event carrying the note as it is now (with tags),
+// or note.deleted with just its id. Failing to read the note back never fails the write.
+async function publishNote(events, storage, ownerId, type, id) {
+  try {
+    if (type === 'note.deleted') {
+      events.publish(ownerId, type, { id: Number(id) });
+      return;
+    }
+    const note = await getNote(storage, ownerId, id);
+    if (note) {
+      events.publish(ownerId, type, note);
+    }
+  } catch (error) {
+    logger.error('Error publishing event', { type, error });
+  }
+}
+
+module.exports = {
+  createEventBus,
+  publishNote
+};
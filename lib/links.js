@@ -0,0 +1,132 @@
+// Wiki-style links between notes: [[Note Title]] or [[#42]] in a note's content. The links a
+// note makes are stored whenever it is saved (storage.links) and resolved against the owner's
+// notes when they are read, so a link to a title starts working once some note has that title.
+// A title belongs to the oldest of the notes that have it; trashed notes can't be linked to.
+
+// target_title is VARCHAR(255), like notes.title
+const MAX_REFERENCE_LENGTH = 255;
+// Code is skipped, so `[[ -f file ]]` in a shell snippet isn't a link
+const LINK_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)|\[\[([^[\]\n]+)\]\]/g;
+const ID_REFERENCE = /^#(\d+)$/;
+const MAX_ID = 2147483647;
+
+// Titles match case-insensitively, like MySQL's default collation
+const titleKey = title => title.trim().toLowerCase();
+
+// What's between the brackets: { targetId } for #42, { title } otherwise, or null when it
+// can't be a link
+function parseReference(text) {
+  const reference = text.trim();
+  const idMatch = ID_REFERENCE.exec(reference);
+  if (idMatch) {
+    const targetId = Number(idMatch[1]);
+    return targetId >= 1 && targetId <= MAX_ID ? { targetId, title: null } : null;
+  }
+  return reference && reference.length <= MAX_REFERENCE_LENGTH ? { targetId: null, title: reference } : null;
+}
+
+const referenceKey = ({ targetId, title }) => (targetId ? `#${targetId}` : titleKey(title));
+
+// Every distinct link in the content, in order of first appearance
+function parseLinks(content) {
+  const links = new Map();
+  for (const [, code, text] of String(content || '').matchAll(LINK_PATTERN)) {
+    const link = !code && parseReference(text);
+    if (link && !links.has(referenceKey(link))) {
+      links.set(referenceKey(link), link);
+    }
+  }
+  return [...links.values()];
+}
+
+// Point [[title]] links at `replacement` (a title or #id), leaving code alone
+function rewriteLinks(content, title, replacement) {
+  return content.replace(LINK_PATTERN, (match, code, text) => {
+    const link = !code && parseReference(text);
+    return link && !link.targetId && titleKey(link.title) === titleKey(title) ? `[[${replacement}]]` : match;
+  });
+}
+
+// Store the links in a note's content, replacing the ones it had
+async function saveLinks(tx, noteId, content) {
+  await tx.links.replace(noteId, parseLinks(content));
+}
+
+// Resolves to a function from a stored link ({ target_id, target_title }) to the { id, title }
+// of the note it points at, or null
+async function resolver(storage, ownerId, links) {
+  const ids = [...new Set(links.map(link => link.target_id).filter(Boolean))];
+  const titles = [...new Set(links.map(link => link.target_title).filter(Boolean))];
+  const targets = ids.length || titles.length ? await storage.links.targets(ownerId, { ids, titles }) : [];
+
+  const byId = new Map(targets.map(note => [note.id, note]));
+  const byTitle = new Map();
+  // Oldest first, so the oldest note with a title gets it
+  targets.forEach((note) => {
+    if (!byTitle.has(titleKey(note.title))) {
+      byTitle.set(titleKey(note.title), note);
+    }
+  });
+  return link => (link.target_id ? byId.get(link.target_id) : byTitle.get(titleKey(link.target_title))) || null;
+}
+
+const reference = link => (link.target_id ? `#${link.target_id}` : link.target_title);
+const summary = note => (note ? { id: note.id, title: note.title } : null);
+
+// The links in a note, in order, each with the note it points at (null when broken)
+async function listLinks(storage, ownerId, noteId) {
+  const links = await storage.links.from(noteId);
+  const resolve = await resolver(storage, ownerId, links);
+  return links.map(link => ({ reference: reference(link), note: summary(resolve(link)) }));
+}
+
+// Stored links to a note from the owner's notes, by id or by a title that is the note's
+async function backlinks(storage, ownerId, note) {
+  const links = await storage.links.to(ownerId, { id: note.id, title: note.title });
+  const resolve = await resolver(storage, ownerId, links);
+  return links.filter(link => (resolve(link) || {}).id === note.id);
+}
+
+async function listBacklinks(storage, ownerId, note) {
+  return (await backlinks(storage, ownerId, note))
+    .map(link => ({ reference: reference(link), source: { id: link.source_id, title: link.source_title } }));
+}
+
+// Ids of the other notes that link to a note by its title
+async function titleLinkSources(storage, ownerId, note) {
+  const links = (await backlinks(storage, ownerId, note)).filter(link => !link.target_id && link.source_id !== note.id);
+  return [...new Set(links.map(link => link.source_id))];
+}
+
+// Links in the owner's notes that don't point at any note
+async function listBrokenLinks(storage, ownerId) {
+  const links = await storage.links.all(ownerId);
+  const resolve = await resolver(storage, ownerId, links);
+  return links
+    .filter(link => !resolve(link))
+    .map(link => ({ reference: reference(link), source: { id: link.source_id, title: link.source_title } }));
+}
+
+// How other notes should link to a note: by its title, unless brackets in it or an older note
+// with the same title get in the way
+async function linkText(storage, ownerId, note) {
+  const link = /[[\]\n]/.test(note.title) ? null : parseReference(note.title);
+  if (link && !link.targetId) {
+    const resolve = await resolver(storage, ownerId, [{ target_id: null, target_title: link.title }]);
+    if ((resolve({ target_id: null, target_title: link.title }) || {}).id === note.id) {
+      return link.title;
+    }
+  }
+  return `#${note.id}`;
+}
+
+module.exports = {
+  parseLinks,
+  rewriteLinks,
+  saveLinks,
+  listLinks,
+  listBacklinks,
+  titleLinkSources,
+  listBrokenLinks,
+  linkText
+};
@@ -0,0 +1,116 @@
+// Structured logging: one JSON object per line with level, timestamp, message and context.
+// Lines below LOG_LEVEL (debug, info, warn, error or silent; default info) are dropped.
+// Inside a request every line also carries its requestId, wherever it is logged from.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Request id from X-Request-Id, when it looks like one, so ids can be traced across services
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Share links carry their token in the path, and anyone holding it can read the note
+const SHARE_TOKEN_PATH = /^(\/s|\/api\/shares)\/[^/]+/;
+
+const requestContext = new AsyncLocalStorage();
+
+const settings = {
+  level: config.logLevel,
+  // Receives each line, newline included
+  destination: line => process.stdout.write(line)
+};
+
+// Errors have no enumerable properties, so JSON.stringify would drop them
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+function serializeFields(fields) {
+  return Object.fromEntries(Object.entries(fields)
+    .map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+}
+
+function write(level, bindings, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+  const entry = {
+    level,
+    timestamp: new Date().toISOString(),
+    message,
+    ...requestContext.getStore(),
+    ...bindings,
+    ...serializeFields(fields)
+  };
+  settings.destination(`${JSON.stringify(entry)}\n`);
+}
+
+// A logger whose lines all carry `bindings`; child() adds more
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: more => createLogger({ ...bindings, ...more })
+  };
+}
+
+const logger = createLogger();
+
+// Change the level and/or where lines go (tests capture them this way); returns the previous settings
+function configure({ level, destination } = {}) {
+  const previous = { ...settings };
+  if (level !== undefined) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+    }
+    settings.level = level;
+  }
+  if (destination !== undefined) {
+    settings.destination = destination;
+  }
+  return previous;
+}
+
+// Express middleware: gives the request an id (X-Request-Id if the client sent a usable one),
+// echoes it in the response header and in JSON error bodies, runs the rest of the request in
+// its log context, and writes an access log line with the duration once the response is done
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body);
+    return json(isError ? { ...body, requestId: req.id } : body);
+  };
+
+  const start = process.hrtime.bigint();
+  // 'close' rather than 'finish' so streams the client hung up on are logged too
+  res.on('close', () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      // Without the query string, which can carry an access token, or a share token
+      path: req.originalUrl.split('?')[0].replace(SHARE_TOKEN_PATH, '$1/:token'),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+      userId: req.user ? req.user.id : undefined,
+      aborted: res.writableFinished ? undefined : true
+    };
+    logger[res.statusCode >= 500 ? 'error' : 'info']('request completed', fields);
+  });
+
+  requestContext.run({ requestId: req.id }, next);
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  configure,
+  requestLogger
+};
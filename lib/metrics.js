@@ -0,0 +1,127 @@
+// Prometheus metrics: HTTP requests, database statements and pool, and the default
+// process/Node.js metrics, all in one registry served as text from /metrics
+const client = require('prom-client');
+const { logger } = require('./logger');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests served, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database statement latency, by statement type and outcome',
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+const dbQueryErrors = new client.Counter({
+  name: 'db_query_errors_total',
+  help: 'Failed database statements, by statement type and error code',
+  labelNames: ['operation', 'code'],
+  registers: [registry]
+});
+
+// Route pattern rather than the URL, so ids don't explode the label set. Requests no route
+// handled (static files, 404s) share one label.
+function routeLabel(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  // Routers mounted on a path with parameters (/api/notes/:id/revisions) see it filled in,
+  // so put the parameter names back
+  const own = (req.route.path.match(/:\w+/g) || []).map(key => key.slice(1));
+  const mounted = Object.keys(req.params).filter(key => !own.includes(key));
+  const base = req.baseUrl
+    .split('/')
+    .map(segment => {
+      const key = mounted.find(name => req.params[name] === decodeURIComponent(segment));
+      return key ? `:${key}` : segment;
+    })
+    .join('/');
+  return `${base}${req.route.path}`;
+}
+
+// Express middleware timing every request until its response has been sent
+function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+}
+
+// SELECT, INSERT, ... from the statement's first word
+function operationOf(sql) {
+  const match = /^\s*(\w+)/.exec(sql);
+  return match ? match[1].toUpperCase() : 'UNKNOWN';
+}
+
+// Time run() (which executes sql), counting it as an error if it rejects
+async function observeQuery(sql, run) {
+  const operation = operationOf(sql);
+  const end = dbQueryDuration.startTimer({ operation });
+  try {
+    const result = await run();
+    end({ outcome: 'ok' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    dbQueryErrors.inc({ operation, code: error.code || 'UNKNOWN' });
+    throw error;
+  }
+}
+
+// Report connection pool usage from getStats() (storage.stats(), or null while disconnected)
+function observePool(getStats) {
+  registry.registerMetric(new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'Database pool connections, by state',
+    labelNames: ['state'],
+    registers: [],
+    collect() {
+      const stats = getStats();
+      this.reset();
+      if (stats && stats.total !== undefined) {
+        this.set({ state: 'active' }, stats.active);
+        this.set({ state: 'idle' }, stats.idle);
+        this.set({ state: 'queued' }, stats.queued);
+      }
+    }
+  }));
+}
+
+// Express handler serving the registry in Prometheus text format
+async function metricsHandler(req, res) {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+}
+
+module.exports = {
+  registry,
+  httpMetrics,
+  observeQuery,
+  observePool,
+  metricsHandler
+};
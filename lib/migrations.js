@@ -0,0 +1,118 @@
+// Versioned schema migrations for the MySQL backend.
+// Files in migrations/ are named NNN_description.js and export async up(db) / down(db).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(.+)\.js$/;
+const LOCK_NAME = 'notes_app_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+function loadMigrations(directory) {
+  return fs.readdirSync(directory)
+    .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: match[1],
+      name: match[2],
+      file: path.join(directory, file)
+    }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// `pool` needs execute() and getConnection(); migrations run on one connection holding a named lock
+// so that several app instances starting together don't migrate concurrently.
+function createMigrator(pool, { directory = DEFAULT_DIRECTORY } = {}) {
+  async function ensureTable(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(32) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async function appliedVersions(db) {
+    await ensureTable(db);
+    const [rows] = await db.execute('SELECT version, applied_at FROM schema_migrations');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+  }
+
+  async function withLock(fn) {
+    const connection = await pool.getConnection();
+    try {
+      const [[{ locked }]] = await connection.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+      if (locked !== 1) {
+        throw new Error('Timed out waiting for another process to finish migrating');
+      }
+      try {
+        return await fn(connection);
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async function status() {
+    const applied = await appliedVersions(pool);
+    return loadMigrations(directory).map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.get(version) || null
+    }));
+  }
+
+  async function pending() {
+    return (await status()).filter(migration => !migration.applied_at);
+  }
+
+  // Apply every pending migration in order; resolves to the applied list
+  async function migrate() {
+    return withLock(async (db) => {
+      const applied = await appliedVersions(db);
+      const done = [];
+      for (const migration of loadMigrations(directory)) {
+        if (applied.has(migration.version)) {
+          continue;
+        }
+        await require(migration.file).up(db);
+        await db.execute(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+        done.push(migration);
+      }
+      return done;
+    });
+  }
+
+  // Undo the most recently applied migrations; resolves to the rolled back list
+  async function rollback(steps = 1) {
+    return withLock(async (db) => {
+      const applied = await appliedVersions(db);
+      const available = new Map(loadMigrations(directory).map(m => [m.version, m]));
+      const versions = [...applied.keys()]
+        .sort((a, b) => Number(b) - Number(a))
+        .slice(0, steps);
+
+      const undone = [];
+      for (const version of versions) {
+        const migration = available.get(version);
+        if (!migration) {
+          throw new Error(`Migration file for version ${version} is missing, cannot roll back`);
+        }
+        await require(migration.file).down(db);
+        await db.execute('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        undone.push(migration);
+      }
+      return undone;
+    });
+  }
+
+  return { status, pending, migrate, rollback };
+}
+
+module.exports = { createMigrator, loadMigrations };
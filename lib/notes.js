@@ -0,0 +1,175 @@
+// Note operations that span several repositories. Each takes the storage (or a
+// transaction from storage.transaction) so they compose inside larger transactions.
+// Everything is scoped to the owning user's id.
+const { paginate } = require('./pagination');
+const { saveLinks, rewriteLinks, titleLinkSources, linkText } = require('./links');
+const { PreconditionFailedError } = require('./errors');
+const { config } = require('./config');
+
+// Revisions kept per note; older ones are pruned on save. 0 keeps every revision.
+const REVISION_RETENTION = config.notes.revisionRetention;
+// Column sizes: title is VARCHAR(255), and content MEDIUMTEXT (migration 016) so 65535
+// characters fit whatever their width
+const MAX_TITLE_LENGTH = 255;
+const MAX_CONTENT_LENGTH = 65535;
+
+// Attach each note's tag names
+async function withTags(storage, notes) {
+  const tags = await storage.tags.forNotes(notes.map(note => note.id));
+  return notes.map(note => ({ ...note, tags: tags.get(note.id) || [] }));
+}
+
+async function listNotes(storage, ownerId, options) {
+  const { items, next } = await paginate(query => storage.notes.list(ownerId, query), options);
+  return { items: await withTags(storage, items), next };
+}
+
+async function searchNotes(storage, ownerId, query, options) {
+  return withTags(storage, await storage.notes.search(ownerId, query, options));
+}
+
+// Record the note's saved state as a new revision, unless it matches the latest one
+async function saveRevision(tx, noteId, { title, content }) {
+  const latest = await tx.revisions.latest(noteId);
+  if (latest && latest.title === title && latest.content === content) {
+    return latest.revision;
+  }
+  const revision = await tx.revisions.add(noteId, { title, content });
+  if (REVISION_RETENTION > 0) {
+    await tx.revisions.prune(noteId, REVISION_RETENTION);
+  }
+  return revision;
+}
+
+async function createNote(storage, ownerId, { title, content, format, pinned, archived, tags = [] }) {
+  return storage.transaction(async (tx) => {
+    const note = await tx.notes.create(ownerId, { title, content, format, pinned, archived });
+    await saveRevision(tx, note.id, note);
+    await saveLinks(tx, note.id, content);
+    return { ...note, tags: await tx.tags.setForNote(ownerId, note.id, tags) };
+  });
+}
+
+// A single note with its tags, or null
+async function getNote(storage, ownerId, id) {
+  const note = await storage.notes.get(ownerId, id);
+  return note && (await withTags(storage, [note]))[0];
+}
+
+const conflict = () => new PreconditionFailedError('Note has been modified since it was loaded');
+
+// Throws a 412 unless the note is at one of the versions in `ifMatch` (undefined accepts any)
+function checkVersion(note, ifMatch) {
+  if (ifMatch !== undefined && !ifMatch.includes(note.version)) {
+    throw conflict();
+  }
+}
+
+// After a rename, point the other notes' [[Old title]] links at the note's new title (or its
+// #id, when the title can't be linked to). Resolves to the ids of the notes that changed.
+async function relinkNote(tx, ownerId, note, previousTitle, sourceIds) {
+  const relinked = [];
+  if (sourceIds.length === 0) {
+    return relinked;
+  }
+  const replacement = await linkText(tx, ownerId, note);
+  for (const sourceId of sourceIds) {
+    const source = await tx.notes.get(ownerId, sourceId);
+    const content = source && rewriteLinks(source.content, previousTitle, replacement);
+    // A link that no longer fits is left broken, and listed by GET /api/links/broken
+    if (!source || content === source.content || content.length > MAX_CONTENT_LENGTH) {
+      continue;
+    }
+    await tx.notes.update(ownerId, source.id, { ...source, content });
+    await saveRevision(tx, source.id, { title: source.title, content });
+    await saveLinks(tx, source.id, content);
+    relinked.push(source.id);
+  }
+  return relinked;
+}
+
+// Fields left out keep their current value; tags are only replaced when given. Resolves to the
+// updated note, with the ids of the notes relinked to its new title in `relinked`, or null when
+// the user has no such note.
+async function updateNote(storage, ownerId, id, changes, { ifMatch } = {}) {
+  return storage.transaction(async (tx) => {
+    const note = await tx.notes.get(ownerId, id);
+    if (!note) {
+      return null;
+    }
+    checkVersion(note, ifMatch);
+
+    const {
+      title = note.title,
+      content = note.content,
+      format = note.format,
+      pinned = note.pinned,
+      archived = note.archived,
+      tags
+    } = changes;
+    // Found while the old title is still this note's
+    const renamed = title.trim().toLowerCase() !== note.title.trim().toLowerCase();
+    const linkSources = renamed ? await titleLinkSources(tx, ownerId, note) : [];
+    // The version condition catches a writer that got in after the read above
+    const expected = ifMatch === undefined ? {} : { version: note.version };
+    if (!(await tx.notes.update(ownerId, note.id, { title, content, format, pinned, archived }, expected))) {
+      if (ifMatch !== undefined) {
+        throw conflict();
+      }
+      return null;
+    }
+
+    await saveRevision(tx, note.id, { title, content });
+    await saveLinks(tx, note.id, content);
+    if (tags !== undefined) {
+      await tx.tags.setForNote(ownerId, note.id, tags);
+    }
+    const relinked = await relinkNote(tx, ownerId, { ...note, title }, note.title, linkSources);
+    return { ...(await getNote(tx, ownerId, note.id)), relinked };
+  });
+}
+
+// Move a note to the trash; resolves to false when the user has no such note
+async function trashNote(storage, ownerId, id, { ifMatch } = {}) {
+  return storage.transaction(async (tx) => {
+    const note = await tx.notes.get(ownerId, id);
+    if (!note) {
+      return false;
+    }
+    checkVersion(note, ifMatch);
+
+    const removed = await tx.notes.remove(ownerId, note.id, ifMatch === undefined ? {} : { version: note.version });
+    if (!removed && ifMatch !== undefined) {
+      throw conflict();
+    }
+    return removed;
+  });
+}
+
+// Put an earlier revision's title and content back; this is saved as a new revision.
+// Resolves to the new revision number, or null when the note or revision doesn't exist.
+async function restoreRevision(storage, ownerId, id, revision) {
+  return storage.transaction(async (tx) => {
+    const note = await tx.notes.get(ownerId, id);
+    const restored = note && await tx.revisions.get(note.id, revision);
+    if (!restored) {
+      return null;
+    }
+    await tx.notes.update(ownerId, note.id, { ...note, title: restored.title, content: restored.content });
+    await saveLinks(tx, note.id, restored.content);
+    return saveRevision(tx, note.id, restored);
+  });
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_CONTENT_LENGTH,
+  withTags,
+  listNotes,
+  searchNotes,
+  getNote,
+  createNote,
+  updateNote,
+  trashNote,
+  restoreRevision
+};
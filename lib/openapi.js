@@ -0,0 +1,1220 @@
+// OpenAPI 3.1 description of the API. Its JSON Schemas are the ones lib/validation checks
+// requests against, so the document can't drift from what the server accepts; the contract
+// test holds the routes and their responses to it.
+const { version } = require('../package.json');
+const { MAX_TITLE_LENGTH, MAX_CONTENT_LENGTH } = require('./notes');
+const { MAX_TAG_LENGTH, MAX_TAGS_PER_NOTE } = require('./tags');
+const { FORMATS } = require('./render');
+const { SORT_FIELDS, ARCHIVED_FILTERS, DEFAULT_LIMIT, MAX_LIMIT } = require('./pagination');
+const { MAX_QUERY_LENGTH } = require('./search');
+const { WEBHOOK_EVENTS, MAX_URL_LENGTH, MIN_SECRET_LENGTH } = require('./webhooks');
+const { FORMATS: TRANSFER_FORMATS } = require('./transfer');
+const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH, TOKEN_PATTERN } = require('./shares');
+const { MAX_FILES_PER_UPLOAD } = require('./attachments');
+const { config } = require('./config');
+
+// From config rather than lib/batch, which checks operations against this document
+const MAX_BATCH_OPERATIONS = config.notes.batchMaxOperations;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const json = schema => ({ 'application/json': { schema } });
+const body = schema => ({ required: true, content: json(schema) });
+const response = (description, schema) => (schema ? { description, content: json(schema) } : { description });
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+// Ids are INT AUTO_INCREMENT columns
+const id = { type: 'integer', minimum: 1, maximum: 2147483647 };
+const timestamp = { type: 'string', format: 'date-time' };
+const tags = {
+  type: 'array',
+  maxItems: MAX_TAGS_PER_NOTE,
+  items: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH }
+};
+const message = { type: 'string' };
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      requestId: { type: 'string', description: 'The request\'s X-Request-Id, to quote when reporting a problem' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', description: 'The first problem found' },
+      details: {
+        type: 'array',
+        description: 'Every problem found, when the request failed schema validation',
+        items: {
+          type: 'object',
+          required: ['in', 'field', 'message'],
+          properties: {
+            in: { enum: ['path', 'query', 'header', 'body'] },
+            field: { type: 'string', examples: ['title', 'tags[2]'] },
+            message: { type: 'string', examples: ['must be at most 255 characters'] }
+          }
+        }
+      },
+      requestId: { type: 'string' }
+    }
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message }
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'email'],
+    properties: { id, email: { type: 'string', format: 'email' } }
+  },
+  Credentials: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email: { type: 'string', maxLength: 255 },
+      password: { type: 'string', maxLength: 128 }
+    }
+  },
+  Registration: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email: { type: 'string', maxLength: 255, description: 'Trimmed and lowercased' },
+      password: { type: 'string', minLength: 8, maxLength: 128 }
+    }
+  },
+  RefreshToken: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: { refreshToken: { type: 'string', minLength: 1 } }
+  },
+  Session: {
+    type: 'object',
+    required: ['user', 'accessToken', 'refreshToken', 'tokenType', 'expiresIn'],
+    properties: {
+      user: ref('User'),
+      accessToken: { type: 'string', description: 'Send as Authorization: Bearer <token>' },
+      refreshToken: { type: 'string', description: 'Single use; exchange at /api/auth/refresh for a new pair' },
+      tokenType: { const: 'Bearer' },
+      expiresIn: { type: 'integer', description: 'Seconds until the access token expires' }
+    }
+  },
+  Note: {
+    type: 'object',
+    required: ['id', 'title', 'content', 'format', 'version', 'tags'],
+    properties: {
+      id,
+      title: { type: 'string' },
+      content: { type: 'string' },
+      format: { enum: FORMATS },
+      version: { type: 'integer', description: 'Goes up by one on every save; the ETag is built from it' },
+      pinned: { type: 'boolean' },
+      archived: { type: 'boolean' },
+      tags: arrayOf({ type: 'string' }),
+      created_at: timestamp,
+      updated_at: timestamp,
+      changed_at: { ...timestamp, description: 'Last write of any kind, including to its tags; updated_at only follows edits' },
+      html: { type: 'string', description: 'The content rendered to sanitized HTML, with ?render=html' },
+      relinked: {
+        ...arrayOf(id),
+        description: 'After a rename (PUT and PATCH), the notes whose [[links]] to the old title were changed to the new one'
+      },
+      message
+    }
+  },
+  NoteInput: {
+    type: 'object',
+    required: ['title', 'content'],
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: MAX_TITLE_LENGTH },
+      content: { type: 'string', minLength: 1, maxLength: MAX_CONTENT_LENGTH },
+      format: { enum: FORMATS, default: 'plain' },
+      pinned: { type: 'boolean', default: false, description: 'Listed before the other notes' },
+      archived: { type: 'boolean', default: false, description: 'Left out of listings unless ?archived asks for them' },
+      tags
+    }
+  },
+  NotePatch: {
+    type: 'object',
+    description: 'Any of the fields of NoteInput; the others keep their values',
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: MAX_TITLE_LENGTH },
+      content: { type: 'string', minLength: 1, maxLength: MAX_CONTENT_LENGTH },
+      format: { enum: FORMATS },
+      pinned: { type: 'boolean' },
+      archived: { type: 'boolean' },
+      tags
+    }
+  },
+  SearchResult: {
+    allOf: [ref('Note'), {
+      type: 'object',
+      required: ['score', 'highlights'],
+      properties: {
+        score: { type: 'number' },
+        highlights: {
+          type: 'object',
+          description: 'HTML-escaped title and content snippet with matches wrapped in <mark>',
+          properties: { title: { type: 'string' }, content: { type: 'string' } }
+        }
+      }
+    }]
+  },
+  TrashedNote: {
+    allOf: [ref('Note'), {
+      type: 'object',
+      required: ['deleted_at', 'purge_at'],
+      properties: { deleted_at: timestamp, purge_at: timestamp }
+    }]
+  },
+  NoteChanges: {
+    type: 'object',
+    required: ['reset', 'synced_at', 'notes', 'deleted'],
+    properties: {
+      reset: { type: 'boolean', description: 'notes is every note: drop any note not in it' },
+      synced_at: { ...timestamp, description: 'Send as since on the next sync' },
+      notes: { ...arrayOf(ref('Note')), description: 'Created or changed since, oldest change first' },
+      deleted: { ...arrayOf(id), description: 'Ids of notes moved to the trash or purged since' }
+    }
+  },
+  BatchCreate: {
+    allOf: [ref('NoteInput'), { type: 'object', required: ['op'], properties: { op: { const: 'create' } } }]
+  },
+  BatchUpdate: {
+    allOf: [ref('NotePatch'), {
+      type: 'object',
+      required: ['op', 'id'],
+      properties: {
+        op: { const: 'update' },
+        id,
+        version: { type: 'integer', minimum: 1, description: 'Only update the note at this version, like If-Match' }
+      }
+    }]
+  },
+  BatchDelete: {
+    type: 'object',
+    required: ['op', 'id'],
+    properties: {
+      op: { const: 'delete' },
+      id,
+      version: { type: 'integer', minimum: 1, description: 'Only delete the note at this version, like If-Match' }
+    }
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['operations'],
+    properties: {
+      operations: {
+        type: 'array',
+        // lib/batch checks each operation against its schema, so an invalid one is reported in
+        // its own result rather than turning the whole batch away
+        description: `At most ${MAX_BATCH_OPERATIONS}; each is a BatchCreate, BatchUpdate or BatchDelete, told apart by op. ` +
+          'An invalid operation fails on its own, with status 400 in its result.',
+        items: { type: 'object' }
+      },
+      atomic: { type: 'boolean', default: true, description: 'Apply all of the operations or none' }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['atomic', 'committed', 'results'],
+    properties: {
+      atomic: { type: 'boolean' },
+      committed: { type: 'boolean' },
+      results: arrayOf({
+        type: 'object',
+        required: ['index', 'ok', 'status'],
+        properties: {
+          index: { type: 'integer' },
+          op: { type: ['string', 'null'] },
+          ok: { type: 'boolean' },
+          status: { type: 'integer' },
+          id,
+          note: ref('Note'),
+          error: { type: 'string' }
+        }
+      })
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    required: ['dryRun', 'summary', 'items'],
+    properties: {
+      dryRun: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          created: { type: 'integer' },
+          valid: { type: 'integer' },
+          duplicate: { type: 'integer' },
+          invalid: { type: 'integer' }
+        }
+      },
+      items: arrayOf({
+        type: 'object',
+        required: ['index', 'source', 'status'],
+        properties: {
+          index: { type: 'integer' },
+          source: { type: 'string' },
+          title: { type: 'string' },
+          status: { enum: ['created', 'valid', 'duplicate', 'invalid'] },
+          id,
+          duplicateOf: { type: 'integer' },
+          error: { type: 'string' }
+        }
+      })
+    }
+  },
+  Export: {
+    type: 'object',
+    required: ['exported_at', 'notes'],
+    properties: {
+      exported_at: timestamp,
+      notes: arrayOf({
+        type: 'object',
+        required: ['title', 'content'],
+        properties: {
+          id,
+          title: { type: 'string' },
+          content: { type: 'string' },
+          format: { enum: FORMATS },
+          tags: arrayOf({ type: 'string' }),
+          created_at: timestamp,
+          updated_at: timestamp
+        }
+      })
+    }
+  },
+  Tag: {
+    type: 'object',
+    required: ['name', 'count'],
+    properties: { name: { type: 'string' }, count: { type: 'integer' } }
+  },
+  TagName: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH } }
+  },
+  TagMerge: {
+    type: 'object',
+    required: ['sources', 'target'],
+    properties: {
+      sources: { ...tags, minItems: 1 },
+      target: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH }
+    }
+  },
+  RevisionSummary: {
+    type: 'object',
+    required: ['revision', 'title', 'created_at'],
+    properties: { revision: { type: 'integer' }, title: { type: 'string' }, created_at: timestamp }
+  },
+  Revision: {
+    allOf: [ref('RevisionSummary'), {
+      type: 'object',
+      required: ['content'],
+      properties: { content: { type: 'string' } }
+    }]
+  },
+  RevisionDiff: {
+    type: 'object',
+    required: ['from', 'to', 'changes', 'stats', 'unified'],
+    properties: {
+      from: { oneOf: [ref('RevisionSummary'), { type: 'null' }] },
+      to: ref('RevisionSummary'),
+      changes: arrayOf({
+        type: 'object',
+        required: ['type', 'text'],
+        properties: { type: { enum: ['equal', 'added', 'removed'] }, text: { type: 'string' } }
+      }),
+      stats: {
+        type: 'object',
+        properties: { added: { type: 'integer' }, removed: { type: 'integer' } }
+      },
+      unified: { type: 'string' }
+    }
+  },
+  RenderInput: {
+    type: 'object',
+    properties: {
+      content: { type: 'string', maxLength: MAX_CONTENT_LENGTH, default: '' },
+      format: { enum: FORMATS, default: 'markdown' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    required: ['id', 'url', 'events', 'active'],
+    properties: {
+      id,
+      url: { type: 'string' },
+      events: arrayOf({ enum: WEBHOOK_EVENTS }),
+      active: { type: 'boolean' },
+      created_at: timestamp,
+      updated_at: timestamp,
+      secret: { type: 'string', description: 'Only in the response to creating the webhook' },
+      message
+    }
+  },
+  WebhookInput: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: MAX_URL_LENGTH },
+      events: { type: 'array', minItems: 1, items: { enum: WEBHOOK_EVENTS }, default: WEBHOOK_EVENTS },
+      active: { type: 'boolean', default: true },
+      secret: {
+        type: 'string',
+        minLength: MIN_SECRET_LENGTH,
+        maxLength: 255,
+        description: 'Key for the X-Webhook-Signature HMAC; generated when left out'
+      }
+    }
+  },
+  WebhookPatch: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: MAX_URL_LENGTH },
+      events: { type: 'array', minItems: 1, items: { enum: WEBHOOK_EVENTS } },
+      active: { type: 'boolean' }
+    }
+  },
+  Share: {
+    type: 'object',
+    required: ['id', 'note_id', 'expires_at', 'password_protected', 'access_count'],
+    properties: {
+      id,
+      note_id: id,
+      expires_at: { ...timestamp, type: ['string', 'null'] },
+      password_protected: { type: 'boolean' },
+      access_count: { type: 'integer', description: 'Times the note has been viewed through the link' },
+      last_accessed_at: { ...timestamp, type: ['string', 'null'] },
+      created_at: timestamp,
+      token: { type: 'string', description: 'Only in the response to creating the share' },
+      url: { type: 'string', description: 'The read-only page; only in the response to creating the share' },
+      message
+    }
+  },
+  ShareInput: {
+    type: 'object',
+    properties: {
+      expires_at: { ...timestamp, description: 'The link stops working after this; never when left out' },
+      password: {
+        type: 'string',
+        minLength: MIN_PASSWORD_LENGTH,
+        maxLength: MAX_PASSWORD_LENGTH,
+        description: 'Viewers must give it to see the note'
+      }
+    }
+  },
+  SharedNote: {
+    type: 'object',
+    required: ['title', 'content', 'format', 'tags'],
+    properties: {
+      title: { type: 'string' },
+      content: { type: 'string' },
+      format: { enum: FORMATS },
+      tags: arrayOf({ type: 'string' }),
+      updated_at: timestamp,
+      html: { type: 'string', description: 'The content rendered to sanitized HTML, with ?render=html' }
+    }
+  },
+  Attachment: {
+    type: 'object',
+    required: ['id', 'note_id', 'filename', 'content_type', 'size', 'checksum'],
+    properties: {
+      id,
+      note_id: id,
+      filename: { type: 'string' },
+      content_type: { type: 'string' },
+      size: { type: 'integer', description: 'In bytes' },
+      checksum: { type: 'string', description: 'SHA-256 of the file, hex; also its ETag' },
+      created_at: timestamp
+    }
+  },
+  LinkedNote: {
+    type: 'object',
+    required: ['id', 'title'],
+    properties: { id, title: { type: 'string' } }
+  },
+  Link: {
+    type: 'object',
+    required: ['reference', 'note'],
+    properties: {
+      reference: { type: 'string', description: 'What is between the brackets: a title, or #id', examples: ['Meeting notes', '#42'] },
+      note: { oneOf: [ref('LinkedNote'), { type: 'null' }], description: 'The note linked to; null when the link is broken' }
+    }
+  },
+  Backlink: {
+    type: 'object',
+    required: ['reference', 'source'],
+    properties: {
+      reference: { type: 'string', description: 'What is between the brackets: a title, or #id' },
+      source: { ...ref('LinkedNote'), description: 'The note the link is in' }
+    }
+  },
+  Delivery: {
+    type: 'object',
+    required: ['id', 'event', 'payload', 'status', 'attempts'],
+    properties: {
+      id,
+      webhook_id: id,
+      event_id: { type: 'string' },
+      event: { enum: WEBHOOK_EVENTS },
+      payload: { type: 'object' },
+      status: { enum: ['pending', 'delivered', 'failed'] },
+      attempts: { type: 'integer' },
+      response_status: { type: ['integer', 'null'] },
+      error: { type: ['string', 'null'] }
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp'],
+    properties: {
+      status: { enum: ['OK', 'UNAVAILABLE'] },
+      timestamp,
+      database: {
+        type: 'object',
+        properties: {
+          status: { enum: ['up', 'down'] },
+          driver: { type: 'string' },
+          pool: { type: 'object' },
+          error: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const responses = {
+  BadRequest: response('The request is invalid', ref('ValidationError')),
+  Unauthorized: response('No valid access token', ref('Error')),
+  NotFound: response('No such resource, or it belongs to someone else', ref('Error')),
+  PreconditionFailed: response('If-Match no longer matches: the note was saved in the meantime', ref('Error')),
+  TooManyRequests: {
+    description: 'The client\'s rate limit is spent (when RATE_LIMIT_ENABLED)',
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' } },
+    content: json(ref('Error'))
+  }
+};
+
+const parameters = {
+  id: { name: 'id', in: 'path', required: true, schema: id },
+  rev: { name: 'rev', in: 'path', required: true, schema: { type: 'integer', minimum: 1 }, description: 'Revision number' },
+  tag: { name: 'name', in: 'path', required: true, schema: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH } },
+  shareId: { name: 'shareId', in: 'path', required: true, schema: id },
+  attachmentId: { name: 'attachmentId', in: 'path', required: true, schema: id },
+  token: { name: 'token', in: 'path', required: true, schema: { type: 'string', pattern: TOKEN_PATTERN } },
+  render: {
+    name: 'render',
+    in: 'query',
+    schema: { enum: ['html'] },
+    description: 'Add each note\'s content rendered to sanitized HTML'
+  },
+  ifMatch: {
+    name: 'If-Match',
+    in: 'header',
+    schema: { type: 'string' },
+    description: 'The ETag last seen; answers 412 if the note has been saved since'
+  },
+  limit: (max, byDefault) => ({
+    name: 'limit',
+    in: 'query',
+    schema: { type: 'integer', minimum: 1, maximum: max, default: byDefault }
+  })
+};
+
+// An operation. Everything needs a signed-in user unless `public`; 400 is added when there is
+// anything to validate and 429 to everything under /api.
+function operation({ public: open = false, body: requestBody, parameters: params = [], responses: answers, ...rest }) {
+  const result = { ...rest };
+  if (open) {
+    result.security = [];
+  }
+  if (params.length > 0) {
+    result.parameters = params;
+  }
+  if (requestBody) {
+    result.requestBody = requestBody;
+  }
+  result.responses = { ...answers };
+  if (params.length > 0 || requestBody) {
+    result.responses[400] = result.responses[400] || errorResponse('BadRequest');
+  }
+  if (!open) {
+    result.responses[401] = errorResponse('Unauthorized');
+  }
+  return result;
+}
+
+const paths = {
+  '/api/auth/register': {
+    post: operation({
+      operationId: 'register',
+      tags: ['Auth'],
+      summary: 'Create an account and sign in',
+      public: true,
+      body: body(ref('Registration')),
+      responses: {
+        201: response('Signed in to the new account', ref('Session')),
+        409: response('The email is already registered', ref('Error'))
+      }
+    })
+  },
+  '/api/auth/login': {
+    post: operation({
+      operationId: 'login',
+      tags: ['Auth'],
+      summary: 'Sign in',
+      public: true,
+      body: body(ref('Credentials')),
+      responses: {
+        200: response('Signed in', ref('Session')),
+        401: response('Wrong email or password', ref('Error'))
+      }
+    })
+  },
+  '/api/auth/refresh': {
+    post: operation({
+      operationId: 'refreshTokens',
+      tags: ['Auth'],
+      summary: 'Exchange a refresh token for a new token pair',
+      public: true,
+      body: body(ref('RefreshToken')),
+      responses: {
+        200: response('A new token pair; the old refresh token no longer works', ref('Session')),
+        401: response('The refresh token is invalid, used or expired', ref('Error'))
+      }
+    })
+  },
+  '/api/auth/logout': {
+    post: operation({
+      operationId: 'logout',
+      tags: ['Auth'],
+      summary: 'Revoke a refresh token',
+      public: true,
+      body: body(ref('RefreshToken')),
+      responses: { 200: response('Signed out', ref('Message')) }
+    })
+  },
+  '/api/auth/me': {
+    get: operation({
+      operationId: 'getCurrentUser',
+      tags: ['Auth'],
+      summary: 'The signed-in user',
+      responses: {
+        200: response('The user', { type: 'object', required: ['user'], properties: { user: ref('User') } })
+      }
+    })
+  },
+  '/api/events': {
+    get: operation({
+      operationId: 'streamEvents',
+      tags: ['Events'],
+      summary: 'Server-Sent Events stream of changes to the user\'s notes',
+      description: 'Starts with a `ready` event. After a reconnect, missed events are replayed from Last-Event-ID; a `reset` event means they can\'t be and the client should reload. EventSource can\'t send headers, so ?access_token is accepted too.',
+      security: [{ bearerAuth: [] }, { accessToken: [] }],
+      parameters: [
+        parameters.render,
+        { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+        { name: 'last_event_id', in: 'query', schema: { type: 'string' }, description: 'Same as Last-Event-ID' }
+      ],
+      responses: { 200: { description: 'The stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+    })
+  },
+  '/api/export': {
+    get: operation({
+      operationId: 'exportNotes',
+      tags: ['Transfer'],
+      summary: 'Download every note outside the trash',
+      parameters: [{ name: 'format', in: 'query', schema: { enum: Object.keys(TRANSFER_FORMATS), default: 'json' } }],
+      responses: {
+        200: {
+          description: 'The notes as an attachment',
+          content: {
+            'application/json': { schema: ref('Export') },
+            'text/csv': { schema: { type: 'string', description: 'A header row, then a row per note; tags are comma separated' } },
+            'application/zip': { schema: { type: 'string', format: 'binary', description: 'A Markdown file per note with YAML front matter' } }
+          }
+        }
+      }
+    })
+  },
+  '/api/import': {
+    post: operation({
+      operationId: 'importNotes',
+      tags: ['Transfer'],
+      summary: 'Upload a file in any export format',
+      description: 'Each note in the file is reported on; invalid ones are skipped rather than failing the upload.',
+      parameters: [
+        { name: 'format', in: 'query', schema: { enum: Object.keys(TRANSFER_FORMATS) }, description: 'Defaults to the one matching Content-Type' },
+        { name: 'dry_run', in: 'query', schema: { enum: ['true', 'false'], default: 'false' }, description: 'Only validate' },
+        { name: 'duplicates', in: 'query', schema: { enum: ['skip', 'import'], default: 'skip' } }
+      ],
+      // Read raw: each note is checked on its own and reported on, not validated here
+      body: {
+        required: true,
+        content: {
+          'application/json': { schema: { description: 'An Export, or just its array of notes' } },
+          'text/csv': { schema: { type: 'string' } },
+          'application/zip': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: {
+        200: response('Nothing was created (a dry run, or only duplicates and invalid notes)', ref('ImportReport')),
+        201: response('Notes were created', ref('ImportReport')),
+        413: response('The upload is larger than IMPORT_MAX_MB', ref('Error'))
+      }
+    })
+  },
+  '/api/notes': {
+    get: operation({
+      operationId: 'listNotes',
+      tags: ['Notes'],
+      summary: 'List notes, a page at a time',
+      description: 'Pinned notes come first. The next page is linked from the Link header (rel="next") and its cursor is in X-Next-Cursor.',
+      parameters: [
+        parameters.limit(MAX_LIMIT, DEFAULT_LIMIT),
+        { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'From X-Next-Cursor; only valid for the same sort and order' },
+        { name: 'sort', in: 'query', schema: { enum: SORT_FIELDS, default: 'created_at' } },
+        { name: 'order', in: 'query', schema: { type: 'string' }, description: 'asc or desc; defaults to asc when sorting by title, desc otherwise' },
+        { name: 'created_after', in: 'query', schema: timestamp },
+        { name: 'updated_since', in: 'query', schema: timestamp },
+        {
+          name: 'tag',
+          in: 'query',
+          schema: { anyOf: [{ type: 'string' }, arrayOf({ type: 'string' })] },
+          description: 'Only notes with this tag; repeat for several'
+        },
+        { name: 'match', in: 'query', schema: { enum: ['all', 'any'], default: 'all' }, description: 'Whether notes need every ?tag or any of them' },
+        {
+          name: 'archived',
+          in: 'query',
+          schema: { enum: Object.keys(ARCHIVED_FILTERS), default: 'false' },
+          description: 'Leave archived notes out, list only them, or list all notes'
+        },
+        parameters.render
+      ],
+      responses: { 200: response('The notes', arrayOf(ref('Note'))) }
+    }),
+    post: operation({
+      operationId: 'createNote',
+      tags: ['Notes'],
+      summary: 'Create a note',
+      body: body(ref('NoteInput')),
+      responses: { 201: response('The new note, with its ETag', ref('Note')) }
+    })
+  },
+  '/api/notes/search': {
+    get: operation({
+      operationId: 'searchNotes',
+      tags: ['Notes'],
+      summary: 'Search notes by relevance',
+      parameters: [
+        {
+          name: 'q',
+          in: 'query',
+          required: true,
+          schema: { type: 'string', maxLength: MAX_QUERY_LENGTH },
+          description: 'Words, "quoted phrases" and prefix* terms'
+        },
+        { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 }, description: 'At most 100 results are returned' }
+      ],
+      responses: { 200: response('The best matches first', arrayOf(ref('SearchResult'))) }
+    })
+  },
+  '/api/notes/changes': {
+    get: operation({
+      operationId: 'listNoteChanges',
+      tags: ['Notes'],
+      summary: 'Notes changed and deleted since the last sync',
+      description: 'For clients keeping notes offline. Send the synced_at of the previous response as since; ' +
+        'without it, or when it is older than the trash retention period, every note is listed and reset is true.',
+      parameters: [
+        { name: 'since', in: 'query', schema: timestamp, description: 'synced_at from the previous sync' },
+        parameters.render
+      ],
+      responses: { 200: response('The changes', ref('NoteChanges')) }
+    })
+  },
+  '/api/notes/batch': {
+    post: operation({
+      operationId: 'batchNotes',
+      tags: ['Notes'],
+      summary: 'Create, update and delete several notes in one request',
+      body: body(ref('BatchRequest')),
+      responses: {
+        200: response('Every operation was applied, or, if not atomic, each one\'s outcome', ref('BatchResult')),
+        400: response('The request is invalid, or an atomic batch failed on an invalid operation', {
+          anyOf: [ref('ValidationError'), ref('BatchResult')]
+        }),
+        404: response('An atomic batch failed on a missing note; nothing was applied', ref('BatchResult')),
+        412: response('An atomic batch failed on an operation\'s version; nothing was applied', ref('BatchResult'))
+      }
+    })
+  },
+  '/api/notes/{id}': {
+    get: operation({
+      operationId: 'getNote',
+      tags: ['Notes'],
+      summary: 'Fetch a note',
+      parameters: [parameters.id, parameters.render, { name: 'If-None-Match', in: 'header', schema: { type: 'string' } }],
+      responses: {
+        200: response('The note, with its ETag', ref('Note')),
+        304: response('Not modified since the ETag in If-None-Match'),
+        404: errorResponse('NotFound')
+      }
+    }),
+    put: operation({
+      operationId: 'replaceNote',
+      tags: ['Notes'],
+      summary: 'Replace a note',
+      parameters: [parameters.id, parameters.ifMatch],
+      body: body(ref('NoteInput')),
+      responses: {
+        200: response('The saved note, with its new ETag', ref('Note')),
+        404: errorResponse('NotFound'),
+        412: errorResponse('PreconditionFailed')
+      }
+    }),
+    patch: operation({
+      operationId: 'updateNote',
+      tags: ['Notes'],
+      summary: 'Change some of a note\'s fields',
+      parameters: [parameters.id, parameters.ifMatch],
+      body: body(ref('NotePatch')),
+      responses: {
+        200: response('The saved note, with its new ETag', ref('Note')),
+        404: errorResponse('NotFound'),
+        412: errorResponse('PreconditionFailed')
+      }
+    }),
+    delete: operation({
+      operationId: 'deleteNote',
+      tags: ['Notes'],
+      summary: 'Move a note to the trash',
+      parameters: [parameters.id, parameters.ifMatch],
+      responses: {
+        200: response('Moved', ref('Message')),
+        404: errorResponse('NotFound'),
+        412: errorResponse('PreconditionFailed')
+      }
+    })
+  },
+  '/api/notes/{id}/restore': {
+    post: operation({
+      operationId: 'restoreNote',
+      tags: ['Trash'],
+      summary: 'Take a note back out of the trash',
+      parameters: [parameters.id],
+      responses: { 200: response('Restored', ref('Message')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/notes/{id}/revisions': {
+    get: operation({
+      operationId: 'listRevisions',
+      tags: ['Revisions'],
+      summary: 'A note\'s saved states, newest first',
+      parameters: [parameters.id],
+      responses: { 200: response('The revisions', arrayOf(ref('RevisionSummary'))), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/notes/{id}/revisions/{rev}': {
+    get: operation({
+      operationId: 'getRevision',
+      tags: ['Revisions'],
+      summary: 'A saved state of a note',
+      parameters: [parameters.id, parameters.rev],
+      responses: { 200: response('The revision', ref('Revision')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/notes/{id}/revisions/{rev}/diff': {
+    get: operation({
+      operationId: 'diffRevisions',
+      tags: ['Revisions'],
+      summary: 'Line diff of the content between two revisions',
+      parameters: [
+        parameters.id,
+        parameters.rev,
+        { name: 'from', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Defaults to the revision before rev' }
+      ],
+      responses: { 200: response('The diff', ref('RevisionDiff')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/notes/{id}/revisions/{rev}/restore': {
+    post: operation({
+      operationId: 'restoreRevision',
+      tags: ['Revisions'],
+      summary: 'Save a revision\'s state as the note\'s newest',
+      parameters: [parameters.id, parameters.rev],
+      responses: {
+        200: response('Restored', {
+          type: 'object',
+          required: ['revision', 'restoredFrom', 'message'],
+          properties: { revision: { type: 'integer' }, restoredFrom: { type: 'integer' }, message }
+        }),
+        404: errorResponse('NotFound')
+      }
+    })
+  },
+  '/api/notes/{id}/shares': {
+    get: operation({
+      operationId: 'listShares',
+      tags: ['Shares'],
+      summary: 'A note\'s public links',
+      parameters: [parameters.id],
+      responses: { 200: response('The shares', arrayOf(ref('Share'))), 404: errorResponse('NotFound') }
+    }),
+    post: operation({
+      operationId: 'createShare',
+      tags: ['Shares'],
+      summary: 'Make a read-only public link to a note',
+      parameters: [parameters.id],
+      body: body(ref('ShareInput')),
+      responses: {
+        201: response('The share, with its token and url (shown only this once)', ref('Share')),
+        404: errorResponse('NotFound')
+      }
+    })
+  },
+  '/api/notes/{id}/shares/{shareId}': {
+    delete: operation({
+      operationId: 'deleteShare',
+      tags: ['Shares'],
+      summary: 'Revoke a public link',
+      parameters: [parameters.id, parameters.shareId],
+      responses: { 200: response('Revoked', ref('Message')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/notes/{id}/links': {
+    get: operation({
+      operationId: 'listLinks',
+      tags: ['Links'],
+      summary: 'The [[links]] in a note',
+      parameters: [parameters.id],
+      responses: { 200: response('The links, in the order they appear', arrayOf(ref('Link'))), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/notes/{id}/backlinks': {
+    get: operation({
+      operationId: 'listBacklinks',
+      tags: ['Links'],
+      summary: 'Links to a note from other notes',
+      parameters: [parameters.id],
+      responses: { 200: response('The links, by #id or by the note\'s title', arrayOf(ref('Backlink'))), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/links/broken': {
+    get: operation({
+      operationId: 'listBrokenLinks',
+      tags: ['Links'],
+      summary: 'Links that don\'t point at any note',
+      responses: { 200: response('Links to unknown titles or ids, or to notes in the trash', arrayOf(ref('Backlink'))) }
+    })
+  },
+  '/api/notes/{id}/attachments': {
+    get: operation({
+      operationId: 'listAttachments',
+      tags: ['Attachments'],
+      summary: 'A note\'s attachments',
+      parameters: [parameters.id],
+      responses: { 200: response('The attachments, oldest first', arrayOf(ref('Attachment'))), 404: errorResponse('NotFound') }
+    }),
+    post: operation({
+      operationId: 'uploadAttachments',
+      tags: ['Attachments'],
+      summary: 'Attach files to a note',
+      description: `Up to ${MAX_FILES_PER_UPLOAD} files of at most ATTACHMENT_MAX_MB each, of the types in ATTACHMENT_TYPES ` +
+        `(${config.attachments.types.join(', ')}). Nothing is attached unless every file is accepted.`,
+      parameters: [parameters.id],
+      // Streamed to the blob store, not validated here
+      body: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: { type: 'object', properties: { file: arrayOf({ type: 'string', format: 'binary' }) } }
+          }
+        }
+      },
+      responses: {
+        201: response('The new attachments', arrayOf(ref('Attachment'))),
+        404: errorResponse('NotFound'),
+        413: response('A file is larger than ATTACHMENT_MAX_MB, or there are too many', ref('Error')),
+        415: response('A file\'s type is not allowed', ref('Error'))
+      }
+    })
+  },
+  '/api/notes/{id}/attachments/{attachmentId}': {
+    get: operation({
+      operationId: 'downloadAttachment',
+      tags: ['Attachments'],
+      summary: 'Download an attachment',
+      description: 'Images and plain text open in the browser; other files download. Send Range: bytes=<start>-<end> for part of the file.',
+      parameters: [
+        parameters.id,
+        parameters.attachmentId,
+        { name: 'Range', in: 'header', schema: { type: 'string' } },
+        { name: 'If-Range', in: 'header', schema: { type: 'string' } },
+        { name: 'If-None-Match', in: 'header', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: { description: 'The file', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+        206: { description: 'The range asked for', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+        304: response('Not modified since the ETag in If-None-Match'),
+        404: errorResponse('NotFound'),
+        416: response('The range is outside the file', ref('Error'))
+      }
+    }),
+    delete: operation({
+      operationId: 'deleteAttachment',
+      tags: ['Attachments'],
+      summary: 'Delete an attachment and its file',
+      parameters: [parameters.id, parameters.attachmentId],
+      responses: { 200: response('Deleted', ref('Message')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/shares/{token}': {
+    get: operation({
+      operationId: 'getSharedNote',
+      tags: ['Shares'],
+      summary: 'The note behind a public link',
+      description: 'Needs no account. The same note is shown as a standalone page at /s/{token}. Each view is counted.',
+      public: true,
+      parameters: [
+        parameters.token,
+        { name: 'X-Share-Password', in: 'header', schema: { type: 'string' }, description: 'For password protected shares' },
+        parameters.render
+      ],
+      responses: {
+        200: response('The note', ref('SharedNote')),
+        401: response('The share is password protected and the password is missing or wrong', ref('Error')),
+        404: response('No such share, it has been revoked or the note is in the trash', ref('Error')),
+        410: response('The share has expired', ref('Error'))
+      }
+    })
+  },
+  '/api/trash': {
+    get: operation({
+      operationId: 'listTrash',
+      tags: ['Trash'],
+      summary: 'Trashed notes, most recently deleted first',
+      responses: { 200: response('The notes, with the date each will be purged', arrayOf(ref('TrashedNote'))) }
+    })
+  },
+  '/api/trash/{id}': {
+    delete: operation({
+      operationId: 'purgeNote',
+      tags: ['Trash'],
+      summary: 'Delete a trashed note permanently',
+      parameters: [parameters.id],
+      responses: { 200: response('Deleted', ref('Message')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/render': {
+    post: operation({
+      operationId: 'renderPreview',
+      tags: ['Notes'],
+      summary: 'Render content to sanitized HTML without saving it',
+      body: body(ref('RenderInput')),
+      responses: {
+        200: response('The HTML', { type: 'object', required: ['html'], properties: { html: { type: 'string' } } })
+      }
+    })
+  },
+  '/api/tags': {
+    get: operation({
+      operationId: 'listTags',
+      tags: ['Tags'],
+      summary: 'Every tag with the number of notes using it',
+      responses: { 200: response('The tags', arrayOf(ref('Tag'))) }
+    })
+  },
+  '/api/tags/merge': {
+    post: operation({
+      operationId: 'mergeTags',
+      tags: ['Tags'],
+      summary: 'Merge several tags into one',
+      body: body(ref('TagMerge')),
+      responses: {
+        200: response('Merged', {
+          type: 'object',
+          required: ['name', 'merged', 'message'],
+          properties: { name: { type: 'string' }, merged: { type: 'integer' }, message }
+        })
+      }
+    })
+  },
+  '/api/tags/{name}': {
+    patch: operation({
+      operationId: 'renameTag',
+      tags: ['Tags'],
+      summary: 'Rename a tag; renaming onto an existing tag merges the two',
+      parameters: [parameters.tag],
+      body: body(ref('TagName')),
+      responses: {
+        200: response('Renamed', {
+          type: 'object',
+          required: ['name', 'merged', 'message'],
+          properties: { name: { type: 'string' }, merged: { type: 'boolean' }, message }
+        }),
+        404: errorResponse('NotFound')
+      }
+    }),
+    delete: operation({
+      operationId: 'deleteTag',
+      tags: ['Tags'],
+      summary: 'Remove a tag from every note',
+      parameters: [parameters.tag],
+      responses: { 200: response('Deleted', ref('Message')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/webhooks': {
+    get: operation({
+      operationId: 'listWebhooks',
+      tags: ['Webhooks'],
+      summary: 'The user\'s webhooks',
+      responses: { 200: response('The webhooks', arrayOf(ref('Webhook'))) }
+    }),
+    post: operation({
+      operationId: 'createWebhook',
+      tags: ['Webhooks'],
+      summary: 'Subscribe a URL to note events',
+      body: body(ref('WebhookInput')),
+      responses: { 201: response('The webhook, with its secret (shown only this once)', ref('Webhook')) }
+    })
+  },
+  '/api/webhooks/{id}': {
+    get: operation({
+      operationId: 'getWebhook',
+      tags: ['Webhooks'],
+      summary: 'Fetch a webhook',
+      parameters: [parameters.id],
+      responses: { 200: response('The webhook', ref('Webhook')), 404: errorResponse('NotFound') }
+    }),
+    patch: operation({
+      operationId: 'updateWebhook',
+      tags: ['Webhooks'],
+      summary: 'Change a webhook\'s url, events or active flag',
+      parameters: [parameters.id],
+      body: body(ref('WebhookPatch')),
+      responses: { 200: response('The webhook', ref('Webhook')), 404: errorResponse('NotFound') }
+    }),
+    delete: operation({
+      operationId: 'deleteWebhook',
+      tags: ['Webhooks'],
+      summary: 'Delete a webhook and its pending deliveries',
+      parameters: [parameters.id],
+      responses: { 200: response('Deleted', ref('Message')), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: operation({
+      operationId: 'listWebhookDeliveries',
+      tags: ['Webhooks'],
+      summary: 'A webhook\'s delivery log, newest first',
+      parameters: [parameters.id, parameters.limit(200, 50)],
+      responses: { 200: response('The deliveries', arrayOf(ref('Delivery'))), 404: errorResponse('NotFound') }
+    })
+  },
+  '/api/openapi.json': {
+    get: operation({
+      operationId: 'getOpenApiDocument',
+      tags: ['Meta'],
+      summary: 'This document',
+      public: true,
+      responses: { 200: response('The OpenAPI document', { type: 'object' }) }
+    })
+  },
+  '/health': {
+    get: operation({
+      operationId: 'health',
+      tags: ['Meta'],
+      summary: 'Liveness (same as /health/live)',
+      public: true,
+      responses: { 200: response('The process is serving requests', ref('Health')) }
+    })
+  },
+  '/health/live': {
+    get: operation({
+      operationId: 'liveness',
+      tags: ['Meta'],
+      summary: 'Liveness',
+      public: true,
+      responses: { 200: response('The process is serving requests', ref('Health')) }
+    })
+  },
+  '/health/ready': {
+    get: operation({
+      operationId: 'readiness',
+      tags: ['Meta'],
+      summary: 'Readiness: the database answers',
+      public: true,
+      responses: {
+        200: response('Ready for traffic', ref('Health')),
+        503: response('The database is down', ref('Health'))
+      }
+    })
+  },
+  '/metrics': {
+    get: operation({
+      operationId: 'metrics',
+      tags: ['Meta'],
+      summary: 'Prometheus metrics (served on METRICS_PORT instead when it is set)',
+      public: true,
+      responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+    })
+  }
+};
+
+// Everything under /api can be rate limited
+for (const [path, item] of Object.entries(paths)) {
+  if (path.startsWith('/api/')) {
+    Object.values(item).forEach((op) => {
+      op.responses[429] = errorResponse('TooManyRequests');
+    });
+  }
+}
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Notes API',
+    version,
+    description: 'Notes with tags, attachments, [[links]] between them, revisions, a trash, full-text search, bulk import/export, live events, webhooks and public links. Errors answer `{ error }`; invalid requests add `details` naming each field.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  tags: ['Auth', 'Notes', 'Revisions', 'Trash', 'Tags', 'Transfer', 'Events', 'Webhooks', 'Shares', 'Attachments', 'Links', 'Meta'].map(name => ({ name })),
+  paths,
+  components: {
+    schemas,
+    responses,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      accessToken: { type: 'apiKey', in: 'query', name: 'access_token' }
+    }
+  }
+};
+
+// The method, path and operation for an operationId
+function findOperation(operationId) {
+  for (const [path, item] of Object.entries(paths)) {
+    for (const [method, op] of Object.entries(item)) {
+      if (op.operationId === operationId) {
+        return { method, path, operation: op };
+      }
+    }
+  }
+  throw new Error(`Unknown operation ${operationId}`);
+}
+
+module.exports = {
+  document,
+  findOperation
+};
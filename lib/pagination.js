@@ -0,0 +1,105 @@
+// Query parsing and opaque cursors for keyset pagination of note listings
+const { BadRequestError } = require('./errors');
+
+const SORT_FIELDS = ['created_at', 'updated_at', 'title'];
+const DATE_FIELDS = ['created_at', 'updated_at'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// ?archived: leave archived notes out (the default), list only them, or list everything
+const ARCHIVED_FILTERS = { false: false, true: true, all: undefined };
+
+function parseLimit(value) {
+  if (value === undefined) {
+    return DEFAULT_LIMIT;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`${name} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+// Pinned notes come first whatever the sort, so the cursor carries whether the last one was
+function encodeCursor(note, { sort, order }) {
+  const value = note[sort] instanceof Date ? note[sort].toISOString() : note[sort];
+  return Buffer.from(JSON.stringify({ s: sort, o: order, p: note.pinned ? 1 : 0, v: value, id: note.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, { sort, order }) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (_error) {
+    throw new BadRequestError('cursor is malformed');
+  }
+  if (!decoded || !Number.isInteger(decoded.id)) {
+    throw new BadRequestError('cursor is malformed');
+  }
+  if (decoded.s !== sort || decoded.o !== order) {
+    throw new BadRequestError('cursor was issued for a different sort order');
+  }
+  return {
+    id: decoded.id,
+    pinned: decoded.p === 1,
+    value: DATE_FIELDS.includes(sort) ? new Date(decoded.v) : decoded.v
+  };
+}
+
+// Turn GET /api/notes query parameters into repository list options
+function parseListQuery(query) {
+  const sort = query.sort === undefined ? 'created_at' : query.sort;
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new BadRequestError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = query.order === undefined ? (sort === 'title' ? 'asc' : 'desc') : String(query.order).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new BadRequestError('order must be asc or desc');
+  }
+
+  const archived = query.archived === undefined ? 'false' : query.archived;
+  if (!Object.prototype.hasOwnProperty.call(ARCHIVED_FILTERS, archived)) {
+    throw new BadRequestError(`archived must be one of: ${Object.keys(ARCHIVED_FILTERS).join(', ')}`);
+  }
+
+  return {
+    sort,
+    order,
+    archived: ARCHIVED_FILTERS[archived],
+    limit: parseLimit(query.limit),
+    after: query.cursor === undefined ? undefined : decodeCursor(query.cursor, { sort, order }),
+    createdAfter: parseDate(query.created_after, 'created_after'),
+    updatedSince: parseDate(query.updated_since, 'updated_since')
+  };
+}
+
+// Fetch one extra row to learn whether another page exists
+async function paginate(list, options) {
+  const rows = await list({ ...options, limit: options.limit + 1 });
+  const items = rows.slice(0, options.limit);
+  const next = rows.length > options.limit ? encodeCursor(items[items.length - 1], options) : null;
+  return { items, next };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  ARCHIVED_FILTERS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseDate,
+  parseListQuery,
+  paginate,
+  encodeCursor,
+  decodeCursor
+};
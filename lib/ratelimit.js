@@ -0,0 +1,111 @@
+// Token bucket rate limiting for the API. Each client (its user once signed in, otherwise its IP)
+// has a bucket for reads and one for writes, holding up to `max` requests and refilling
+// continuously at `max` per window. Buckets live in a store: one per process by default, or
+// the database (storage.rateLimits) to share them between instances.
+const { verifyAccessToken, accessToken } = require('./auth');
+const { logger } = require('./logger');
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Take one token from `bucket` ({ tokens, updatedAt }, or undefined for a full one) at time `now`.
+// Resolves to the bucket to keep, whether the request is allowed, and the tokens left.
+function takeToken(bucket, { capacity, windowMs }, now) {
+  const available = bucket
+    ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * (capacity / windowMs))
+    : capacity;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+  return { bucket: { tokens, updatedAt: now }, allowed, tokens };
+}
+
+// Buckets in this process only
+function createMemoryStore() {
+  const buckets = new Map();
+  return {
+    async take(key, limit, now) {
+      const { bucket, allowed, tokens } = takeToken(buckets.get(key), limit, now);
+      buckets.set(key, bucket);
+      return { allowed, tokens };
+    },
+
+    // A bucket left alone for a whole window is full again, the same as no bucket at all
+    async prune(before) {
+      for (const [key, bucket] of buckets) {
+        if (bucket.updatedAt < before) {
+          buckets.delete(key);
+        }
+      }
+    }
+  };
+}
+
+// Buckets in the database, shared by every instance using it
+function createStorageStore(getStorage) {
+  return {
+    take: async (key, limit, now) => (await getStorage()).rateLimits.take(key, limit, now),
+    prune: async before => (await getStorage()).rateLimits.prune(before)
+  };
+}
+
+// The signed-in user's bucket, so clients sharing an address don't share a budget; an invalid
+// token is left for the auth middleware to reject and counts against the IP
+function clientKey(req) {
+  const token = accessToken(req);
+  if (token) {
+    try {
+      return `user:${verifyAccessToken(token).id}`;
+    } catch (_error) {
+      // Fall through to the IP
+    }
+  }
+  return `ip:${req.ip}`;
+}
+
+// Express middleware answering 429 once a client's bucket is empty. RateLimit-* headers
+// (IETF draft) tell clients their budget on every response. If the store fails the request is
+// let through rather than taking the API down with it.
+function createRateLimiter({ store, windowMs, readMax, writeMax, keyOf = clientKey, now = Date.now }) {
+  let prunedAt = now();
+
+  return async function rateLimit(req, res, next) {
+    const kind = SAFE_METHODS.has(req.method) ? 'read' : 'write';
+    const capacity = kind === 'read' ? readMax : writeMax;
+    const at = now();
+
+    let result;
+    try {
+      result = await store.take(`${kind}:${keyOf(req)}`, { capacity, windowMs }, at);
+    } catch (error) {
+      logger.error('Rate limit store failed; request let through', { error });
+      return next();
+    }
+
+    if (at - prunedAt >= windowMs) {
+      prunedAt = at;
+      store.prune(at - windowMs).catch(error => logger.error('Error pruning rate limit buckets', { error }));
+    }
+
+    const perSecond = capacity / windowMs * 1000;
+    res.set({
+      'RateLimit-Policy': `${capacity};w=${Math.round(windowMs / 1000)}`,
+      'RateLimit-Limit': String(capacity),
+      'RateLimit-Remaining': String(Math.floor(result.tokens)),
+      // Seconds until the bucket is full again
+      'RateLimit-Reset': String(Math.ceil((capacity - result.tokens) / perSecond))
+    });
+    if (!result.allowed) {
+      const retryAfter = Math.ceil((1 - result.tokens) / perSecond);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many requests; retry in ${retryAfter} second(s)` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  takeToken,
+  createMemoryStore,
+  createStorageStore,
+  clientKey,
+  createRateLimiter
+};
@@ -0,0 +1,111 @@
+// Note formats and HTML rendering. Markdown is rendered with raw HTML disabled and the
+// output is then run through an allowlist sanitizer, so note content can never inject script.
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { BadRequestError } = require('./errors');
+const { escapeHtml } = require('./search');
+
+const FORMATS = ['plain', 'markdown'];
+const DEFAULT_FORMAT = 'plain';
+
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+// GitHub-style checklists: list items starting with "[ ]" or "[x]" get a disabled checkbox
+markdown.core.ruler.after('inline', 'task_lists', (state) => {
+  const tokens = state.tokens;
+  tokens.forEach((token, index) => {
+    if (token.type !== 'inline' || tokens[index - 2]?.type !== 'list_item_open') {
+      return;
+    }
+    const first = token.children[0];
+    const match = first && first.type === 'text' && /^\[([ xX])\]\s/.exec(first.content);
+    if (!match) {
+      return;
+    }
+    first.content = first.content.slice(match[0].length);
+    const checkbox = new state.Token('html_inline', '', 0);
+    checkbox.content = `<input type="checkbox" disabled${match[1] === ' ' ? '' : ' checked'}> `;
+    token.children.unshift(checkbox);
+    tokens[index - 2].attrJoin('class', 'task-list-item');
+  });
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'input', 'del']),
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    input: ['type', 'checked', 'disabled'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    li: ['task-list-item'],
+    code: [/^language-[\w-]+$/]
+  },
+  allowedStyles: {
+    '*': { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+    // Only ever a read-only checkbox
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: { type: 'checkbox', disabled: '', ...('checked' in attribs ? { checked: '' } : {}) }
+    })
+  }
+};
+
+// undefined passes through (keep the current format); anything unknown is a 400
+function normalizeFormat(format) {
+  if (format === undefined) {
+    return undefined;
+  }
+  if (!FORMATS.includes(format)) {
+    throw new BadRequestError(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+// ?render=html asks for rendered content alongside the raw content
+function wantsHtml(query) {
+  if (query.render === undefined) {
+    return false;
+  }
+  if (query.render !== 'html') {
+    throw new BadRequestError('render must be html');
+  }
+  return true;
+}
+
+// Strip everything outside the allowlist from an HTML fragment
+function sanitize(html) {
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+// Sanitized HTML for note content in the given format
+function renderContent(content, format = DEFAULT_FORMAT) {
+  if (format === 'markdown') {
+    return sanitize(markdown.render(content || ''));
+  }
+  // Plain text keeps its line breaks
+  return (content || '').split(/\r?\n\r?\n/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\r?\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+function withHtml(note) {
+  return { ...note, html: renderContent(note.content, note.format) };
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  normalizeFormat,
+  wantsHtml,
+  sanitize,
+  renderContent,
+  withHtml
+};
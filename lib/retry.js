@@ -0,0 +1,27 @@
+// Retry an async operation with exponential backoff
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function retry(operation, options = {}) {
+  const {
+    retries = 5,
+    minDelay = 500,
+    maxDelay = 10000,
+    shouldRetry = () => true,
+    onRetry = () => {}
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+      const delay = Math.min(minDelay * 2 ** attempt, maxDelay);
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = retry;
@@ -0,0 +1,103 @@
+// /api/notes/:id/attachments: files attached to one of the signed-in user's notes
+const express = require('express');
+const { HttpError } = require('../errors');
+const { receiveFiles, removeBlobs, sendAttachment, toPublic } = require('../attachments');
+const { logger } = require('../logger');
+const { validate } = require('../validation');
+
+// getStorage resolves the connected storage backend and blobs is the store from lib/blobs;
+// requireAuth runs before this router
+function createAttachmentsRouter({ getStorage, blobs }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', validate('listAttachments'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json((await storage.attachments.list(note.id)).map(toPublic));
+    } catch (error) {
+      logger.error('Error fetching attachments', { error });
+      res.status(500).json({ error: 'Failed to fetch attachments' });
+    }
+  });
+
+  // multipart/form-data with one or more files, in any field
+  router.post('/', validate('uploadAttachments'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+
+      const files = await receiveFiles(req, blobs);
+      let created;
+      try {
+        created = await storage.transaction(async (tx) => {
+          const rows = [];
+          for (const file of files) {
+            rows.push(await tx.attachments.create(note.id, file));
+          }
+          return rows;
+        });
+      } catch (error) {
+        await removeBlobs(blobs, files.map(file => file.storageKey));
+        throw error;
+      }
+      res.status(201).json(created.map(toPublic));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error uploading attachments', { error });
+      res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+  });
+
+  // The file itself, with Range requests for partial downloads
+  router.get('/:attachmentId', validate('downloadAttachment'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      const attachment = note && await storage.attachments.get(note.id, req.params.attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+      await sendAttachment(req, res, blobs, attachment);
+    } catch (error) {
+      if (res.headersSent) {
+        // Mid-stream: all we can do is cut the download short
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          logger.error('Error downloading attachment', { error });
+        }
+        return res.destroy();
+      }
+      logger.error('Error downloading attachment', { error });
+      res.removeHeader('Content-Disposition');
+      res.type('json').status(500).json({ error: 'Failed to download attachment' });
+    }
+  });
+
+  router.delete('/:attachmentId', validate('deleteAttachment'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      const attachment = note && await storage.attachments.get(note.id, req.params.attachmentId);
+      if (!attachment || !(await storage.attachments.remove(note.id, attachment.id))) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+      await removeBlobs(blobs, [attachment.storage_key]);
+      res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting attachment', { error });
+      res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAttachmentsRouter;
@@ -0,0 +1,102 @@
+// /api/auth: registration, login, token refresh and logout
+const express = require('express');
+const { logger } = require('../logger');
+const { hashPassword, verifyPassword, hashRefreshToken, issueTokens, requireAuth } = require('../auth');
+const { validate } = require('../validation');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function readCredentials(body) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+  return { email, password };
+}
+
+// getStorage resolves the connected storage backend
+function createAuthRouter({ getStorage }) {
+  const router = express.Router();
+
+  // The schema checks the password's length; the email is checked once trimmed
+  router.post('/register', validate('register'), async (req, res) => {
+    const { email, password } = readCredentials(req.body);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    try {
+      const storage = await getStorage();
+      const user = await storage.users.create({ email, passwordHash: await hashPassword(password) });
+      if (!user) {
+        return res.status(409).json({ error: 'Email is already registered' });
+      }
+      res.status(201).json({ user, ...(await issueTokens(storage, user)) });
+    } catch (error) {
+      logger.error('Error registering user', { error });
+      res.status(500).json({ error: 'Failed to register' });
+    }
+  });
+
+  router.post('/login', validate('login'), async (req, res) => {
+    const { email, password } = readCredentials(req.body);
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    try {
+      const storage = await getStorage();
+      const user = await storage.users.findByEmail(email);
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+      const account = { id: user.id, email: user.email };
+      res.json({ user: account, ...(await issueTokens(storage, account)) });
+    } catch (error) {
+      logger.error('Error logging in', { error });
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+
+  // Exchange a refresh token for a new token pair; the old refresh token stops working
+  router.post('/refresh', validate('refreshTokens'), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const storage = await getStorage();
+      const tokens = await storage.transaction(async (tx) => {
+        const userId = await tx.users.consumeRefreshToken(hashRefreshToken(refreshToken));
+        const user = userId && await tx.users.findById(userId);
+        return user && { user: { id: user.id, email: user.email }, ...(await issueTokens(tx, user)) };
+      });
+      if (!tokens) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+      res.json(tokens);
+    } catch (error) {
+      logger.error('Error refreshing token', { error });
+      res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  });
+
+  router.post('/logout', validate('logout'), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const storage = await getStorage();
+      await storage.users.consumeRefreshToken(hashRefreshToken(refreshToken));
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      logger.error('Error logging out', { error });
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  });
+
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
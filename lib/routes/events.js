@@ -0,0 +1,70 @@
+// /api/events: a Server-Sent Events stream of changes to the signed-in user's notes
+const express = require('express');
+const { requireStreamAuth } = require('../auth');
+const { HttpError } = require('../errors');
+const { wantsHtml, withHtml } = require('../render');
+const { validate } = require('../validation');
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// How long the browser waits before reconnecting
+const RETRY_MS = 3000;
+// Events whose data is a note
+const NOTE_EVENTS = ['note.created', 'note.updated', 'note.restored'];
+
+// events is the bus from lib/events
+function createEventsRouter({ events }) {
+  const router = express.Router();
+
+  // ?render=html adds the rendered html to notes, like the listings. A new stream starts with a
+  // `ready` event. After a reconnect the browser sends Last-Event-ID (or pass ?last_event_id)
+  // and missed events are replayed; a `reset` event means they can't be, and the client
+  // should reload its notes.
+  router.get('/events', requireStreamAuth, validate('streamEvents'), (req, res) => {
+    let render;
+    try {
+      render = wantsHtml(req.query);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const send = (event) => {
+      const data = render && NOTE_EVENTS.includes(event.type) ? withHtml(event.data) : event.data;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Subscribe and replay in the same tick so nothing published in between is lost
+    const unsubscribe = events.subscribe(req.user.id, send);
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    const missed = lastEventId && events.since(req.user.id, lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      // Either way, the id lets the next reconnect resume from here
+      res.write(`id: ${events.lastId()}\nevent: ${lastEventId ? 'reset' : 'ready'}\ndata: {}\n\n`);
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = createEventsRouter;
@@ -0,0 +1,57 @@
+// [[Links]] between the signed-in user's notes: /api/notes/:id/links, /api/notes/:id/backlinks
+// and /api/links/broken
+const express = require('express');
+const { listLinks, listBacklinks, listBrokenLinks } = require('../links');
+const { logger } = require('../logger');
+const { validate } = require('../validation');
+
+// getStorage resolves the connected storage backend; requireAuth runs before this router
+function createLinksRouter({ getStorage }) {
+  const router = express.Router();
+
+  // The links in a note, in order; `note` is null for links that don't point at any note
+  router.get('/notes/:id/links', validate('listLinks'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json(await listLinks(storage, req.user.id, note.id));
+    } catch (error) {
+      logger.error('Error fetching links', { error });
+      res.status(500).json({ error: 'Failed to fetch links' });
+    }
+  });
+
+  // The notes linking to this one, by #id or by its title
+  router.get('/notes/:id/backlinks', validate('listBacklinks'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json(await listBacklinks(storage, req.user.id, note));
+    } catch (error) {
+      logger.error('Error fetching backlinks', { error });
+      res.status(500).json({ error: 'Failed to fetch backlinks' });
+    }
+  });
+
+  // Links in any of the user's notes that don't point at a note: the title or id is unknown,
+  // or the note is in the trash
+  router.get('/links/broken', async (req, res) => {
+    try {
+      const storage = await getStorage();
+      res.json(await listBrokenLinks(storage, req.user.id));
+    } catch (error) {
+      logger.error('Error fetching broken links', { error });
+      res.status(500).json({ error: 'Failed to fetch broken links' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLinksRouter;
@@ -0,0 +1,119 @@
+// /api/notes/:id/revisions: a note's saved states, diffs between them and restores
+const express = require('express');
+const { restoreRevision } = require('../notes');
+const { publishNote } = require('../events');
+const { diffLines, diffStats, unifiedDiff } = require('../diff');
+const { logger } = require('../logger');
+const { validate } = require('../validation');
+
+// Revision numbers are positive integers (the schema turns anything else away)
+function parseRevision(value) {
+  return /^[1-9]\d*$/.test(String(value)) ? Number(value) : null;
+}
+
+const summary = ({ revision, title, created_at }) => ({ revision, title, created_at });
+
+// getStorage resolves the connected storage backend and events is the bus from lib/events;
+// requireAuth runs before this router
+function createRevisionsRouter({ getStorage, events }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', validate('listRevisions'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json(await storage.revisions.list(note.id));
+    } catch (error) {
+      logger.error('Error fetching revisions', { error });
+      res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+  });
+
+  router.get('/:rev', validate('getRevision'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      const rev = parseRevision(req.params.rev);
+      const revision = rev && await storage.revisions.get(note.id, rev);
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      res.json(revision);
+    } catch (error) {
+      logger.error('Error fetching revision', { error });
+      res.status(500).json({ error: 'Failed to fetch revision' });
+    }
+  });
+
+  // Line diff of the content from ?from (default: the previous revision) to :rev
+  router.get('/:rev/diff', validate('diffRevisions'), async (req, res) => {
+    const from = req.query.from === undefined ? undefined : parseRevision(req.query.from);
+    if (from === null) {
+      return res.status(400).json({ error: 'from must be a revision number' });
+    }
+
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+
+      const rev = parseRevision(req.params.rev);
+      const to = rev && await storage.revisions.get(note.id, rev);
+      let base = null;
+      if (to && from !== undefined) {
+        base = await storage.revisions.get(note.id, from);
+      } else if (to) {
+        // Older revisions may have been pruned, so take the closest one still kept
+        const previous = (await storage.revisions.list(note.id)).find(row => row.revision < to.revision);
+        base = previous && await storage.revisions.get(note.id, previous.revision);
+      }
+      if (!to || (from !== undefined && !base)) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      const changes = diffLines(base ? base.content : '', to.content);
+      res.json({
+        from: base && summary(base),
+        to: summary(to),
+        changes,
+        stats: diffStats(changes),
+        unified: unifiedDiff(changes, {
+          fromLabel: base ? `revision ${base.revision}` : '/dev/null',
+          toLabel: `revision ${to.revision}`
+        })
+      });
+    } catch (error) {
+      logger.error('Error diffing revisions', { error });
+      res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+  });
+
+  router.post('/:rev/restore', validate('restoreRevision'), async (req, res) => {
+    const rev = parseRevision(req.params.rev);
+
+    try {
+      const storage = await getStorage();
+      const revision = rev && await restoreRevision(storage, req.user.id, req.params.id, rev);
+      if (!revision) {
+        return res.status(404).json({ error: 'Note or revision not found' });
+      }
+      await publishNote(events, storage, req.user.id, 'note.updated', req.params.id);
+      res.json({ revision, restoredFrom: rev, message: 'Revision restored successfully' });
+    } catch (error) {
+      logger.error('Error restoring revision', { error });
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRevisionsRouter;
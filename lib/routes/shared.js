@@ -0,0 +1,54 @@
+// Shared notes, open to anyone with the link: /api/shares/:token answers in JSON and /s/:token
+// is a standalone read-only page (POSTed to with the password of a protected share)
+const express = require('express');
+const { HttpError } = require('../errors');
+const { openShare, toShared, PAGE_HEADERS, notePage, passwordPage, errorPage } = require('../shares');
+const { wantsHtml, withHtml } = require('../render');
+const { logger } = require('../logger');
+const { validate } = require('../validation');
+
+// getStorage resolves the connected storage backend
+function createSharedRouter({ getStorage }) {
+  const router = express.Router();
+
+  // The password of a protected share goes in X-Share-Password
+  router.get('/api/shares/:token', validate('getSharedNote'), async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    try {
+      const html = wantsHtml(req.query);
+      const storage = await getStorage();
+      const note = toShared(await openShare(storage, req.params.token, req.get('X-Share-Password')));
+      res.json(html ? withHtml(note) : note);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching shared note', { error });
+      res.status(500).json({ error: 'Failed to fetch shared note' });
+    }
+  });
+
+  async function showPage(req, res) {
+    const password = req.method === 'POST' && req.body ? req.body.password : undefined;
+    res.set(PAGE_HEADERS);
+    try {
+      const storage = await getStorage();
+      res.send(notePage(await openShare(storage, req.params.token, password)));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        // Only complain about the password once one has been sent
+        const html = error.status === 401 ? passwordPage(password === undefined ? null : error.message) : errorPage(error);
+        return res.status(error.status).send(html);
+      }
+      logger.error('Error showing shared note', { error });
+      res.status(500).send(errorPage(new HttpError(500, 'Something went wrong')));
+    }
+  }
+
+  router.get('/s/:token', showPage);
+  router.post('/s/:token', showPage);
+
+  return router;
+}
+
+module.exports = createSharedRouter;
@@ -0,0 +1,81 @@
+// /api/notes/:id/shares: read-only public links to one of the signed-in user's notes
+const express = require('express');
+const { HttpError } = require('../errors');
+const { parseShare, createShare } = require('../shares');
+const { logger } = require('../logger');
+const { validate } = require('../validation');
+
+// The token is only ever shown when the share is created
+const toPublic = ({ id, note_id, expires_at, password_hash, access_count, last_accessed_at, created_at }) => ({
+  id,
+  note_id,
+  expires_at,
+  password_protected: Boolean(password_hash),
+  access_count,
+  last_accessed_at,
+  created_at
+});
+
+// getStorage resolves the connected storage backend; requireAuth runs before this router
+function createSharesRouter({ getStorage }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', validate('listShares'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json((await storage.shares.list(note.id)).map(toPublic));
+    } catch (error) {
+      logger.error('Error fetching shares', { error });
+      res.status(500).json({ error: 'Failed to fetch shares' });
+    }
+  });
+
+  // { expires_at, password }, both optional
+  router.post('/', validate('createShare'), async (req, res) => {
+    try {
+      const options = parseShare(req.body);
+
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      const { share, token } = await createShare(storage, note.id, options);
+      res.status(201).json({
+        ...toPublic(share),
+        token,
+        url: `${req.protocol}://${req.get('host')}/s/${token}`,
+        message: 'Share created successfully'
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating share', { error });
+      res.status(500).json({ error: 'Failed to create share' });
+    }
+  });
+
+  // The link stops working straight away
+  router.delete('/:shareId', validate('deleteShare'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const note = await storage.notes.get(req.user.id, req.params.id);
+      if (!note || !(await storage.shares.remove(note.id, req.params.shareId))) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+      res.json({ message: 'Share revoked successfully' });
+    } catch (error) {
+      logger.error('Error revoking share', { error });
+      res.status(500).json({ error: 'Failed to revoke share' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSharesRouter;
@@ -0,0 +1,90 @@
+// /api/export and /api/import: moving a user's notes in and out in bulk
+const express = require('express');
+const { requireAuth } = require('../auth');
+const { HttpError } = require('../errors');
+const { FORMATS, exportNotes, readImport, importNotes } = require('../transfer');
+const { logger } = require('../logger');
+const { validate } = require('../validation');
+const { config } = require('../config');
+
+const IMPORT_MAX_BYTES = config.notes.importMaxMb * 1024 * 1024;
+
+// ?format, or else the upload's Content-Type
+function importFormat(req) {
+  if (req.query.format !== undefined) {
+    return req.query.format;
+  }
+  if (req.is('text/csv')) {
+    return 'csv';
+  }
+  if (req.is('application/zip')) {
+    return 'markdown-zip';
+  }
+  return 'json';
+}
+
+// getStorage resolves the connected storage backend and events is the bus from lib/events.
+// Mounted ahead of express.json() so the import body arrives raw and can be larger than the
+// API's usual limit.
+function createTransferRouter({ getStorage, events }) {
+  const router = express.Router();
+
+  // Download every note (outside the trash) as ?format=json|csv|markdown-zip
+  router.get('/export', requireAuth, validate('exportNotes'), async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    try {
+      const storage = await getStorage();
+      await exportNotes(storage, req.user.id, format, res);
+    } catch (error) {
+      if (res.headersSent) {
+        // Mid-stream: all we can do is cut the download short
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          logger.error('Error exporting notes', { error });
+        }
+        return res.destroy();
+      }
+      logger.error('Error exporting notes', { error });
+      res.status(500).json({ error: 'Failed to export notes' });
+    }
+  });
+
+  // Upload a file in any export format; ?dry_run=true only validates,
+  // ?duplicates=import creates notes that already exist too
+  router.post('/import', requireAuth, validate('importNotes'), express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }), async (req, res) => {
+    const format = importFormat(req);
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the file to import as the request body' });
+    }
+
+    try {
+      const entries = await readImport(format, req.body);
+      const storage = await getStorage();
+      const report = await importNotes(storage, req.user.id, entries, {
+        dryRun: req.query.dry_run === 'true',
+        duplicates: req.query.duplicates === 'import' ? 'import' : 'skip'
+      });
+      if (report.summary.created > 0) {
+        // One event for the lot rather than one per note; clients reload their list
+        events.publish(req.user.id, 'notes.imported', { created: report.summary.created });
+      }
+      res.status(report.summary.created > 0 ? 201 : 200).json(report);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error importing notes', { error });
+      res.status(500).json({ error: 'Failed to import notes' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTransferRouter;
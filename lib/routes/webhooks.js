@@ -0,0 +1,120 @@
+// /api/webhooks: the signed-in user's webhook subscriptions and their delivery log
+const express = require('express');
+const { HttpError } = require('../errors');
+const { parseWebhook, checkHost, generateSecret } = require('../webhooks');
+const { logger } = require('../logger');
+const { validate } = require('../validation');
+
+// The secret is only ever shown when the webhook is created
+const toPublic = ({ id, url, events, active, created_at, updated_at }) => ({ id, url, events, active, created_at, updated_at });
+
+const toDelivery = delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) });
+
+// getStorage resolves the connected storage backend; requireAuth runs before this router
+function createWebhooksRouter({ getStorage }) {
+  const router = express.Router();
+
+  router.get('/', validate('listWebhooks'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      res.json((await storage.webhooks.list(req.user.id)).map(toPublic));
+    } catch (error) {
+      logger.error('Error fetching webhooks', { error });
+      res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+  });
+
+  // { url, events (default: all), active (default: true), secret (default: generated) }
+  router.post('/', validate('createWebhook'), async (req, res) => {
+    try {
+      const webhook = parseWebhook(req.body);
+      await checkHost(webhook.url);
+      const { secret = generateSecret() } = req.body;
+
+      const storage = await getStorage();
+      const created = await storage.webhooks.create(req.user.id, { ...webhook, secret });
+      res.status(201).json({ ...toPublic(created), secret, message: 'Webhook created successfully' });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating webhook', { error });
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  router.get('/:id', validate('getWebhook'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const webhook = await storage.webhooks.get(req.user.id, req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json(toPublic(webhook));
+    } catch (error) {
+      logger.error('Error fetching webhook', { error });
+      res.status(500).json({ error: 'Failed to fetch webhook' });
+    }
+  });
+
+  // Change any of url, events and active
+  router.patch('/:id', validate('updateWebhook'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      const current = await storage.webhooks.get(req.user.id, req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      const changes = parseWebhook(req.body, current);
+      if (changes.url !== current.url) {
+        await checkHost(changes.url);
+      }
+      if (!(await storage.webhooks.update(req.user.id, current.id, changes))) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      const updated = await storage.webhooks.get(req.user.id, current.id);
+      res.json({ ...toPublic(updated), message: 'Webhook updated successfully' });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error updating webhook', { error });
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  });
+
+  // Pending deliveries are dropped along with it
+  router.delete('/:id', validate('deleteWebhook'), async (req, res) => {
+    try {
+      const storage = await getStorage();
+      if (!(await storage.webhooks.remove(req.user.id, req.params.id))) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting webhook', { error });
+      res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+  });
+
+  // Delivery log, newest first (?limit, default 50, at most 200)
+  router.get('/:id/deliveries', validate('listWebhookDeliveries'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+      const storage = await getStorage();
+      const webhook = await storage.webhooks.get(req.user.id, req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json((await storage.webhooks.deliveries(webhook.id, { limit })).map(toDelivery));
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries', { error });
+      res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWebhooksRouter;
@@ -0,0 +1,153 @@
+// Full-text search helpers shared by the storage drivers.
+// Query syntax: plain words, "quoted phrases" and prefix* terms; every term must match.
+const { BadRequestError } = require('./errors');
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 60;
+// Characters with special meaning in MySQL boolean-mode queries
+const OPERATOR_CHARS = /[+\-<>()~*"@]/g;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function parseSearchQuery(q) {
+  if (typeof q !== 'string' || !q.trim()) {
+    throw new BadRequestError('q is required');
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new BadRequestError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q)) !== null) {
+    if (match[1] !== undefined) {
+      const words = tokenize(match[1]);
+      if (words.length) {
+        terms.push({ words, phrase: true, prefix: false });
+      }
+    } else {
+      const prefix = match[2].endsWith('*');
+      const words = tokenize(match[2].replace(OPERATOR_CHARS, ' '));
+      words.forEach((word, index) => {
+        terms.push({ words: [word], phrase: false, prefix: prefix && index === words.length - 1 });
+      });
+    }
+  }
+
+  if (!terms.length) {
+    throw new BadRequestError('q must contain at least one word');
+  }
+  return { text: q, terms };
+}
+
+// MySQL `AGAINST (... IN BOOLEAN MODE)` string for a parsed query
+function toBooleanQuery({ terms }) {
+  return terms.map(term => {
+    if (term.phrase) {
+      return `+"${term.words.join(' ')}"`;
+    }
+    return `+${term.words[0]}${term.prefix ? '*' : ''}`;
+  }).join(' ');
+}
+
+function termOccurrences(tokens, term) {
+  let count = 0;
+  for (let i = 0; i + term.words.length <= tokens.length; i++) {
+    const matched = term.words.every((word, offset) => {
+      const token = tokens[i + offset];
+      const last = offset === term.words.length - 1;
+      return last && term.prefix ? token.startsWith(word) : token === word;
+    });
+    if (matched) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Relevance for backends without a native full-text index; 0 means no match.
+// Title hits weigh more than content hits.
+function scoreNote(note, { terms }) {
+  const title = tokenize(note.title);
+  const content = tokenize(note.content);
+  let score = 0;
+  for (const term of terms) {
+    const hits = 2 * termOccurrences(title, term) + termOccurrences(content, term);
+    if (hits === 0) {
+      return 0;
+    }
+    score += hits;
+  }
+  return score;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function highlightPattern({ terms }) {
+  const alternatives = terms.map(term => {
+    const words = term.words.map(escapeRegExp);
+    const tail = term.prefix ? '[\\p{L}\\p{N}_]*' : '';
+    return words.join('[^\\p{L}\\p{N}_]+') + tail;
+  });
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+// HTML-escaped excerpt around the first match, with matches wrapped in <mark>
+function highlight(text, query, { radius = SNIPPET_RADIUS, whole = false } = {}) {
+  const source = String(text || '');
+  const pattern = highlightPattern(query);
+  const first = source.search(pattern);
+
+  let start = 0;
+  let end = source.length;
+  if (!whole) {
+    start = Math.max(0, (first === -1 ? 0 : first) - radius);
+    end = Math.min(source.length, (first === -1 ? 0 : first) + radius * 2);
+  }
+
+  const excerpt = source.slice(start, end);
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+
+  return (start > 0 ? '…' : '') + html + (end < source.length ? '…' : '');
+}
+
+// Attach highlighted title/content snippets to a search hit
+function withHighlights(note, query) {
+  return {
+    ...note,
+    highlights: {
+      title: highlight(note.title, query, { whole: true }),
+      content: highlight(note.content, query)
+    }
+  };
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseSearchQuery,
+  toBooleanQuery,
+  scoreNote,
+  highlight,
+  withHighlights,
+  escapeHtml
+};
@@ -0,0 +1,149 @@
+// Read-only public links to a note. A share's token is only ever shown when it is created; like
+// refresh tokens, only its SHA-256 is stored. Shares can expire and can ask for a password, and
+// stop working while their note is in the trash.
+const crypto = require('crypto');
+const { HttpError, BadRequestError } = require('./errors');
+const { hashPassword, verifyPassword } = require('./auth');
+const { getNote } = require('./notes');
+const { renderContent } = require('./render');
+const { escapeHtml } = require('./search');
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+// 32 random bytes, base64url encoded
+const TOKEN_PATTERN = '^[A-Za-z0-9_-]{43}$';
+
+// Shared pages are standalone: no scripts, nothing loaded from elsewhere but the note's images
+const PAGE_HEADERS = {
+  'Cache-Control': 'no-store',
+  'Content-Security-Policy': 'default-src \'none\'; img-src http: https:; style-src \'unsafe-inline\'; ' +
+    'form-action \'self\'; base-uri \'none\'; frame-ancestors \'none\'',
+  'Referrer-Policy': 'no-referrer',
+  'X-Robots-Tag': 'noindex, nofollow'
+};
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Validate a new share's { expires_at, password }; both are optional
+function parseShare(body, now = new Date()) {
+  const { expires_at: expiresAt = null, password = null } = body || {};
+  let expires = null;
+  if (expiresAt !== null) {
+    expires = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(expires.getTime())) {
+      throw new BadRequestError('expires_at must be a date-time');
+    }
+    if (expires <= now) {
+      throw new BadRequestError('expires_at must be in the future');
+    }
+  }
+  if (password !== null && (typeof password !== 'string' ||
+    password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+    throw new BadRequestError(`password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  return { expiresAt: expires, password };
+}
+
+// Mint a share for the note; resolves to the stored share and its token
+async function createShare(storage, noteId, { expiresAt, password }) {
+  const token = generateToken();
+  const share = await storage.shares.create(noteId, {
+    tokenHash: hashToken(token),
+    passwordHash: password === null ? null : await hashPassword(password),
+    expiresAt
+  });
+  return { share, token };
+}
+
+// The shared note (with its tags) for a token, counting the visit. Answers 404 for unknown and
+// revoked tokens and trashed notes, 410 once expired and 401 without the right password.
+async function openShare(storage, token, password, now = new Date()) {
+  const share = await storage.shares.findByToken(hashToken(token));
+  const note = share && await getNote(storage, share.owner_id, share.note_id);
+  if (!note) {
+    throw new HttpError(404, 'Share not found');
+  }
+  if (share.expires_at && share.expires_at <= now) {
+    throw new HttpError(410, 'Share has expired');
+  }
+  if (share.password_hash) {
+    if (!password) {
+      throw new HttpError(401, 'Password required');
+    }
+    if (!(await verifyPassword(password, share.password_hash))) {
+      throw new HttpError(401, 'Incorrect password');
+    }
+  }
+  await storage.shares.recordAccess(share.id, now);
+  return note;
+}
+
+// What a share shows of the note: no ids, owner or version
+const toShared = ({ title, content, format, tags, updated_at }) => ({ title, content, format, tags, updated_at });
+
+const STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; line-height: 1.6;
+    color: #24292f; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+  h1 { font-size: 1.8em; margin-bottom: 4px; }
+  .meta { color: #6e7781; font-size: 0.9em; margin-bottom: 24px; }
+  .tag { background: #ddf4ff; color: #0969da; border-radius: 10px; padding: 1px 8px; margin-left: 4px; }
+  .content img { max-width: 100%; }
+  .content pre { background: #f6f8fa; padding: 12px; overflow-x: auto; }
+  form { display: flex; gap: 8px; }
+  input[type=password] { flex: 1; padding: 8px; font-size: 1em; }
+  button { padding: 8px 16px; font-size: 1em; }
+  .error { color: #cf222e; }
+`;
+
+function page(title, body) {
+  return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    `<meta name="robots" content="noindex, nofollow">\n<title>${escapeHtml(title)}</title>\n` +
+    `<style>${STYLE}</style>\n</head>\n<body>\n${body}\n</body>\n</html>\n`;
+}
+
+function notePage(note) {
+  const title = note.title || 'Untitled';
+  const tags = note.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+  const updated = new Date(note.updated_at).toISOString().slice(0, 10);
+  return page(title, `<h1>${escapeHtml(title)}</h1>\n` +
+    `<div class="meta">Updated ${updated}${tags}</div>\n` +
+    `<div class="content">${renderContent(note.content, note.format)}</div>`);
+}
+
+function passwordPage(error) {
+  return page('Password required', '<h1>This note is password protected</h1>\n' +
+    (error ? `<p class="error">${escapeHtml(error)}</p>\n` : '') +
+    '<form method="post">\n<input type="password" name="password" placeholder="Password" required autofocus>\n' +
+    '<button type="submit">View note</button>\n</form>');
+}
+
+const ERROR_HINTS = {
+  404: 'The link is wrong, or it has been revoked.',
+  410: 'The link is no longer valid.'
+};
+
+function errorPage(error) {
+  return page(error.message, `<h1>${escapeHtml(error.message)}</h1>\n` +
+    `<p>${ERROR_HINTS[error.status] || 'Please try again later.'}</p>`);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  TOKEN_PATTERN,
+  PAGE_HEADERS,
+  parseShare,
+  createShare,
+  openShare,
+  toShared,
+  notePage,
+  passwordPage,
+  errorPage
+};
@@ -0,0 +1,21 @@
+// Storage layer: picks a notes backend based on STORAGE_DRIVER
+const { config } = require('../config');
+
+const drivers = {
+  mysql: () => require('./mysql'),
+  memory: () => require('./memory')
+};
+
+// Connect the requested driver and return its storage object
+async function createStorage(driver = config.storageDriver, options = {}) {
+  const load = drivers[driver];
+  if (!load) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+  return load().connect(options);
+}
+
+module.exports = {
+  createStorage,
+  drivers: Object.keys(drivers)
+};
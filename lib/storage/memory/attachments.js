@@ -0,0 +1,61 @@
+// In-memory implementation of the attachments repository, mirroring the MySQL one
+function createAttachmentsRepository(getState) {
+  const copy = attachment => ({ ...attachment });
+
+  function find(noteId, id) {
+    const attachment = getState().attachments.get(Number(id));
+    return attachment && attachment.note_id === noteId ? attachment : null;
+  }
+
+  return {
+    async list(noteId) {
+      return [...getState().attachments.values()]
+        .filter(attachment => attachment.note_id === noteId)
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async get(noteId, id) {
+      const attachment = find(noteId, id);
+      return attachment ? copy(attachment) : null;
+    },
+
+    async create(noteId, { storageKey, filename, contentType, size, checksum }) {
+      const state = getState();
+      const attachment = {
+        id: state.nextAttachmentId++,
+        note_id: noteId,
+        storage_key: storageKey,
+        filename,
+        content_type: contentType,
+        size,
+        checksum,
+        created_at: new Date()
+      };
+      state.attachments.set(attachment.id, attachment);
+      return copy(attachment);
+    },
+
+    async remove(noteId, id) {
+      const attachment = find(noteId, id);
+      if (!attachment) {
+        return false;
+      }
+      getState().attachments.delete(attachment.id);
+      return true;
+    },
+
+    // Blob keys of the attachments on notes trashed before `cutoff`, which the trash purge removes
+    async keysTrashedBefore(cutoff) {
+      const { notes, attachments } = getState();
+      return [...attachments.values()]
+        .filter((attachment) => {
+          const note = notes.get(attachment.note_id);
+          return note.deleted_at && note.deleted_at < cutoff;
+        })
+        .map(attachment => attachment.storage_key);
+    }
+  };
+}
+
+module.exports = createAttachmentsRepository;
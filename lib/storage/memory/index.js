@@ -0,0 +1,96 @@
+// In-memory storage: no external database, data lives for the life of the process.
+// Meant for local development and tests.
+const createNotesRepository = require('./notes');
+const createTagsRepository = require('./tags');
+const createUsersRepository = require('./users');
+const createRevisionsRepository = require('./revisions');
+const createWebhooksRepository = require('./webhooks');
+const createSharesRepository = require('./shares');
+const createAttachmentsRepository = require('./attachments');
+const createLinksRepository = require('./links');
+const createRateLimitsRepository = require('./ratelimits');
+
+function createState() {
+  return {
+    notes: new Map(),
+    nextNoteId: 1,
+    tags: new Map(),
+    nextTagId: 1,
+    // note id -> Set of tag ids
+    noteTags: new Map(),
+    // note id -> revisions, oldest first
+    revisions: new Map(),
+    // purged note id -> { owner_id, deleted_at }
+    tombstones: new Map(),
+    users: new Map(),
+    nextUserId: 1,
+    // token hash -> refresh token row
+    refreshTokens: new Map(),
+    webhooks: new Map(),
+    nextWebhookId: 1,
+    webhookDeliveries: new Map(),
+    nextDeliveryId: 1,
+    shares: new Map(),
+    nextShareId: 1,
+    attachments: new Map(),
+    nextAttachmentId: 1,
+    // note id -> the [[links]] in its content, in order
+    noteLinks: new Map(),
+    // bucket key -> { tokens, updatedAt }
+    rateLimits: new Map()
+  };
+}
+
+async function connect() {
+  let state = createState();
+  const getState = () => state;
+  // Transactions run one at a time so a rollback can't discard another transaction's writes
+  let queue = Promise.resolve();
+
+  const storage = {
+    driver: 'memory',
+    notes: createNotesRepository(getState),
+    tags: createTagsRepository(getState),
+    users: createUsersRepository(getState),
+    revisions: createRevisionsRepository(getState),
+    webhooks: createWebhooksRepository(getState),
+    shares: createSharesRepository(getState),
+    attachments: createAttachmentsRepository(getState),
+    links: createLinksRepository(getState),
+    rateLimits: createRateLimitsRepository(getState),
+
+    // Snapshot the state and put it back if fn throws. Nested transactions take their
+    // own snapshot, like a savepoint.
+    transaction(fn) {
+      const attempt = async (inner) => {
+        const snapshot = structuredClone(state);
+        try {
+          return await inner(tx);
+        } catch (error) {
+          state = snapshot;
+          throw error;
+        }
+      };
+      const tx = { ...storage, transaction: attempt };
+      const run = queue.then(() => attempt(fn));
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    async ping() {},
+
+    stats() {
+      return { notes: state.notes.size };
+    },
+
+    async clear() {
+      state = createState();
+    },
+
+    async close() {}
+  };
+
+  return storage;
+}
+
+module.exports = { connect };
@@ -0,0 +1,51 @@
+// In-memory implementation of the links repository, mirroring the MySQL one
+// Case-insensitive, like MySQL's default collation
+const sameTitle = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+function createLinksRepository(getState) {
+  const live = ownerId => note => Boolean(note) && note.owner_id === ownerId && !note.deleted_at;
+
+  // Links in the owner's notes outside the trash, with the note each is in
+  function withSource(ownerId, keep) {
+    const { notes, noteLinks } = getState();
+    return [...noteLinks.entries()]
+      .filter(([noteId]) => live(ownerId)(notes.get(noteId)))
+      .sort(([a], [b]) => a - b)
+      .flatMap(([noteId, links]) => links
+        .filter(keep)
+        .map(link => ({ source_id: noteId, source_title: notes.get(noteId).title, ...link })));
+  }
+
+  return {
+    async replace(noteId, links) {
+      const { noteLinks } = getState();
+      if (links.length === 0) {
+        noteLinks.delete(noteId);
+        return;
+      }
+      noteLinks.set(noteId, links.map(({ targetId, title }) => ({ target_id: targetId, target_title: title })));
+    },
+
+    async from(noteId) {
+      return (getState().noteLinks.get(noteId) || []).map(link => ({ ...link }));
+    },
+
+    async to(ownerId, { id, title }) {
+      return withSource(ownerId, link => link.target_id === id || (link.target_title !== null && sameTitle(link.target_title, title)));
+    },
+
+    async all(ownerId) {
+      return withSource(ownerId, () => true);
+    },
+
+    async targets(ownerId, { ids, titles }) {
+      return [...getState().notes.values()]
+        .filter(live(ownerId))
+        .filter(note => ids.includes(note.id) || titles.some(title => sameTitle(title, note.title)))
+        .sort((a, b) => a.id - b.id)
+        .map(({ id, title }) => ({ id, title }));
+    }
+  };
+}
+
+module.exports = createLinksRepository;
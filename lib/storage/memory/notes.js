@@ -0,0 +1,187 @@
+// In-memory implementation of the notes repository, mirroring the MySQL one
+const { scoreNote } = require('../../search');
+
+function toId(id) {
+  const value = Number(id);
+  return Number.isInteger(value) ? value : null;
+}
+
+// Case-insensitive for titles, like MySQL's default collation
+function compareValues(a, b) {
+  if (typeof a === 'string') {
+    return a.toLowerCase().localeCompare(b.toLowerCase());
+  }
+  return a - b;
+}
+
+function createNotesRepository(getState) {
+  // The note, if it exists, belongs to the user and is in (or out of) the trash
+  function findOwned(ownerId, id, { trashed = false } = {}) {
+    const note = getState().notes.get(toId(id));
+    return note && note.owner_id === ownerId && Boolean(note.deleted_at) === trashed ? note : null;
+  }
+
+  // Hard delete, cascading like the MySQL foreign keys, leaving a tombstone for syncing clients
+  function deleteNote(note) {
+    const state = getState();
+    state.noteTags.delete(note.id);
+    state.revisions.delete(note.id);
+    state.noteLinks.delete(note.id);
+    [...state.shares.values()]
+      .filter(share => share.note_id === note.id)
+      .forEach(share => state.shares.delete(share.id));
+    [...state.attachments.values()]
+      .filter(attachment => attachment.note_id === note.id)
+      .forEach(attachment => state.attachments.delete(attachment.id));
+    state.notes.delete(note.id);
+    state.tombstones.set(note.id, { owner_id: note.owner_id, deleted_at: new Date() });
+  }
+
+  const ownedBy = ownerId => note => note.owner_id === ownerId && !note.deleted_at;
+
+  return {
+    async list(ownerId, { sort = 'created_at', order = 'desc', limit, after, createdAfter, updatedSince, tags, tagMatch, archived } = {}) {
+      const state = getState();
+      const sign = order === 'asc' ? 1 : -1;
+      // Pinned notes first, whatever the order
+      const compare = (a, b) => Number(b.pinned) - Number(a.pinned) || sign * (compareValues(a[sort], b[sort]) || a.id - b.id);
+
+      const hasTags = (note) => {
+        const names = [...(state.noteTags.get(note.id) || [])].map(id => state.tags.get(id).name);
+        return tagMatch === 'any'
+          ? tags.some(tag => names.includes(tag))
+          : tags.every(tag => names.includes(tag));
+      };
+
+      let notes = [...state.notes.values()]
+        .filter(ownedBy(ownerId))
+        .filter(note => archived === undefined || note.archived === archived)
+        .filter(note => !createdAfter || note.created_at > createdAfter)
+        .filter(note => !updatedSince || note.updated_at >= updatedSince)
+        .filter(note => !tags || !tags.length || hasTags(note))
+        .sort(compare);
+
+      if (after) {
+        notes = notes.filter(note => compare(note, { [sort]: after.value, id: after.id, pinned: after.pinned }) > 0);
+      }
+      if (limit) {
+        notes = notes.slice(0, limit);
+      }
+      return notes.map(note => ({ ...note }));
+    },
+
+    async search(ownerId, query, { limit }) {
+      return [...getState().notes.values()]
+        .filter(ownedBy(ownerId))
+        .map(note => ({ ...note, score: scoreNote(note, query) }))
+        .filter(note => note.score > 0)
+        .sort((a, b) => b.score - a.score || b.id - a.id)
+        .slice(0, limit);
+    },
+
+    async get(ownerId, id) {
+      const note = findOwned(ownerId, id);
+      return note ? { ...note } : null;
+    },
+
+    async create(ownerId, { title, content, format = 'plain', pinned = false, archived = false }) {
+      const state = getState();
+      const now = new Date();
+      const note = {
+        id: state.nextNoteId++,
+        owner_id: ownerId,
+        title,
+        content,
+        format,
+        pinned,
+        archived,
+        created_at: now,
+        updated_at: now,
+        changed_at: now,
+        deleted_at: null,
+        version: 1
+      };
+      state.notes.set(note.id, note);
+      return { id: note.id, title, content, format, pinned, archived, version: 1 };
+    },
+
+    async update(ownerId, id, { title, content, format, pinned, archived }, { version } = {}) {
+      const note = findOwned(ownerId, id);
+      if (!note || (version !== undefined && note.version !== version)) {
+        return false;
+      }
+      const now = new Date();
+      Object.assign(note, { title, content, format, pinned, archived, updated_at: now, changed_at: now, version: note.version + 1 });
+      return true;
+    },
+
+    async remove(ownerId, id, { version } = {}) {
+      const note = findOwned(ownerId, id);
+      if (!note || (version !== undefined && note.version !== version)) {
+        return false;
+      }
+      note.deleted_at = new Date();
+      note.changed_at = note.deleted_at;
+      return true;
+    },
+
+    async listTrash(ownerId) {
+      return [...getState().notes.values()]
+        .filter(note => note.owner_id === ownerId && note.deleted_at)
+        .sort((a, b) => b.deleted_at - a.deleted_at || b.id - a.id)
+        .map(note => ({ ...note }));
+    },
+
+    async restore(ownerId, id) {
+      const note = findOwned(ownerId, id, { trashed: true });
+      if (!note) {
+        return false;
+      }
+      note.deleted_at = null;
+      note.changed_at = new Date();
+      return true;
+    },
+
+    async purge(ownerId, id) {
+      const note = findOwned(ownerId, id, { trashed: true });
+      if (!note) {
+        return false;
+      }
+      deleteNote(note);
+      return true;
+    },
+
+    async purgeDeletedBefore(cutoff) {
+      const state = getState();
+      // Tombstones only need to outlive the trash
+      state.tombstones.forEach((tombstone, noteId) => {
+        if (tombstone.deleted_at < cutoff) {
+          state.tombstones.delete(noteId);
+        }
+      });
+      const expired = [...state.notes.values()].filter(note => note.deleted_at && note.deleted_at < cutoff);
+      expired.forEach(deleteNote);
+      return expired.length;
+    },
+
+    async changes(ownerId, since) {
+      const state = getState();
+      const changed = [...state.notes.values()]
+        .filter(note => note.owner_id === ownerId && (since ? note.changed_at >= since : !note.deleted_at))
+        .sort((a, b) => a.changed_at - b.changed_at || a.id - b.id);
+      const notes = changed.filter(note => !note.deleted_at).map(note => ({ ...note }));
+      if (!since) {
+        return { notes, deleted: [] };
+      }
+      const purged = [...state.tombstones]
+        .filter(([, tombstone]) => tombstone.owner_id === ownerId && tombstone.deleted_at >= since)
+        .map(([noteId]) => noteId);
+      return {
+        notes,
+        deleted: [...changed.filter(note => note.deleted_at).map(note => note.id), ...purged]
+      };
+    }
+  };
+}
+
+module.exports = createNotesRepository;
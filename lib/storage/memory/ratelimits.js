@@ -0,0 +1,27 @@
+// In-memory implementation of the rate limit buckets repository, mirroring the MySQL one
+const { takeToken } = require('../../ratelimit');
+
+function createRateLimitsRepository(getState) {
+  return {
+    async take(key, limit, now) {
+      const { rateLimits } = getState();
+      const { bucket, allowed, tokens } = takeToken(rateLimits.get(key), limit, now);
+      rateLimits.set(key, bucket);
+      return { allowed, tokens };
+    },
+
+    async prune(before) {
+      const { rateLimits } = getState();
+      let removed = 0;
+      for (const [key, bucket] of rateLimits) {
+        if (bucket.updatedAt < before) {
+          rateLimits.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = createRateLimitsRepository;
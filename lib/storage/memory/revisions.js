@@ -0,0 +1,42 @@
+// In-memory implementation of the note revisions repository, mirroring the MySQL one
+function createRevisionsRepository(getState) {
+  function revisionsOf(noteId) {
+    const { revisions } = getState();
+    if (!revisions.has(Number(noteId))) {
+      revisions.set(Number(noteId), []);
+    }
+    return revisions.get(Number(noteId));
+  }
+
+  return {
+    async add(noteId, { title, content }) {
+      const revisions = revisionsOf(noteId);
+      const latest = revisions.length ? revisions[revisions.length - 1].revision : 0;
+      revisions.push({ revision: latest + 1, title, content, created_at: new Date() });
+      return latest + 1;
+    },
+
+    async list(noteId) {
+      return revisionsOf(noteId)
+        .map(({ revision, title, created_at }) => ({ revision, title, created_at }))
+        .reverse();
+    },
+
+    async get(noteId, revision) {
+      const found = revisionsOf(noteId).find(row => row.revision === Number(revision));
+      return found ? { ...found } : null;
+    },
+
+    async latest(noteId) {
+      const revisions = revisionsOf(noteId);
+      return revisions.length ? { ...revisions[revisions.length - 1] } : null;
+    },
+
+    async prune(noteId, keep) {
+      const revisions = revisionsOf(noteId);
+      revisions.splice(0, Math.max(0, revisions.length - keep));
+    }
+  };
+}
+
+module.exports = createRevisionsRepository;
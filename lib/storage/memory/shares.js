@@ -0,0 +1,57 @@
+// In-memory implementation of the note shares repository, mirroring the MySQL one
+function createSharesRepository(getState) {
+  const copy = share => ({ ...share });
+
+  return {
+    async list(noteId) {
+      return [...getState().shares.values()]
+        .filter(share => share.note_id === noteId)
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async create(noteId, { tokenHash, passwordHash = null, expiresAt = null }) {
+      const state = getState();
+      const share = {
+        id: state.nextShareId++,
+        note_id: noteId,
+        token_hash: tokenHash,
+        password_hash: passwordHash,
+        expires_at: expiresAt,
+        access_count: 0,
+        last_accessed_at: null,
+        created_at: new Date()
+      };
+      state.shares.set(share.id, share);
+      return copy(share);
+    },
+
+    async remove(noteId, id) {
+      const { shares } = getState();
+      const share = shares.get(Number(id));
+      if (!share || share.note_id !== noteId) {
+        return false;
+      }
+      shares.delete(share.id);
+      return true;
+    },
+
+    // The share with its note's owner_id
+    async findByToken(tokenHash) {
+      const state = getState();
+      const share = [...state.shares.values()].find(entry => entry.token_hash === tokenHash);
+      return share ? { ...share, owner_id: state.notes.get(share.note_id).owner_id } : null;
+    },
+
+    async recordAccess(id, at) {
+      const share = getState().shares.get(id);
+      // The share may have been revoked in the meantime
+      if (share) {
+        share.access_count += 1;
+        share.last_accessed_at = at;
+      }
+    }
+  };
+}
+
+module.exports = createSharesRepository;
@@ -0,0 +1,92 @@
+// In-memory implementation of the tags repository, mirroring the MySQL one
+function createTagsRepository(getState) {
+  function findByName(ownerId, name) {
+    return [...getState().tags.values()].find(tag => tag.owner_id === ownerId && tag.name === name);
+  }
+
+  function findOrCreate(ownerId, name) {
+    const state = getState();
+    let tag = findByName(ownerId, name);
+    if (!tag) {
+      tag = { id: state.nextTagId++, owner_id: ownerId, name, created_at: new Date() };
+      state.tags.set(tag.id, tag);
+    }
+    return tag;
+  }
+
+  // The notes carrying a tag change with it, as far as syncing clients are concerned
+  function touchNotes(tagId) {
+    const { notes, noteTags } = getState();
+    const now = new Date();
+    noteTags.forEach((tagIds, noteId) => {
+      if (tagIds.has(tagId)) {
+        notes.get(noteId).changed_at = now;
+      }
+    });
+  }
+
+  return {
+    async list(ownerId) {
+      const { notes, noteTags } = getState();
+      const counts = new Map();
+      for (const [noteId, tagIds] of noteTags) {
+        if (!notes.get(noteId).deleted_at) {
+          tagIds.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+        }
+      }
+      return [...getState().tags.values()]
+        .filter(tag => tag.owner_id === ownerId)
+        .map(tag => ({ name: tag.name, count: counts.get(tag.id) || 0 }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async forNotes(noteIds) {
+      const { tags, noteTags } = getState();
+      return new Map(noteIds.map(id => [
+        Number(id),
+        [...(noteTags.get(Number(id)) || [])].map(tagId => tags.get(tagId).name).sort()
+      ]));
+    },
+
+    async setForNote(ownerId, noteId, names) {
+      const tagIds = names.map(name => findOrCreate(ownerId, name).id);
+      getState().noteTags.set(Number(noteId), new Set(tagIds));
+      return [...names].sort();
+    },
+
+    async rename(ownerId, from, to) {
+      const state = getState();
+      const source = findByName(ownerId, from);
+      if (!source) {
+        return null;
+      }
+      touchNotes(source.id);
+      const target = findByName(ownerId, to);
+      if (!target || target === source) {
+        source.name = to;
+        return { name: to, merged: false };
+      }
+      for (const tagIds of state.noteTags.values()) {
+        if (tagIds.delete(source.id)) {
+          tagIds.add(target.id);
+        }
+      }
+      state.tags.delete(source.id);
+      return { name: to, merged: true };
+    },
+
+    async remove(ownerId, name) {
+      const state = getState();
+      const tag = findByName(ownerId, name);
+      if (!tag) {
+        return false;
+      }
+      touchNotes(tag.id);
+      state.noteTags.forEach(tagIds => tagIds.delete(tag.id));
+      state.tags.delete(tag.id);
+      return true;
+    }
+  };
+}
+
+module.exports = createTagsRepository;
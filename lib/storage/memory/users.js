@@ -0,0 +1,45 @@
+// In-memory implementation of the users repository, mirroring the MySQL one
+function createUsersRepository(getState) {
+  return {
+    async create({ email, passwordHash }) {
+      const state = getState();
+      if ([...state.users.values()].some(user => user.email === email)) {
+        return null;
+      }
+      const user = { id: state.nextUserId++, email, password_hash: passwordHash, created_at: new Date() };
+      state.users.set(user.id, user);
+      return { id: user.id, email };
+    },
+
+    async findByEmail(email) {
+      const user = [...getState().users.values()].find(candidate => candidate.email === email);
+      return user ? { ...user } : null;
+    },
+
+    async findById(id) {
+      const user = getState().users.get(Number(id));
+      return user ? { ...user } : null;
+    },
+
+    async addRefreshToken(userId, { tokenHash, expiresAt }) {
+      getState().refreshTokens.set(tokenHash, {
+        user_id: userId,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        revoked_at: null,
+        created_at: new Date()
+      });
+    },
+
+    async consumeRefreshToken(tokenHash) {
+      const token = getState().refreshTokens.get(tokenHash);
+      if (!token || token.revoked_at || token.expires_at <= new Date()) {
+        return null;
+      }
+      token.revoked_at = new Date();
+      return token.user_id;
+    }
+  };
+}
+
+module.exports = createUsersRepository;
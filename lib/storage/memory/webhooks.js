@@ -0,0 +1,143 @@
+// In-memory implementation of the webhooks repository, mirroring the MySQL one
+function createWebhooksRepository(getState) {
+  function findOwned(ownerId, id) {
+    const webhook = getState().webhooks.get(Number(id));
+    return webhook && webhook.owner_id === ownerId ? webhook : null;
+  }
+
+  const copy = webhook => ({ ...webhook, events: [...webhook.events] });
+
+  return {
+    async list(ownerId) {
+      return [...getState().webhooks.values()]
+        .filter(webhook => webhook.owner_id === ownerId)
+        .map(copy);
+    },
+
+    async get(ownerId, id) {
+      const webhook = findOwned(ownerId, id);
+      return webhook ? copy(webhook) : null;
+    },
+
+    async create(ownerId, { url, events, secret, active = true }) {
+      const state = getState();
+      const now = new Date();
+      const webhook = {
+        id: state.nextWebhookId++,
+        owner_id: ownerId,
+        url,
+        secret,
+        events: [...events],
+        active,
+        created_at: now,
+        updated_at: now
+      };
+      state.webhooks.set(webhook.id, webhook);
+      return copy(webhook);
+    },
+
+    async update(ownerId, id, { url, events, active }) {
+      const webhook = findOwned(ownerId, id);
+      if (!webhook) {
+        return false;
+      }
+      Object.assign(webhook, { url, events: [...events], active, updated_at: new Date() });
+      return true;
+    },
+
+    async remove(ownerId, id) {
+      const webhook = findOwned(ownerId, id);
+      if (!webhook) {
+        return false;
+      }
+      const state = getState();
+      state.webhooks.delete(webhook.id);
+      [...state.webhookDeliveries.values()]
+        .filter(delivery => delivery.webhook_id === webhook.id)
+        .forEach(delivery => state.webhookDeliveries.delete(delivery.id));
+      return true;
+    },
+
+    async subscribed(ownerId, event) {
+      return [...getState().webhooks.values()]
+        .filter(webhook => webhook.owner_id === ownerId && webhook.active && webhook.events.includes(event))
+        .map(copy);
+    },
+
+    async enqueue(webhookId, { eventId, event, payload }) {
+      const state = getState();
+      const now = new Date();
+      const delivery = {
+        id: state.nextDeliveryId++,
+        webhook_id: webhookId,
+        event_id: eventId,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        last_attempt_at: null,
+        response_status: null,
+        error: null,
+        delivered_at: null,
+        created_at: now
+      };
+      state.webhookDeliveries.set(delivery.id, delivery);
+      return delivery.id;
+    },
+
+    async due(now, limit) {
+      const { webhooks, webhookDeliveries } = getState();
+      return [...webhookDeliveries.values()]
+        .filter(delivery => delivery.status === 'pending' && delivery.next_attempt_at <= now)
+        .filter(delivery => webhooks.get(delivery.webhook_id).active)
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at || a.id - b.id)
+        .slice(0, limit)
+        .map((delivery) => {
+          const { url, secret } = webhooks.get(delivery.webhook_id);
+          const { id, webhook_id, event_id, event, payload, attempts } = delivery;
+          return { id, webhook_id, event_id, event, payload, attempts, url, secret };
+        });
+    },
+
+    async postpone(ids, until) {
+      ids.forEach((id) => {
+        getState().webhookDeliveries.get(id).next_attempt_at = until;
+      });
+    },
+
+    async recordAttempt(id, { status, attempts, nextAttemptAt = null, responseStatus = null, error = null, at }) {
+      const delivery = getState().webhookDeliveries.get(id);
+      // The webhook may have been deleted while the request was in flight
+      if (delivery) {
+        Object.assign(delivery, {
+          status,
+          attempts,
+          next_attempt_at: nextAttemptAt,
+          last_attempt_at: at,
+          response_status: responseStatus,
+          error,
+          delivered_at: status === 'delivered' ? at : null
+        });
+      }
+    },
+
+    async pruneDeliveries(before) {
+      const { webhookDeliveries } = getState();
+      const old = [...webhookDeliveries.values()]
+        .filter(delivery => delivery.status !== 'pending' && delivery.last_attempt_at < before);
+      old.forEach(delivery => webhookDeliveries.delete(delivery.id));
+      return old.length;
+    },
+
+    async deliveries(webhookId, { limit }) {
+      return [...getState().webhookDeliveries.values()]
+        .filter(delivery => delivery.webhook_id === Number(webhookId))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(delivery => ({ ...delivery }));
+    }
+  };
+}
+
+module.exports = createWebhooksRepository;
@@ -0,0 +1,45 @@
+// MySQL implementation of the attachments repository: file metadata, the bytes are in the blob store
+function toAttachment(row) {
+  return { ...row, size: Number(row.size) };
+}
+
+function createAttachmentsRepository(db) {
+  async function get(noteId, id) {
+    const [rows] = await db.execute('SELECT * FROM attachments WHERE note_id = ? AND id = ?', [noteId, id]);
+    return rows[0] ? toAttachment(rows[0]) : null;
+  }
+
+  return {
+    async list(noteId) {
+      const [rows] = await db.execute('SELECT * FROM attachments WHERE note_id = ? ORDER BY id', [noteId]);
+      return rows.map(toAttachment);
+    },
+
+    get,
+
+    async create(noteId, { storageKey, filename, contentType, size, checksum }) {
+      const [result] = await db.execute(
+        'INSERT INTO attachments (note_id, storage_key, filename, content_type, size, checksum) VALUES (?, ?, ?, ?, ?, ?)',
+        [noteId, storageKey, filename, contentType, size, checksum]
+      );
+      return get(noteId, result.insertId);
+    },
+
+    async remove(noteId, id) {
+      const [result] = await db.execute('DELETE FROM attachments WHERE note_id = ? AND id = ?', [noteId, id]);
+      return result.affectedRows > 0;
+    },
+
+    // Blob keys of the attachments on notes trashed before `cutoff`, which the trash purge removes
+    async keysTrashedBefore(cutoff) {
+      const [rows] = await db.execute(
+        'SELECT a.storage_key FROM attachments a JOIN notes n ON n.id = a.note_id' +
+        ' WHERE n.deleted_at IS NOT NULL AND n.deleted_at < ?',
+        [cutoff]
+      );
+      return rows.map(row => row.storage_key);
+    }
+  };
+}
+
+module.exports = createAttachmentsRepository;
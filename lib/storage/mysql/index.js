@@ -0,0 +1,196 @@
+const mysql = require('mysql2/promise');
+const retry = require('../../retry');
+const { createMigrator } = require('../../migrations');
+const { observeQuery } = require('../../metrics');
+const { logger } = require('../../logger');
+const createNotesRepository = require('./notes');
+const createTagsRepository = require('./tags');
+const createUsersRepository = require('./users');
+const createRevisionsRepository = require('./revisions');
+const createWebhooksRepository = require('./webhooks');
+const createSharesRepository = require('./shares');
+const createAttachmentsRepository = require('./attachments');
+const createLinksRepository = require('./links');
+const createRateLimitsRepository = require('./ratelimits');
+
+// Errors that mean the server is unreachable or the socket died, rather than a bad query
+const CONNECTION_ERRORS = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'PROTOCOL_CONNECTION_LOST',
+  'ER_CON_COUNT_ERROR'
+]);
+
+function isConnectionError(error) {
+  return CONNECTION_ERRORS.has(error.code) || /closed state/.test(error.message);
+}
+
+function logRetry(error, attempt, delay) {
+  logger.warn('MySQL unavailable, retrying', { code: error.code, reason: error.message, attempt, delayMs: delay });
+}
+
+// Statements on a pool or connection, timed for the metrics
+function instrument(db) {
+  return {
+    execute: (sql, params) => observeQuery(sql, () => db.execute(sql, params)),
+    query: (sql, params) => observeQuery(sql, () => db.query(sql, params))
+  };
+}
+
+// A write whose connection dropped may still have been applied, so only reads are sent again
+const READ_STATEMENT = /^\s*(SELECT|SHOW)\b/i;
+
+// Wrap the pool so reads that hit a dropped connection, and getting a connection, are retried
+// on a fresh one; writes surface the error
+function createExecutor(pool, retryOptions) {
+  const options = { ...retryOptions, shouldRetry: isConnectionError, onRetry: logRetry };
+  const timed = instrument(pool);
+  // Each attempt is timed on its own
+  const run = (sql, statement) => (READ_STATEMENT.test(sql) ? retry(statement, options) : statement());
+  return {
+    execute: (sql, params) => run(sql, () => timed.execute(sql, params)),
+    query: (sql, params) => run(sql, () => timed.query(sql, params)),
+    getConnection: () => retry(() => pool.getConnection(), options)
+  };
+}
+
+// migrations: 'auto' applies pending migrations, 'check' refuses to start while any are pending,
+// 'skip' leaves the schema alone (used by the migrate CLI itself)
+async function prepareSchema(migrator, mode) {
+  if (mode === 'skip') {
+    return;
+  }
+  if (mode === 'auto') {
+    const applied = await migrator.migrate();
+    applied.forEach(({ version, name }) => logger.info('Applied migration', { migration: `${version}_${name}` }));
+    return;
+  }
+  const pending = await migrator.pending();
+  if (pending.length > 0) {
+    throw new Error(
+      `Database schema is behind: ${pending.length} pending migration(s) ` +
+      `(${pending.map(m => m.version).join(', ')}). Run "npm run migrate" first.`
+    );
+  }
+}
+
+// Repositories bound to the pool, or to a single connection inside a transaction
+function createRepositories(db) {
+  return {
+    notes: createNotesRepository(db),
+    tags: createTagsRepository(db),
+    users: createUsersRepository(db),
+    revisions: createRevisionsRepository(db),
+    webhooks: createWebhooksRepository(db),
+    shares: createSharesRepository(db),
+    attachments: createAttachmentsRepository(db),
+    links: createLinksRepository(db),
+    rateLimits: createRateLimitsRepository(db)
+  };
+}
+
+// Run fn() inside a savepoint, rolling back only its own writes if it throws
+async function runSavepoint(connection, name, fn) {
+  await connection.query(`SAVEPOINT ${name}`);
+  try {
+    const result = await fn();
+    await connection.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (error) {
+    await connection.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    throw error;
+  }
+}
+
+// Run fn(tx) in a transaction on one pooled connection; tx exposes the same repositories
+// and runs nested transaction() calls in savepoints
+async function runTransaction(db, fn) {
+  const connection = await db.getConnection();
+  const timed = instrument(connection);
+  let savepoints = 0;
+  const tx = {
+    driver: 'mysql',
+    ...createRepositories(timed),
+    transaction: inner => runSavepoint(timed, `sp_${++savepoints}`, () => inner(tx))
+  };
+
+  try {
+    await connection.beginTransaction();
+    const result = await fn(tx);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function connect(config) {
+  const { retry: retryOptions = {}, migrations = 'auto', ...poolConfig } = config;
+  const pool = mysql.createPool({
+    waitForConnections: true,
+    enableKeepAlive: true,
+    ...poolConfig
+  });
+  const db = createExecutor(pool, retryOptions);
+  const migrator = createMigrator(db);
+
+  try {
+    await db.query('SELECT 1');
+    await prepareSchema(migrator, migrations);
+  } catch (error) {
+    await pool.end();
+    throw error;
+  }
+
+  return {
+    driver: 'mysql',
+    ...createRepositories(db),
+    migrator,
+
+    transaction(fn) {
+      return runTransaction(db, fn);
+    },
+
+    async ping() {
+      await db.query('SELECT 1');
+    },
+
+    // Pool usage for the readiness probe; mysql2 keeps these on the underlying callback pool
+    stats() {
+      const core = pool.pool || {};
+      const all = (core._allConnections || []).length;
+      const free = (core._freeConnections || []).length;
+      return {
+        limit: poolConfig.connectionLimit,
+        total: all,
+        active: all - free,
+        idle: free,
+        queued: (core._connectionQueue || []).length
+      };
+    },
+
+    // Remove all data and reset ids (used by the test suites)
+    async clear() {
+      await db.execute('DELETE FROM notes');
+      await db.execute('DELETE FROM tags');
+      await db.execute('DELETE FROM users');
+      await db.execute('DELETE FROM rate_limits');
+      for (const table of ['notes', 'tags', 'users', 'refresh_tokens', 'note_revisions', 'webhooks', 'webhook_deliveries', 'note_shares', 'attachments', 'note_links']) {
+        await db.execute(`ALTER TABLE ${table} AUTO_INCREMENT = 1`);
+      }
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { connect, isConnectionError };
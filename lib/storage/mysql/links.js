@@ -0,0 +1,60 @@
+// MySQL implementation of the links repository: the [[links]] each note makes, as written.
+// lib/links resolves them to notes.
+const placeholders = values => values.map(() => '?').join(', ');
+
+// Links in the owner's notes outside the trash, with the note each is in
+const LINKS_WITH_SOURCE = 'SELECT l.source_id, n.title AS source_title, l.target_id, l.target_title' +
+  ' FROM note_links l JOIN notes n ON n.id = l.source_id WHERE n.owner_id = ? AND n.deleted_at IS NULL';
+
+function createLinksRepository(db) {
+  return {
+    // links: [{ targetId, title }], one of the two set
+    async replace(noteId, links) {
+      await db.execute('DELETE FROM note_links WHERE source_id = ?', [noteId]);
+      if (links.length === 0) {
+        return;
+      }
+      await db.execute(
+        `INSERT INTO note_links (source_id, target_id, target_title) VALUES ${links.map(() => '(?, ?, ?)').join(', ')}`,
+        links.flatMap(({ targetId, title }) => [noteId, targetId, title])
+      );
+    },
+
+    async from(noteId) {
+      const [rows] = await db.execute(
+        'SELECT target_id, target_title FROM note_links WHERE source_id = ? ORDER BY id',
+        [noteId]
+      );
+      return rows;
+    },
+
+    // Links naming the note by id or by title
+    async to(ownerId, { id, title }) {
+      const [rows] = await db.execute(
+        `${LINKS_WITH_SOURCE} AND (l.target_id = ? OR l.target_title = ?) ORDER BY l.source_id, l.id`,
+        [ownerId, id, title.trim()]
+      );
+      return rows;
+    },
+
+    async all(ownerId) {
+      const [rows] = await db.execute(`${LINKS_WITH_SOURCE} ORDER BY l.source_id, l.id`, [ownerId]);
+      return rows;
+    },
+
+    // The owner's notes outside the trash that links could point at, oldest first
+    async targets(ownerId, { ids, titles }) {
+      const where = [
+        ...(ids.length ? [`id IN (${placeholders(ids)})`] : []),
+        ...(titles.length ? [`TRIM(title) IN (${placeholders(titles)})`] : [])
+      ];
+      const [rows] = await db.execute(
+        `SELECT id, title FROM notes WHERE owner_id = ? AND deleted_at IS NULL AND (${where.join(' OR ')}) ORDER BY id`,
+        [ownerId, ...ids, ...titles.map(title => title.trim())]
+      );
+      return rows;
+    }
+  };
+}
+
+module.exports = createLinksRepository;
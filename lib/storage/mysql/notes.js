@@ -0,0 +1,181 @@
+// MySQL implementation of the notes repository. Every method is scoped to the owning user,
+// and only the trash methods see notes that have been moved to the trash.
+const { toBooleanQuery } = require('../../search');
+
+const SORT_COLUMNS = { created_at: 'created_at', updated_at: 'updated_at', title: 'title' };
+
+// BOOLEAN columns come back as 0/1
+const toNote = row => ({ ...row, pinned: Boolean(row.pinned), archived: Boolean(row.archived) });
+
+function createNotesRepository(db) {
+  return {
+    // Keyset pagination, pinned notes first: `after` is the { pinned, value, id } of the last
+    // row of the previous page. `tags` keeps notes carrying any/all (tagMatch) of the given
+    // tag names; `archived` (true/false) keeps only archived or unarchived notes.
+    async list(ownerId, { sort = 'created_at', order = 'desc', limit, after, createdAfter, updatedSince, tags, tagMatch, archived } = {}) {
+      const column = SORT_COLUMNS[sort];
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      const where = ['owner_id = ?', 'deleted_at IS NULL'];
+      const params = [ownerId];
+
+      if (archived !== undefined) {
+        where.push('archived = ?');
+        params.push(archived);
+      }
+
+      if (createdAfter) {
+        where.push('created_at > ?');
+        params.push(createdAfter);
+      }
+      if (updatedSince) {
+        where.push('updated_at >= ?');
+        params.push(updatedSince);
+      }
+      if (tags && tags.length) {
+        const matching = 'SELECT nt.note_id FROM note_tags nt JOIN tags t ON t.id = nt.tag_id' +
+          ` WHERE t.name IN (${tags.map(() => '?').join(', ')})` +
+          (tagMatch === 'any' ? '' : ' GROUP BY nt.note_id HAVING COUNT(DISTINCT t.id) = ?');
+        where.push(`id IN (${matching})`);
+        params.push(...tags);
+        if (tagMatch !== 'any') {
+          params.push(tags.length);
+        }
+      }
+      if (after) {
+        const op = direction === 'ASC' ? '>' : '<';
+        where.push(`(pinned < ? OR (pinned = ? AND (${column} ${op} ? OR (${column} = ? AND id ${op} ?))))`);
+        params.push(after.pinned, after.pinned, after.value, after.value, after.id);
+      }
+
+      const [rows] = await db.execute(
+        `SELECT * FROM notes WHERE ${where.join(' AND ')}` +
+        ` ORDER BY pinned DESC, ${column} ${direction}, id ${direction}` +
+        (limit ? ` LIMIT ${Number(limit)}` : ''),
+        params
+      );
+      return rows.map(toNote);
+    },
+
+    // Relevance-ranked matches from the FULLTEXT index, best first
+    async search(ownerId, query, { limit }) {
+      const against = toBooleanQuery(query);
+      const [rows] = await db.execute(
+        'SELECT *, MATCH(title, content) AGAINST(? IN BOOLEAN MODE) AS score FROM notes' +
+        ' WHERE owner_id = ? AND deleted_at IS NULL AND MATCH(title, content) AGAINST(? IN BOOLEAN MODE)' +
+        ` ORDER BY score DESC, id DESC LIMIT ${Number(limit)}`,
+        [against, ownerId, against]
+      );
+      return rows.map(toNote);
+    },
+
+    async get(ownerId, id) {
+      const [rows] = await db.execute('SELECT * FROM notes WHERE id = ? AND owner_id = ? AND deleted_at IS NULL', [id, ownerId]);
+      return rows[0] ? toNote(rows[0]) : null;
+    },
+
+    async create(ownerId, { title, content, format = 'plain', pinned = false, archived = false }) {
+      const [result] = await db.execute(
+        'INSERT INTO notes (owner_id, title, content, format, pinned, archived) VALUES (?, ?, ?, ?, ?, ?)',
+        [ownerId, title, content, format, pinned, archived]
+      );
+      return { id: result.insertId, title, content, format, pinned, archived, version: 1 };
+    },
+
+    // Bumps the version. Resolves to false when the user has no note with the given id,
+    // or, when `version` is given, the note is no longer at that version.
+    async update(ownerId, id, { title, content, format, pinned, archived }, { version } = {}) {
+      const [result] = await db.execute(
+        'UPDATE notes SET title = ?, content = ?, format = ?, pinned = ?, archived = ?, version = version + 1' +
+        ' WHERE id = ? AND owner_id = ? AND deleted_at IS NULL' +
+        (version === undefined ? '' : ' AND version = ?'),
+        [title, content, format, pinned, archived, id, ownerId, ...(version === undefined ? [] : [version])]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // Move a note to the trash; updated_at is kept so restoring doesn't reorder it
+    async remove(ownerId, id, { version } = {}) {
+      const [result] = await db.execute(
+        'UPDATE notes SET deleted_at = CURRENT_TIMESTAMP, updated_at = updated_at' +
+        ' WHERE id = ? AND owner_id = ? AND deleted_at IS NULL' +
+        (version === undefined ? '' : ' AND version = ?'),
+        [id, ownerId, ...(version === undefined ? [] : [version])]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // Trashed notes, most recently deleted first
+    async listTrash(ownerId) {
+      const [rows] = await db.execute(
+        'SELECT * FROM notes WHERE owner_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC',
+        [ownerId]
+      );
+      return rows.map(toNote);
+    },
+
+    // Take a note back out of the trash
+    async restore(ownerId, id) {
+      const [result] = await db.execute(
+        'UPDATE notes SET deleted_at = NULL, updated_at = updated_at' +
+        ' WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL',
+        [id, ownerId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // Permanently delete a trashed note, leaving a tombstone for syncing clients
+    async purge(ownerId, id) {
+      await db.execute(
+        'INSERT IGNORE INTO note_tombstones (note_id, owner_id)' +
+        ' SELECT id, owner_id FROM notes WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL',
+        [id, ownerId]
+      );
+      const [result] = await db.execute(
+        'DELETE FROM notes WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL',
+        [id, ownerId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // Permanently delete every user's notes trashed before `cutoff`; resolves to the count.
+    // Tombstones only need to outlive the trash, so older ones go too.
+    async purgeDeletedBefore(cutoff) {
+      await db.execute('DELETE FROM note_tombstones WHERE deleted_at < ?', [cutoff]);
+      await db.execute(
+        'INSERT IGNORE INTO note_tombstones (note_id, owner_id)' +
+        ' SELECT id, owner_id FROM notes WHERE deleted_at IS NOT NULL AND deleted_at < ?',
+        [cutoff]
+      );
+      const [result] = await db.execute(
+        'DELETE FROM notes WHERE deleted_at IS NOT NULL AND deleted_at < ?',
+        [cutoff]
+      );
+      return result.affectedRows;
+    },
+
+    // What changed since `since` (everything when it's null): live notes, oldest change first,
+    // and the ids of notes trashed or purged since
+    async changes(ownerId, since) {
+      const [rows] = await db.execute(
+        'SELECT * FROM notes WHERE owner_id = ?' +
+        (since ? ' AND changed_at >= ?' : ' AND deleted_at IS NULL') +
+        ' ORDER BY changed_at, id',
+        since ? [ownerId, since] : [ownerId]
+      );
+      const notes = rows.filter(row => !row.deleted_at).map(toNote);
+      if (!since) {
+        return { notes, deleted: [] };
+      }
+      const [tombstones] = await db.execute(
+        'SELECT note_id FROM note_tombstones WHERE owner_id = ? AND deleted_at >= ?',
+        [ownerId, since]
+      );
+      return {
+        notes,
+        deleted: [...rows.filter(row => row.deleted_at).map(row => row.id), ...tombstones.map(row => row.note_id)]
+      };
+    }
+  };
+}
+
+module.exports = createNotesRepository;
@@ -0,0 +1,40 @@
+// MySQL implementation of the rate limit buckets repository. Each take is a conditional UPDATE,
+// which locks the row, so instances sharing the database never hand out the same token twice.
+const REFILLED = 'LEAST(?, tokens + (? - updated_at_ms) * ?)';
+
+function createRateLimitsRepository(db) {
+  return {
+    // Take one token from the bucket for `key`; resolves to { allowed, tokens left }
+    async take(key, { capacity, windowMs }, now) {
+      const rate = capacity / windowMs;
+      const [updated] = await db.execute(
+        `UPDATE rate_limits SET tokens = ${REFILLED} - 1, updated_at_ms = ?
+         WHERE bucket_key = ? AND ${REFILLED} >= 1`,
+        [capacity, now, rate, now, key, capacity, now, rate]
+      );
+      let allowed = updated.affectedRows === 1;
+      if (!allowed) {
+        // A new bucket starts full; one that already exists is empty
+        const [inserted] = await db.execute(
+          'INSERT IGNORE INTO rate_limits (bucket_key, tokens, updated_at_ms) VALUES (?, ?, ?)',
+          [key, capacity - 1, now]
+        );
+        allowed = inserted.affectedRows === 1;
+      }
+
+      const [rows] = await db.execute(
+        `SELECT ${REFILLED} AS tokens FROM rate_limits WHERE bucket_key = ?`,
+        [capacity, now, rate, key]
+      );
+      return { allowed, tokens: rows[0] ? Math.max(0, Number(rows[0].tokens)) : 0 };
+    },
+
+    // Drop buckets untouched since `before` (ms); they would be full again anyway
+    async prune(before) {
+      const [result] = await db.execute('DELETE FROM rate_limits WHERE updated_at_ms < ?', [before]);
+      return result.affectedRows;
+    }
+  };
+}
+
+module.exports = createRateLimitsRepository;
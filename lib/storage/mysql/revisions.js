@@ -0,0 +1,58 @@
+// MySQL implementation of the note revisions repository. Callers check note ownership first.
+function createRevisionsRepository(db) {
+  return {
+    // Store a note's new state as the next revision number; resolves to that number.
+    // Runs after the note row has been written, so its row lock serializes concurrent saves.
+    async add(noteId, { title, content }) {
+      const [[{ latest }]] = await db.execute(
+        'SELECT COALESCE(MAX(revision), 0) AS latest FROM note_revisions WHERE note_id = ?',
+        [noteId]
+      );
+      const revision = Number(latest) + 1;
+      await db.execute(
+        'INSERT INTO note_revisions (note_id, revision, title, content) VALUES (?, ?, ?, ?)',
+        [noteId, revision, title, content]
+      );
+      return revision;
+    },
+
+    // Newest first, without content
+    async list(noteId) {
+      const [rows] = await db.execute(
+        'SELECT revision, title, created_at FROM note_revisions WHERE note_id = ? ORDER BY revision DESC',
+        [noteId]
+      );
+      return rows;
+    },
+
+    async get(noteId, revision) {
+      const [rows] = await db.execute(
+        'SELECT revision, title, content, created_at FROM note_revisions WHERE note_id = ? AND revision = ?',
+        [noteId, revision]
+      );
+      return rows[0] || null;
+    },
+
+    async latest(noteId) {
+      const [rows] = await db.execute(
+        'SELECT revision, title, content, created_at FROM note_revisions WHERE note_id = ? ORDER BY revision DESC LIMIT 1',
+        [noteId]
+      );
+      return rows[0] || null;
+    },
+
+    // Drop all but the newest `keep` revisions
+    async prune(noteId, keep) {
+      const [[{ latest }]] = await db.execute(
+        'SELECT COALESCE(MAX(revision), 0) AS latest FROM note_revisions WHERE note_id = ?',
+        [noteId]
+      );
+      await db.execute(
+        'DELETE FROM note_revisions WHERE note_id = ? AND revision <= ?',
+        [noteId, Number(latest) - keep]
+      );
+    }
+  };
+}
+
+module.exports = createRevisionsRepository;
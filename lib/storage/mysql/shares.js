@@ -0,0 +1,45 @@
+// MySQL implementation of the note shares repository
+function createSharesRepository(db) {
+  async function get(id) {
+    const [rows] = await db.execute('SELECT * FROM note_shares WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  return {
+    async list(noteId) {
+      const [rows] = await db.execute('SELECT * FROM note_shares WHERE note_id = ? ORDER BY id', [noteId]);
+      return rows;
+    },
+
+    async create(noteId, { tokenHash, passwordHash = null, expiresAt = null }) {
+      const [result] = await db.execute(
+        'INSERT INTO note_shares (note_id, token_hash, password_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [noteId, tokenHash, passwordHash, expiresAt]
+      );
+      return get(result.insertId);
+    },
+
+    async remove(noteId, id) {
+      const [result] = await db.execute('DELETE FROM note_shares WHERE note_id = ? AND id = ?', [noteId, id]);
+      return result.affectedRows > 0;
+    },
+
+    // The share with its note's owner_id
+    async findByToken(tokenHash) {
+      const [rows] = await db.execute(
+        'SELECT s.*, n.owner_id FROM note_shares s JOIN notes n ON n.id = s.note_id WHERE s.token_hash = ?',
+        [tokenHash]
+      );
+      return rows[0] || null;
+    },
+
+    async recordAccess(id, at) {
+      await db.execute(
+        'UPDATE note_shares SET access_count = access_count + 1, last_accessed_at = ? WHERE id = ?',
+        [at, id]
+      );
+    }
+  };
+}
+
+module.exports = createSharesRepository;
@@ -0,0 +1,101 @@
+// MySQL implementation of the tags repository (tags + note_tags tables); tags belong to a user
+const placeholders = values => values.map(() => '?').join(', ');
+
+function createTagsRepository(db) {
+  async function findId(ownerId, name) {
+    const [rows] = await db.execute('SELECT id FROM tags WHERE owner_id = ? AND name = ?', [ownerId, name]);
+    return rows.length ? rows[0].id : null;
+  }
+
+  // The notes carrying a tag change with it, as far as syncing clients are concerned
+  async function touchNotes(tagId) {
+    await db.execute(
+      'UPDATE notes SET changed_at = CURRENT_TIMESTAMP(3), updated_at = updated_at' +
+      ' WHERE id IN (SELECT note_id FROM note_tags WHERE tag_id = ?)',
+      [tagId]
+    );
+  }
+
+  return {
+    // Every tag with the number of notes (outside the trash) carrying it
+    async list(ownerId) {
+      const [rows] = await db.execute(`
+        SELECT t.name, COUNT(n.id) AS count
+        FROM tags t
+        LEFT JOIN note_tags nt ON nt.tag_id = t.id
+        LEFT JOIN notes n ON n.id = nt.note_id AND n.deleted_at IS NULL
+        WHERE t.owner_id = ?
+        GROUP BY t.id, t.name
+        ORDER BY t.name
+      `, [ownerId]);
+      return rows.map(row => ({ name: row.name, count: Number(row.count) }));
+    },
+
+    // Map of note id -> sorted tag names (callers pass ids of notes they own)
+    async forNotes(noteIds) {
+      const tags = new Map(noteIds.map(id => [Number(id), []]));
+      if (noteIds.length === 0) {
+        return tags;
+      }
+      const [rows] = await db.execute(
+        'SELECT nt.note_id, t.name FROM note_tags nt JOIN tags t ON t.id = nt.tag_id' +
+        ` WHERE nt.note_id IN (${placeholders(noteIds)}) ORDER BY t.name`,
+        noteIds
+      );
+      rows.forEach(row => tags.get(row.note_id).push(row.name));
+      return tags;
+    },
+
+    // Replace a note's tags, creating any that don't exist yet
+    async setForNote(ownerId, noteId, names) {
+      await db.execute('DELETE FROM note_tags WHERE note_id = ?', [noteId]);
+      if (names.length === 0) {
+        return [];
+      }
+      await db.execute(
+        `INSERT IGNORE INTO tags (owner_id, name) VALUES ${names.map(() => '(?, ?)').join(', ')}`,
+        names.flatMap(name => [ownerId, name])
+      );
+      await db.execute(
+        'INSERT INTO note_tags (note_id, tag_id) SELECT ?, id FROM tags' +
+        ` WHERE owner_id = ? AND name IN (${placeholders(names)})`,
+        [noteId, ownerId, ...names]
+      );
+      return [...names].sort();
+    },
+
+    // Rename a tag; when the new name already exists the two are merged.
+    // Resolves to null if there is no tag called `from`.
+    async rename(ownerId, from, to) {
+      const fromId = await findId(ownerId, from);
+      if (fromId === null) {
+        return null;
+      }
+      await touchNotes(fromId);
+      const toId = await findId(ownerId, to);
+      if (toId === null || toId === fromId) {
+        await db.execute('UPDATE tags SET name = ? WHERE id = ?', [to, fromId]);
+        return { name: to, merged: false };
+      }
+      await db.execute(
+        'INSERT IGNORE INTO note_tags (note_id, tag_id) SELECT note_id, ? FROM note_tags WHERE tag_id = ?',
+        [toId, fromId]
+      );
+      await db.execute('DELETE FROM tags WHERE id = ?', [fromId]);
+      return { name: to, merged: true };
+    },
+
+    // Delete a tag and detach it from every note
+    async remove(ownerId, name) {
+      const tagId = await findId(ownerId, name);
+      if (tagId === null) {
+        return false;
+      }
+      await touchNotes(tagId);
+      await db.execute('DELETE FROM tags WHERE id = ?', [tagId]);
+      return true;
+    }
+  };
+}
+
+module.exports = createTagsRepository;
@@ -0,0 +1,54 @@
+// MySQL implementation of the users repository, including refresh tokens
+function createUsersRepository(db) {
+  return {
+    // Resolves to null when the email is already registered
+    async create({ email, passwordHash }) {
+      try {
+        const [result] = await db.execute(
+          'INSERT INTO users (email, password_hash) VALUES (?, ?)',
+          [email, passwordHash]
+        );
+        return { id: result.insertId, email };
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async findByEmail(email) {
+      const [rows] = await db.execute('SELECT * FROM users WHERE email = ?', [email]);
+      return rows[0] || null;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [id]);
+      return rows[0] || null;
+    },
+
+    async addRefreshToken(userId, { tokenHash, expiresAt }) {
+      await db.execute(
+        'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [userId, tokenHash, expiresAt]
+      );
+    },
+
+    // Revoke a live refresh token, resolving to its user id; null if it was unknown,
+    // expired or already used. The guarded UPDATE decides, so two concurrent refreshes can't
+    // both win; the user id is only read once it has.
+    async consumeRefreshToken(tokenHash) {
+      const [result] = await db.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()',
+        [tokenHash]
+      );
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      const [rows] = await db.execute('SELECT user_id FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+      return rows.length > 0 ? rows[0].user_id : null;
+    }
+  };
+}
+
+module.exports = createUsersRepository;
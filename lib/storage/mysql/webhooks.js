@@ -0,0 +1,113 @@
+// MySQL implementation of the webhooks repository: subscriptions and their delivery queue
+function toWebhook(row) {
+  return { ...row, events: row.events.split(','), active: Boolean(row.active) };
+}
+
+function createWebhooksRepository(db) {
+  async function get(ownerId, id) {
+    const [rows] = await db.execute('SELECT * FROM webhooks WHERE owner_id = ? AND id = ?', [ownerId, id]);
+    return rows[0] ? toWebhook(rows[0]) : null;
+  }
+
+  return {
+    async list(ownerId) {
+      const [rows] = await db.execute('SELECT * FROM webhooks WHERE owner_id = ? ORDER BY id', [ownerId]);
+      return rows.map(toWebhook);
+    },
+
+    get,
+
+    async create(ownerId, { url, events, secret, active = true }) {
+      const [result] = await db.execute(
+        'INSERT INTO webhooks (owner_id, url, secret, events, active) VALUES (?, ?, ?, ?, ?)',
+        [ownerId, url, secret, events.join(','), active]
+      );
+      return get(ownerId, result.insertId);
+    },
+
+    async update(ownerId, id, { url, events, active }) {
+      const [result] = await db.execute(
+        'UPDATE webhooks SET url = ?, events = ?, active = ? WHERE owner_id = ? AND id = ?',
+        [url, events.join(','), active, ownerId, id]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // Deliveries go with it
+    async remove(ownerId, id) {
+      const [result] = await db.execute('DELETE FROM webhooks WHERE owner_id = ? AND id = ?', [ownerId, id]);
+      return result.affectedRows > 0;
+    },
+
+    // The user's active webhooks that listen for the event
+    async subscribed(ownerId, event) {
+      const [rows] = await db.execute(
+        'SELECT * FROM webhooks WHERE owner_id = ? AND active = TRUE AND FIND_IN_SET(?, events) > 0 ORDER BY id',
+        [ownerId, event]
+      );
+      return rows.map(toWebhook);
+    },
+
+    // Queue a delivery, due straight away; resolves to its id
+    async enqueue(webhookId, { eventId, event, payload }) {
+      const [result] = await db.execute(
+        'INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload) VALUES (?, ?, ?, ?)',
+        [webhookId, eventId, event, payload]
+      );
+      return result.insertId;
+    },
+
+    // Pending deliveries to active webhooks that are due by `now`, oldest first, with the
+    // webhook's url and secret. Rows locked by another worker's transaction are skipped.
+    async due(now, limit) {
+      const [rows] = await db.execute(
+        'SELECT d.id, d.webhook_id, d.event_id, d.event, d.payload, d.attempts, w.url, w.secret' +
+        ' FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id' +
+        ' WHERE d.status = \'pending\' AND d.next_attempt_at <= ? AND w.active = TRUE' +
+        ` ORDER BY d.next_attempt_at, d.id LIMIT ${Number(limit)} FOR UPDATE OF d SKIP LOCKED`,
+        [now]
+      );
+      return rows;
+    },
+
+    // Hold deliveries back until `until`, so no other worker picks them up meanwhile
+    async postpone(ids, until) {
+      if (ids.length === 0) {
+        return;
+      }
+      await db.query('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id IN (?)', [until, ids]);
+    },
+
+    // Store the outcome of an attempt: status is 'delivered', 'pending' (retry at nextAttemptAt)
+    // or 'failed' (given up)
+    async recordAttempt(id, { status, attempts, nextAttemptAt = null, responseStatus = null, error = null, at }) {
+      await db.execute(
+        'UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?,' +
+        ' response_status = ?, error = ?, delivered_at = ? WHERE id = ?',
+        [status, attempts, nextAttemptAt, at, responseStatus, error, status === 'delivered' ? at : null, id]
+      );
+    },
+
+    // Delete delivered and failed deliveries last attempted before `before`; resolves to the
+    // number deleted
+    async pruneDeliveries(before) {
+      const [result] = await db.execute(
+        'DELETE FROM webhook_deliveries WHERE status IN (\'delivered\', \'failed\') AND last_attempt_at < ?',
+        [before]
+      );
+      return result.affectedRows;
+    },
+
+    // Newest first
+    async deliveries(webhookId, { limit }) {
+      const [rows] = await db.execute(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = ?' +
+        ` ORDER BY id DESC LIMIT ${Number(limit)}`,
+        [webhookId]
+      );
+      return rows;
+    }
+  };
+}
+
+module.exports = createWebhooksRepository;
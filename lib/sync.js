@@ -0,0 +1,30 @@
+// Incremental sync for clients that keep notes offline. GET /api/notes/changes?since=<synced_at>
+// answers with the notes changed since then and the ids of notes deleted since then, plus a
+// new synced_at to send next time. Changes can be reported twice but are never missed.
+const { withTags } = require('./notes');
+const { parseDate } = require('./pagination');
+const { config } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// synced_at lags the clock by this much, to cover writes still committing while we read and a
+// database clock slightly behind ours
+const SYNC_OVERLAP_MS = 5000;
+
+// Purged notes' tombstones are kept for the trash retention period; a client that last synced
+// before that can't be told what it missed and gets every note instead (reset: true)
+async function noteChanges(storage, ownerId, since, { retentionDays = config.trash.retentionDays, now = new Date() } = {}) {
+  const sinceDate = parseDate(since, 'since');
+  const reset = !sinceDate || sinceDate < new Date(now.getTime() - retentionDays * DAY_MS);
+  const { notes, deleted } = await storage.notes.changes(ownerId, reset ? null : sinceDate);
+  return {
+    reset,
+    synced_at: new Date(now.getTime() - SYNC_OVERLAP_MS).toISOString(),
+    notes: await withTags(storage, notes),
+    deleted
+  };
+}
+
+module.exports = {
+  SYNC_OVERLAP_MS,
+  noteChanges
+};
@@ -0,0 +1,52 @@
+// Tag name rules shared by the API and the storage drivers
+const { BadRequestError } = require('./errors');
+
+const MAX_TAG_LENGTH = 64;
+const MAX_TAGS_PER_NOTE = 20;
+
+// Tags are case-insensitive: stored trimmed and lower-cased
+function normalizeTag(value) {
+  if (typeof value !== 'string') {
+    throw new BadRequestError('Tags must be strings');
+  }
+  const name = value.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!name || name.length > MAX_TAG_LENGTH || name.includes(',')) {
+    throw new BadRequestError(`Tags must be 1-${MAX_TAG_LENGTH} characters and may not contain commas`);
+  }
+  return name;
+}
+
+// Validate a `tags` request field; undefined means "leave the note's tags alone"
+function normalizeTags(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!Array.isArray(value)) {
+    throw new BadRequestError('tags must be an array of strings');
+  }
+  const names = [...new Set(value.map(normalizeTag))];
+  if (names.length > MAX_TAGS_PER_NOTE) {
+    throw new BadRequestError(`A note can have at most ${MAX_TAGS_PER_NOTE} tags`);
+  }
+  return names;
+}
+
+// ?tag=a&tag=b&match=any|all on GET /api/notes
+function parseTagFilter(query) {
+  if (query.tag === undefined) {
+    return {};
+  }
+  const match = query.match === undefined ? 'all' : query.match;
+  if (match !== 'any' && match !== 'all') {
+    throw new BadRequestError('match must be any or all');
+  }
+  return { tags: [...new Set([].concat(query.tag).map(normalizeTag))], tagMatch: match };
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_NOTE,
+  normalizeTag,
+  normalizeTags,
+  parseTagFilter
+};
@@ -0,0 +1,329 @@
+// Bulk export and import of a user's notes as JSON, CSV, or a zip of Markdown files with
+// YAML front-matter. Exports stream a page of notes at a time instead of buffering them all.
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const yaml = require('js-yaml');
+const { formatRow, parseCsv } = require('./csv');
+const { MAX_TITLE_LENGTH, MAX_CONTENT_LENGTH, withTags, createNote } = require('./notes');
+const { normalizeTags } = require('./tags');
+const { normalizeFormat } = require('./render');
+const { HttpError, BadRequestError } = require('./errors');
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  'markdown-zip': { contentType: 'application/zip', extension: 'zip' }
+};
+
+const PAGE_SIZE = 200;
+const CSV_FIELDS = ['id', 'title', 'content', 'format', 'tags', 'created_at', 'updated_at'];
+// Larger zip entries are reported as invalid without being inflated
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Every note the user has outside the trash, pinned ones first, then oldest first, fetched a
+// page at a time
+async function* eachNote(storage, ownerId) {
+  let after;
+  for (;;) {
+    const page = await storage.notes.list(ownerId, { sort: 'created_at', order: 'asc', limit: PAGE_SIZE, after });
+    yield* await withTags(storage, page);
+    if (page.length < PAGE_SIZE) {
+      return;
+    }
+    const last = page[page.length - 1];
+    // Pinned notes sort first, so the next page starts after the last one's place among them
+    after = { pinned: last.pinned, value: last.created_at, id: last.id };
+  }
+}
+
+function toExported(note) {
+  return {
+    id: note.id,
+    title: note.title,
+    content: note.content,
+    format: note.format,
+    tags: note.tags,
+    created_at: new Date(note.created_at).toISOString(),
+    updated_at: new Date(note.updated_at).toISOString()
+  };
+}
+
+async function* jsonChunks(storage, ownerId) {
+  yield `{"exported_at":${JSON.stringify(new Date())},"notes":[`;
+  let separator = '\n';
+  for await (const note of eachNote(storage, ownerId)) {
+    yield separator + JSON.stringify(toExported(note));
+    separator = ',\n';
+  }
+  yield '\n]}\n';
+}
+
+async function* csvChunks(storage, ownerId) {
+  yield formatRow(CSV_FIELDS);
+  for await (const note of eachNote(storage, ownerId)) {
+    const exported = { ...toExported(note), tags: note.tags.join(',') };
+    yield formatRow(CSV_FIELDS.map(field => exported[field]));
+  }
+}
+
+function toMarkdownFile(note) {
+  const { title, format, tags, created_at, updated_at } = toExported(note);
+  const frontMatter = yaml.dump({ title, format, tags, created_at, updated_at }, { lineWidth: -1 });
+  return `---\n${frontMatter}---\n\n${note.content}\n`;
+}
+
+function fileName(note) {
+  const slug = note.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return `${slug || 'note'}-${note.id}.md`;
+}
+
+async function exportZip(storage, ownerId, res) {
+  const zip = new yazl.ZipFile();
+  const sent = pipeline(zip.outputStream, res);
+  // Stop adding entries once the client has gone away
+  const closed = new AbortController();
+  sent.catch(() => closed.abort());
+
+  try {
+    for await (const note of eachNote(storage, ownerId)) {
+      zip.addBuffer(Buffer.from(toMarkdownFile(note)), fileName(note), { mtime: new Date(note.updated_at) });
+      if (zip.outputStream.writableNeedDrain) {
+        await once(zip.outputStream, 'drain', { signal: closed.signal });
+      }
+    }
+    zip.end();
+  } catch (error) {
+    if (!closed.signal.aborted) {
+      zip.outputStream.destroy(error);
+    }
+  }
+  await sent;
+}
+
+// Stream the user's notes to res in the given format
+async function exportNotes(storage, ownerId, format, res) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set('Content-Type', FORMATS[format].contentType);
+  res.attachment(`notes-${stamp}.${FORMATS[format].extension}`);
+
+  if (format === 'markdown-zip') {
+    return exportZip(storage, ownerId, res);
+  }
+  const chunks = format === 'csv' ? csvChunks(storage, ownerId) : jsonChunks(storage, ownerId);
+  return pipeline(Readable.from(chunks), res);
+}
+
+// Import parsing: each entry is { source, fields } or { source, error }
+
+function readJson(buffer) {
+  let parsed;
+  try {
+    parsed = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw new BadRequestError(`Invalid JSON: ${error.message}`);
+  }
+  const notes = Array.isArray(parsed) ? parsed : parsed && parsed.notes;
+  if (!Array.isArray(notes)) {
+    throw new BadRequestError('Expected an array of notes or an object with a "notes" array');
+  }
+  return notes.map((fields, index) => ({ source: `notes[${index}]`, fields }));
+}
+
+function readCsv(buffer) {
+  let rows;
+  try {
+    rows = parseCsv(buffer.toString('utf8'));
+  } catch (error) {
+    throw new BadRequestError(`Invalid CSV: ${error.message}`);
+  }
+  const header = (rows.shift() || []).map(name => name.trim().toLowerCase());
+  if (!header.includes('title') || !header.includes('content')) {
+    throw new BadRequestError('CSV needs a header row with title and content columns');
+  }
+  return rows.map((row, index) => {
+    const fields = Object.fromEntries(header.map((name, column) => [name, row[column]]));
+    fields.tags = fields.tags ? fields.tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined;
+    fields.format = fields.format || undefined;
+    return { source: `row ${index + 1}`, fields };
+  });
+}
+
+// A Markdown file with optional front-matter; without a title there, the first
+// heading or the file name is used
+function readMarkdownFile(name, text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/.exec(text);
+  let meta = {};
+  if (match) {
+    try {
+      meta = yaml.load(match[1], { schema: yaml.JSON_SCHEMA }) || {};
+    } catch (error) {
+      return { source: name, error: `Invalid front-matter: ${error.reason || error.message}` };
+    }
+  }
+  const content = (match ? text.slice(match[0].length).replace(/^\r?\n/, '') : text).replace(/\r?\n$/, '');
+  const heading = /^#\s+(.+)$/m.exec(content);
+  const baseName = name.split('/').pop().replace(/\.md$/i, '');
+  return {
+    source: name,
+    fields: { ...meta, title: meta.title || (heading && heading[1].trim()) || baseName, content, format: meta.format || 'markdown' }
+  };
+}
+
+function openZip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => (error ? reject(error) : resolve(zip)));
+  });
+}
+
+function readEntry(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (error, stream) => {
+      if (error) {
+        return reject(error);
+      }
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+  });
+}
+
+async function readMarkdownZip(buffer) {
+  let zip;
+  try {
+    zip = await openZip(buffer);
+  } catch (error) {
+    throw new BadRequestError(`Invalid zip archive: ${error.message}`);
+  }
+
+  const entries = [];
+  const readFile = async (entry) => {
+    const name = entry.fileName;
+    // Folders, macOS resource forks and anything that isn't Markdown
+    if (name.endsWith('/') || name.startsWith('__MACOSX/') || !/\.md$/i.test(name)) {
+      return;
+    }
+    if (entry.uncompressedSize > MAX_FILE_BYTES) {
+      entries.push({ source: name, error: `File is larger than ${MAX_FILE_BYTES} bytes` });
+      return;
+    }
+    entries.push(readMarkdownFile(name, await readEntry(zip, entry)));
+  };
+
+  try {
+    // lazyEntries: the next entry is only read once the previous one has been handled
+    await new Promise((resolve, reject) => {
+      zip.on('entry', entry => readFile(entry).then(() => zip.readEntry(), reject));
+      zip.on('end', resolve);
+      zip.on('error', reject);
+      zip.readEntry();
+    });
+  } catch (error) {
+    throw new BadRequestError(`Invalid zip archive: ${error.message}`);
+  } finally {
+    zip.close();
+  }
+  return entries;
+}
+
+async function readImport(format, buffer) {
+  if (format === 'csv') {
+    return readCsv(buffer);
+  }
+  if (format === 'markdown-zip') {
+    return readMarkdownZip(buffer);
+  }
+  return readJson(buffer);
+}
+
+// The note to create from an imported entry; throws a BadRequestError describing what's wrong
+function toNote(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new BadRequestError('Expected an object with title and content');
+  }
+  const { title, content } = fields;
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+    throw new BadRequestError(`title must be 1-${MAX_TITLE_LENGTH} characters`);
+  }
+  if (typeof content !== 'string' || !content) {
+    throw new BadRequestError('content is required');
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new BadRequestError(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+  }
+  return {
+    title,
+    content,
+    format: normalizeFormat(fields.format) || 'plain',
+    tags: normalizeTags(fields.tags) || []
+  };
+}
+
+const duplicateKey = note => `${note.title}\u0000${note.content}`;
+
+// Validate and (unless dryRun) create each entry. A note with the same title and content as an
+// existing note, or an earlier entry, is a duplicate and skipped unless duplicates is 'import'.
+// Resolves to a per-entry report.
+async function importNotes(storage, ownerId, entries, { dryRun = false, duplicates = 'skip' } = {}) {
+  const seen = new Map();
+  for await (const note of eachNote(storage, ownerId)) {
+    seen.set(duplicateKey(note), { id: note.id });
+  }
+
+  const items = [];
+  for (const [index, entry] of entries.entries()) {
+    const item = { index, source: entry.source };
+    let note;
+    try {
+      if (entry.error) {
+        throw new BadRequestError(entry.error);
+      }
+      note = toNote(entry.fields);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        throw error;
+      }
+      items.push({ ...item, status: 'invalid', error: error.message });
+      continue;
+    }
+
+    item.title = note.title;
+    const key = duplicateKey(note);
+    if (seen.has(key) && duplicates !== 'import') {
+      items.push({ ...item, status: 'duplicate', duplicateOf: seen.get(key) });
+      continue;
+    }
+    if (dryRun) {
+      seen.set(key, { index });
+      items.push({ ...item, status: 'valid' });
+      continue;
+    }
+    const created = await createNote(storage, ownerId, note);
+    seen.set(key, { id: created.id });
+    items.push({ ...item, status: 'created', id: created.id });
+  }
+
+  const count = status => items.filter(item => item.status === status).length;
+  return {
+    dryRun,
+    summary: {
+      total: items.length,
+      created: count('created'),
+      valid: count('valid'),
+      duplicate: count('duplicate'),
+      invalid: count('invalid')
+    },
+    items
+  };
+}
+
+module.exports = {
+  FORMATS,
+  exportNotes,
+  readImport,
+  importNotes
+};
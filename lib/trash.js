@@ -0,0 +1,63 @@
+// Trash retention: trashed notes are permanently deleted once they are older than
+// TRASH_RETENTION_DAYS, by a job that runs in the server process
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { removeBlobs } = require('./attachments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = config.trash.retentionDays;
+const TRASH_PURGE_INTERVAL_MS = config.trash.purgeIntervalMinutes * 60 * 1000;
+
+// When a note deleted now will be purged
+function purgeDate(deletedAt, retentionDays = TRASH_RETENTION_DAYS) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+// Permanently delete a note from the trash, and its attachments' files from `blobs`.
+// Resolves to false when the note isn't in the user's trash.
+async function purgeNote(storage, blobs, ownerId, id) {
+  const attachments = await storage.attachments.list(Number(id));
+  if (!(await storage.notes.purge(ownerId, id))) {
+    return false;
+  }
+  await removeBlobs(blobs, attachments.map(attachment => attachment.storage_key));
+  return true;
+}
+
+// Resolves to the number of notes purged. With `blobs`, their attachments' files are removed too.
+async function purgeTrash(storage, { retentionDays = TRASH_RETENTION_DAYS, now = new Date(), blobs } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const keys = blobs ? await storage.attachments.keysTrashedBefore(cutoff) : [];
+  const purged = await storage.notes.purgeDeletedBefore(cutoff);
+  if (blobs) {
+    await removeBlobs(blobs, keys);
+  }
+  return purged;
+}
+
+// Purge now and then every `interval` ms; returns a function that stops the job
+function startTrashPurge(getStorage, { interval = TRASH_PURGE_INTERVAL_MS, retentionDays, blobs } = {}) {
+  const run = async () => {
+    try {
+      const purged = await purgeTrash(await getStorage(), { retentionDays, blobs });
+      if (purged > 0) {
+        logger.info('Purged notes from the trash', { purged });
+      }
+    } catch (error) {
+      logger.error('Trash purge failed', { error });
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  // Don't keep the process alive just for the purge
+  timer.unref();
+  run();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  purgeDate,
+  purgeNote,
+  purgeTrash,
+  startTrashPurge
+};
@@ -0,0 +1,150 @@
+// Request validation against the OpenAPI document (lib/openapi). validate(operationId) checks a
+// request's path parameters, query string, headers and JSON body against that operation's
+// schemas and answers 400 listing every problem:
+//   { error: 'title must be at most 255 characters',
+//     details: [{ in: 'body', field: 'title', message: 'must be at most 255 characters' }] }
+// It only turns requests away; handlers still read and convert the values themselves.
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { document, findOperation } = require('./openapi');
+
+const DOCUMENT_ID = 'openapi.json';
+
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, ...options });
+  addFormats(ajv);
+  // The document itself is added as a schema so operations can point into it and its $refs
+  // resolve; its top-level fields are OpenAPI's, not JSON Schema keywords
+  ajv.addVocabulary(Object.keys(document));
+  ajv.addSchema(document, DOCUMENT_ID);
+  return ajv;
+}
+
+// Path, query and header values are strings, so '42' passes as an integer. Coercion only
+// affects the copy being validated: a top-level value can't be changed in place.
+const parameterAjv = createAjv({ coerceTypes: true });
+const bodyAjv = createAjv();
+
+// A JSON pointer into the document
+function pointer(...segments) {
+  const escaped = segments.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'));
+  return `${DOCUMENT_ID}#/${escaped.join('/')}`;
+}
+
+const article = type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+
+function describe({ keyword, params, message }) {
+  switch (keyword) {
+  case 'required':
+    return 'is required';
+  case 'type':
+    return `must be ${[].concat(params.type).map(type => (type === 'null' ? 'null' : article(type))).join(' or ')}`;
+  case 'minLength':
+    return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+  case 'maxLength':
+    return `must be at most ${params.limit} characters`;
+  case 'minItems':
+    return params.limit === 1 ? 'must not be empty' : `must have at least ${params.limit} items`;
+  case 'maxItems':
+    return `must have at most ${params.limit} items`;
+  case 'minimum':
+    return `must be at least ${params.limit}`;
+  case 'maximum':
+    return `must be at most ${params.limit}`;
+  case 'enum':
+    return `must be one of: ${params.allowedValues.join(', ')}`;
+  case 'format':
+    return `must be a valid ${params.format}`;
+  default:
+    return message;
+  }
+}
+
+// 'tags[2]' for /tags/2 in the body; parameters are named after themselves
+function fieldName(name, { keyword, instancePath, params }) {
+  const segments = instancePath.split('/').slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (keyword === 'required') {
+    segments.push(params.missingProperty);
+  }
+  const field = segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${path}[${segment}]`;
+    }
+    return path ? `${path}.${segment}` : segment;
+  }, name);
+  return field || 'body';
+}
+
+function readParameter(req, parameter) {
+  if (parameter.in === 'path') {
+    return req.params[parameter.name];
+  }
+  if (parameter.in === 'header') {
+    return req.get(parameter.name);
+  }
+  return req.query[parameter.name];
+}
+
+// Express middleware validating requests to the operation with this operationId
+function validate(operationId) {
+  const { method, path, operation } = findOperation(operationId);
+  const parameters = (operation.parameters || []).map((parameter, index) => ({
+    ...parameter,
+    check: parameterAjv.compile({ $ref: pointer('paths', path, method, 'parameters', index, 'schema') })
+  }));
+  const json = operation.requestBody && operation.requestBody.content['application/json'];
+  const checkBody = json && bodyAjv.compile({
+    $ref: pointer('paths', path, method, 'requestBody', 'content', 'application/json', 'schema')
+  });
+
+  function validateRequest(req, res, next) {
+    const details = [];
+    for (const parameter of parameters) {
+      const value = readParameter(req, parameter);
+      if (value === undefined) {
+        if (parameter.required) {
+          details.push({ in: parameter.in, field: parameter.name, message: 'is required' });
+        }
+      } else if (!parameter.check(value)) {
+        details.push(...parameter.check.errors.map(error => ({
+          in: parameter.in,
+          field: fieldName(parameter.name, error),
+          message: describe(error)
+        })));
+      }
+    }
+    if (checkBody && !checkBody(req.body)) {
+      details.push(...checkBody.errors.map(error => ({ in: 'body', field: fieldName('', error), message: describe(error) })));
+    }
+
+    if (details.length === 0) {
+      return next();
+    }
+    // One problem per field: a value failing anyOf would otherwise be reported once per branch
+    const problems = details.filter((detail, index) =>
+      details.findIndex(other => other.in === detail.in && other.field === detail.field) === index);
+    res.status(400).json({ error: `${problems[0].field} ${problems[0].message}`, details: problems });
+  }
+  validateRequest.operationId = operationId;
+  return validateRequest;
+}
+
+// A check of a value against one of the document's component schemas, for values validated
+// apart from their request (such as each operation in a batch). Returns the first problem,
+// like 'title must be at most 255 characters', or null.
+function checkSchema(name) {
+  const check = bodyAjv.compile({ $ref: pointer('components', 'schemas', name) });
+  return (value) => {
+    if (check(value)) {
+      return null;
+    }
+    const [error] = check.errors;
+    return `${fieldName('', error)} ${describe(error)}`;
+  };
+}
+
+module.exports = {
+  validate,
+  checkSchema
+};
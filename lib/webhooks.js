@@ -0,0 +1,278 @@
+// Outgoing webhooks: each note event is queued (in storage, so it survives a restart) as a
+// delivery to every webhook subscribed to it, then POSTed with an HMAC-SHA256 signature.
+// Failed deliveries are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS.
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { BadRequestError } = require('./errors');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+const WEBHOOK_EVENTS = ['note.created', 'note.updated', 'note.deleted', 'note.restored', 'notes.imported'];
+const MAX_ATTEMPTS = config.webhooks.maxAttempts;
+const RETRY_BASE_MS = config.webhooks.retryBaseSeconds * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = config.webhooks.timeoutSeconds * 1000;
+// How often queued retries are checked for
+const POLL_INTERVAL_MS = 15 * 1000;
+// Deliveries sent per run; a full run is followed straight away by another
+const BATCH_SIZE = 20;
+const MAX_URL_LENGTH = 2048;
+const MIN_SECRET_LENGTH = 16;
+const ALLOW_PRIVATE_HOSTS = config.webhooks.allowPrivateHosts;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELIVERY_RETENTION_DAYS = config.webhooks.deliveryRetentionDays;
+// How often delivered and failed deliveries past retention are deleted
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Where a webhook may not send notes, since the server would be making the request: loopback,
+// private networks, link-local (cloud metadata at 169.254.169.254), and other non-public ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = address => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (_error) {
+    throw new BadRequestError('url must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || value.length > MAX_URL_LENGTH) {
+    throw new BadRequestError('url must be an absolute http or https URL');
+  }
+  return value;
+}
+
+// Throws a BadRequestError unless every address the url's host resolves to is public (or
+// WEBHOOK_ALLOW_PRIVATE_HOSTS is on). Checked when a webhook is saved and again before each
+// delivery, since what a name resolves to can change.
+async function checkHost(value, { allowPrivateHosts = ALLOW_PRIVATE_HOSTS } = {}) {
+  if (allowPrivateHosts) {
+    return;
+  }
+  // IPv6 literals keep their brackets in hostname
+  const host = new URL(value).hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (_error) {
+    throw new BadRequestError(`url host ${host} could not be resolved`);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new BadRequestError('url must not point at a loopback, private or link-local address');
+  }
+}
+
+function parseEvents(value) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every(event => WEBHOOK_EVENTS.includes(event))) {
+    throw new BadRequestError(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return [...new Set(value)];
+}
+
+// Validate a webhook's { url, events, active }. Without `current` this is a new webhook: url is
+// required and events defaults to all of them; otherwise fields left out keep their current value.
+function parseWebhook(body, current) {
+  const {
+    url = current && current.url,
+    events = current ? current.events : WEBHOOK_EVENTS,
+    active = current ? current.active : true
+  } = body || {};
+  if (typeof url !== 'string') {
+    throw new BadRequestError('url is required');
+  }
+  if (typeof active !== 'boolean') {
+    throw new BadRequestError('active must be a boolean');
+  }
+  return { url: parseUrl(url), events: parseEvents(events), active };
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>"; the timestamp is signed so old deliveries can't be replayed
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queue a delivery of the bus event to each webhook the owner has subscribed to it;
+// resolves to the number queued
+async function queueDeliveries(storage, event) {
+  const webhooks = await storage.webhooks.subscribed(event.ownerId, event.type);
+  const payload = JSON.stringify({ id: event.id, event: event.type, created_at: new Date(), data: event.data });
+  for (const webhook of webhooks) {
+    await storage.webhooks.enqueue(webhook.id, { eventId: event.id, event: event.type, payload });
+  }
+  return webhooks.length;
+}
+
+// Wait before attempt n + 1: the base delay, doubling with each failed attempt
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// POST the delivery; resolves to the response status
+async function send(delivery, { allowPrivateHosts } = {}) {
+  await checkHost(delivery.url, { allowPrivateHosts });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'notes-app-webhooks',
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+    },
+    body: delivery.payload,
+    // A redirect counts as a failure rather than sending the payload somewhere else
+    redirect: 'manual',
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  // Only the status matters
+  await response.arrayBuffer().catch(() => {});
+  return response.status;
+}
+
+// Send one delivery and record the outcome; resolves to its new status
+async function attempt(storage, delivery, options) {
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+  try {
+    responseStatus = await send(delivery, options);
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Receiver answered ${responseStatus}`;
+    }
+  } catch (sendError) {
+    error = sendError.name === 'TimeoutError'
+      ? `No response within ${TIMEOUT_MS}ms`
+      : (sendError.cause && sendError.cause.message) || sendError.message;
+  }
+
+  const at = new Date();
+  let status = 'delivered';
+  let nextAttemptAt = null;
+  if (error) {
+    status = attempts < MAX_ATTEMPTS ? 'pending' : 'failed';
+    nextAttemptAt = status === 'pending' ? new Date(at.getTime() + retryDelay(attempts)) : null;
+  }
+  await storage.webhooks.recordAttempt(delivery.id, {
+    status,
+    attempts,
+    nextAttemptAt,
+    responseStatus,
+    error: error && error.slice(0, 1000),
+    at
+  });
+  return status;
+}
+
+// Send the deliveries that are due by `now`; resolves to { id, status } for each one sent
+async function deliverDue(storage, { now = new Date(), limit = BATCH_SIZE, allowPrivateHosts } = {}) {
+  const due = await storage.transaction(async (tx) => {
+    const rows = await tx.webhooks.due(now, limit);
+    // Claim them until the requests have had time to finish, so no other worker sends them too;
+    // if this process dies mid-delivery they are retried after that
+    await tx.webhooks.postpone(rows.map(row => row.id), new Date(now.getTime() + 2 * TIMEOUT_MS));
+    return rows;
+  });
+  return Promise.all(due.map(async delivery => ({
+    id: delivery.id,
+    status: await attempt(storage, delivery, { allowPrivateHosts })
+  })));
+}
+
+// Delete delivered and failed deliveries last attempted more than retentionDays ago, so the
+// delivery log doesn't grow forever; resolves to the number deleted
+async function pruneDeliveries(storage, { retentionDays = DELIVERY_RETENTION_DAYS, now = new Date() } = {}) {
+  return storage.webhooks.pruneDeliveries(new Date(now.getTime() - retentionDays * DAY_MS));
+}
+
+// Queues deliveries for bus events and sends them. Only one run of deliverDue happens at a time;
+// a flush() during a run is folded into another run straight after it.
+function createWebhookDispatcher(getStorage, { interval = POLL_INTERVAL_MS } = {}) {
+  let running = null;
+  let again = false;
+
+  async function drain() {
+    do {
+      again = false;
+      const sent = await deliverDue(await getStorage());
+      again = again || sent.length === BATCH_SIZE;
+    } while (again);
+  }
+
+  // Resolves once everything due has been attempted
+  function flush() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = drain()
+      .catch(error => logger.error('Webhook delivery failed', { error }))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  // Bus listener: never rejects
+  async function handle(event) {
+    try {
+      if (await queueDeliveries(await getStorage(), event) > 0) {
+        await flush();
+      }
+    } catch (error) {
+      logger.error('Error queueing webhook deliveries', { event: event.type, error });
+    }
+  }
+
+  async function prune() {
+    try {
+      const pruned = await pruneDeliveries(await getStorage());
+      if (pruned > 0) {
+        logger.info('Pruned webhook deliveries', { pruned });
+      }
+    } catch (error) {
+      logger.error('Webhook delivery pruning failed', { error });
+    }
+  }
+
+  // Retry due deliveries now and every `interval` ms, and prune old ones now and every hour;
+  // returns a function that stops both
+  function start() {
+    const timers = [setInterval(flush, interval), setInterval(prune, PRUNE_INTERVAL_MS)];
+    // Don't keep the process alive just for retries
+    timers.forEach(timer => timer.unref());
+    flush();
+    prune();
+    return () => timers.forEach(timer => clearInterval(timer));
+  }
+
+  return { handle, flush, start };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_URL_LENGTH,
+  MIN_SECRET_LENGTH,
+  parseWebhook,
+  checkHost,
+  generateSecret,
+  signPayload,
+  queueDeliveries,
+  deliverDue,
+  pruneDeliveries,
+  createWebhookDispatcher
+};
@@ -0,0 +1,18 @@
+// Initial schema. IF NOT EXISTS so databases created before migrations existed adopt it as-is.
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS notes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        content TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS notes');
+  }
+};
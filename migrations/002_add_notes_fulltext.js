@@ -0,0 +1,10 @@
+// FULLTEXT index backing GET /api/notes/search
+module.exports = {
+  async up(db) {
+    await db.execute('ALTER TABLE notes ADD FULLTEXT INDEX ft_notes_title_content (title, content)');
+  },
+
+  async down(db) {
+    await db.execute('ALTER TABLE notes DROP INDEX ft_notes_title_content');
+  }
+};
@@ -0,0 +1,28 @@
+// Tags and the note <-> tag join table
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_tags_name (name)
+      )
+    `);
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS note_tags (
+        note_id INT NOT NULL,
+        tag_id INT NOT NULL,
+        PRIMARY KEY (note_id, tag_id),
+        KEY idx_note_tags_tag (tag_id),
+        CONSTRAINT fk_note_tags_note FOREIGN KEY (note_id) REFERENCES notes (id) ON DELETE CASCADE,
+        CONSTRAINT fk_note_tags_tag FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS note_tags');
+    await db.execute('DROP TABLE IF EXISTS tags');
+  }
+};
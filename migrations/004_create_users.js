@@ -0,0 +1,58 @@
+// User accounts, refresh tokens, and per-user ownership of notes and tags.
+// Notes and tags created before this migration have no owner and are not visible to anyone.
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_users_email (email)
+      )
+    `);
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+        CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    await db.execute(`
+      ALTER TABLE notes
+        ADD COLUMN owner_id INT NULL AFTER id,
+        ADD KEY idx_notes_owner (owner_id),
+        ADD CONSTRAINT fk_notes_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+    `);
+    await db.execute(`
+      ALTER TABLE tags
+        ADD COLUMN owner_id INT NULL AFTER id,
+        DROP INDEX uq_tags_name,
+        ADD UNIQUE KEY uq_tags_owner_name (owner_id, name),
+        ADD CONSTRAINT fk_tags_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+    `);
+  },
+
+  async down(db) {
+    await db.execute(`
+      ALTER TABLE tags
+        DROP FOREIGN KEY fk_tags_owner,
+        DROP INDEX uq_tags_owner_name,
+        DROP COLUMN owner_id,
+        ADD UNIQUE KEY uq_tags_name (name)
+    `);
+    await db.execute(`
+      ALTER TABLE notes
+        DROP FOREIGN KEY fk_notes_owner,
+        DROP INDEX idx_notes_owner,
+        DROP COLUMN owner_id
+    `);
+    await db.execute('DROP TABLE IF EXISTS refresh_tokens');
+    await db.execute('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,26 @@
+// Revision history: one row per saved state of a note. Existing notes get their
+// current state as revision 1.
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS note_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        note_id INT NOT NULL,
+        revision INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        content TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_note_revisions_note_revision (note_id, revision),
+        CONSTRAINT fk_note_revisions_note FOREIGN KEY (note_id) REFERENCES notes (id) ON DELETE CASCADE
+      )
+    `);
+    await db.execute(`
+      INSERT INTO note_revisions (note_id, revision, title, content, created_at)
+      SELECT id, 1, title, content, updated_at FROM notes
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS note_revisions');
+  }
+};
@@ -0,0 +1,18 @@
+// Soft delete: trashed notes keep their row with deleted_at set until purged
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      ALTER TABLE notes
+        ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL,
+        ADD INDEX idx_notes_deleted_at (deleted_at)
+    `);
+  },
+
+  async down(db) {
+    await db.execute(`
+      ALTER TABLE notes
+        DROP INDEX idx_notes_deleted_at,
+        DROP COLUMN deleted_at
+    `);
+  }
+};
@@ -0,0 +1,10 @@
+// Version counter for optimistic concurrency: bumped on every update, exposed as the note's ETag
+module.exports = {
+  async up(db) {
+    await db.execute('ALTER TABLE notes ADD COLUMN version INT NOT NULL DEFAULT 1');
+  },
+
+  async down(db) {
+    await db.execute('ALTER TABLE notes DROP COLUMN version');
+  }
+};
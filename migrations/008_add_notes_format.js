@@ -0,0 +1,10 @@
+// How a note's content is written: 'plain' text or 'markdown'
+module.exports = {
+  async up(db) {
+    await db.execute('ALTER TABLE notes ADD COLUMN format VARCHAR(16) NOT NULL DEFAULT \'plain\'');
+  },
+
+  async down(db) {
+    await db.execute('ALTER TABLE notes DROP COLUMN format');
+  }
+};
@@ -0,0 +1,45 @@
+// Outgoing webhooks: a user's subscriptions, and the queue and log of deliveries to them.
+// `events` is a comma-separated list of event types.
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        owner_id INT NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        events VARCHAR(255) NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_webhooks_owner (owner_id),
+        CONSTRAINT fk_webhooks_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        webhook_id INT NOT NULL,
+        event_id VARCHAR(64) NOT NULL,
+        event VARCHAR(64) NOT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at TIMESTAMP NULL DEFAULT NULL,
+        response_status SMALLINT NULL DEFAULT NULL,
+        error VARCHAR(1000) NULL DEFAULT NULL,
+        delivered_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_webhook_deliveries_due (status, next_attempt_at),
+        KEY idx_webhook_deliveries_webhook (webhook_id, id),
+        CONSTRAINT fk_webhook_deliveries_webhook FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS webhook_deliveries');
+    await db.execute('DROP TABLE IF EXISTS webhooks');
+  }
+};
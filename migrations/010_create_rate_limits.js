@@ -0,0 +1,18 @@
+// Rate limit token buckets, when they are shared through the database (RATE_LIMIT_STORE=database).
+// updated_at_ms is epoch milliseconds, so refills are plain arithmetic.
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key VARCHAR(191) PRIMARY KEY,
+        tokens DOUBLE NOT NULL,
+        updated_at_ms BIGINT NOT NULL,
+        KEY idx_rate_limits_updated (updated_at_ms)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS rate_limits');
+  }
+};
@@ -0,0 +1,20 @@
+// Pinned notes are listed first; archived notes are left out of listings unless asked for
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      ALTER TABLE notes
+        ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN archived BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD INDEX idx_notes_owner_archived_pinned (owner_id, archived, pinned)
+    `);
+  },
+
+  async down(db) {
+    await db.execute(`
+      ALTER TABLE notes
+        DROP INDEX idx_notes_owner_archived_pinned,
+        DROP COLUMN archived,
+        DROP COLUMN pinned
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+// Incremental sync (GET /api/notes/changes): changed_at moves on every write to a note, including
+// trashing and restoring, which keep updated_at. Purged notes leave a tombstone so clients that
+// synced before the purge learn the note is gone.
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      ALTER TABLE notes
+        ADD COLUMN changed_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+        ADD INDEX idx_notes_owner_changed (owner_id, changed_at)
+    `);
+    await db.execute('UPDATE notes SET changed_at = GREATEST(updated_at, COALESCE(deleted_at, updated_at)), updated_at = updated_at');
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS note_tombstones (
+        note_id INT PRIMARY KEY,
+        owner_id INT NOT NULL,
+        deleted_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        KEY idx_note_tombstones_owner_deleted (owner_id, deleted_at),
+        CONSTRAINT fk_note_tombstones_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS note_tombstones');
+    await db.execute(`
+      ALTER TABLE notes
+        DROP INDEX idx_notes_owner_changed,
+        DROP COLUMN changed_at
+    `);
+  }
+};
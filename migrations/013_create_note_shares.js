@@ -0,0 +1,25 @@
+// Read-only public links to notes. Like refresh tokens, only the SHA-256 of a share's token is
+// stored; password_hash is scrypt, as for user passwords. Shares go with their note.
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS note_shares (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        note_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        password_hash VARCHAR(255) NULL DEFAULT NULL,
+        expires_at TIMESTAMP NULL DEFAULT NULL,
+        access_count INT NOT NULL DEFAULT 0,
+        last_accessed_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_note_shares_token (token_hash),
+        KEY idx_note_shares_note (note_id),
+        CONSTRAINT fk_note_shares_note FOREIGN KEY (note_id) REFERENCES notes (id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS note_shares');
+  }
+};
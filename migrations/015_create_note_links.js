@@ -0,0 +1,35 @@
+// [[links]] between notes, as written in each note's content: target_id for [[#42]], target_title
+// for [[Note Title]]. They are resolved when read, so targets don't need to exist. Links in the
+// notes already saved are filled in here.
+const { parseLinks } = require('../lib/links');
+
+module.exports = {
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS note_links (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        source_id INT NOT NULL,
+        target_id INT NULL DEFAULT NULL,
+        target_title VARCHAR(255) NULL DEFAULT NULL,
+        KEY idx_note_links_source (source_id),
+        KEY idx_note_links_target (target_id),
+        KEY idx_note_links_title (target_title),
+        CONSTRAINT fk_note_links_source FOREIGN KEY (source_id) REFERENCES notes (id) ON DELETE CASCADE
+      )
+    `);
+
+    const [notes] = await db.execute('SELECT id, content FROM notes WHERE content LIKE \'%[[%]]%\'');
+    for (const note of notes) {
+      for (const { targetId, title } of parseLinks(note.content)) {
+        await db.execute(
+          'INSERT INTO note_links (source_id, target_id, target_title) VALUES (?, ?, ?)',
+          [note.id, targetId, title]
+        );
+      }
+    }
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS note_links');
+  }
+};
@@ -0,0 +1,14 @@
+// Content is limited to 65535 characters, but TEXT holds 65535 bytes, which multi-byte
+// characters run past. MEDIUMTEXT fits the limit at four bytes a character.
+module.exports = {
+  async up(db) {
+    await db.execute('ALTER TABLE notes MODIFY content MEDIUMTEXT');
+    await db.execute('ALTER TABLE note_revisions MODIFY content MEDIUMTEXT');
+  },
+
+  // Fails on content that no longer fits in TEXT
+  async down(db) {
+    await db.execute('ALTER TABLE note_revisions MODIFY content TEXT');
+    await db.execute('ALTER TABLE notes MODIFY content TEXT');
+  }
+};
@@ -0,0 +1,33 @@
+// Service worker: keeps the app shell cached so the page opens without a connection.
+// API requests always go to the network; the page keeps its own copy of the notes in
+// IndexedDB and queues changes made offline.
+const CACHE = 'notes-app-shell-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drop the shells of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Network first, so a deploy shows up on the next load; the cached copy when offline
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    const path = event.request.mode === 'navigate' ? '/' : url.pathname;
+    if (!SHELL.includes(path)) return;
+
+    event.respondWith(fetch(event.request).then((response) => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put(path, copy));
+        }
+        return response;
+    }).catch(() => caches.match(path).then(cached => cached || Response.error())));
+});
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Schema migration CLI: node scripts/migrate.js [up|status|rollback] [steps]
+const { initDB, closeDB } = require('../index');
+
+async function main(command = 'up', steps = '1') {
+  const storage = await initDB({ driver: 'mysql', migrations: 'skip' });
+  const { migrator } = storage;
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate();
+      applied.forEach(({ version, name }) => console.log(`Applied ${version}_${name}`));
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+    } else if (command === 'rollback') {
+      const undone = await migrator.rollback(Number(steps) || 1);
+      undone.forEach(({ version, name }) => console.log(`Rolled back ${version}_${name}`));
+      console.log(undone.length ? `Rolled back ${undone.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const migrations = await migrator.status();
+      migrations.forEach(({ version, name, applied_at }) => {
+        const state = applied_at ? `applied ${new Date(applied_at).toISOString()}` : 'pending';
+        console.log(`${version}_${name}  ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, status or rollback)`);
+    }
+  } finally {
+    await closeDB();
+  }
+}
+
+main(...process.argv.slice(2)).catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -1,48 +1,21 @@
-// Mock the mysql2/promise module before any imports
-jest.mock('mysql2/promise', () => ({
-  createConnection: jest.fn()
-}));
-
 const request = require('supertest');
-const mysql = require('mysql2/promise');
 
 describe('Notes App - Basic Tests', () => {
   let app;
-  let mockDB;
+  let api;
 
   beforeAll(() => {
-    mockDB = {
-      execute: jest.fn(),
-      end: jest.fn(() => Promise.resolve())
-    };
-
-    // Mock different responses for different queries
-    mockDB.execute.mockImplementation((query) => {
-      if (query.includes('CREATE TABLE')) {
-        return Promise.resolve([{}, {}]);
-      }
-      if (query.includes('SELECT')) {
-        return Promise.resolve([[], {}]); // Empty array of notes
-      }
-      if (query.includes('INSERT')) {
-        return Promise.resolve([{ insertId: 1, affectedRows: 1 }, {}]);
-      }
-      if (query.includes('UPDATE') || query.includes('DELETE')) {
-        return Promise.resolve([{ affectedRows: 1 }, {}]);
-      }
-      return Promise.resolve([[], {}]);
-    });
-
-    // Set up the mock to return our mockDB
-    mysql.createConnection.mockResolvedValue(mockDB);
-
-    // Import app after setting up mocks
+    // Uses the in-memory storage driver (see tests/setup.js)
     app = require('../index');
   });
 
-  beforeEach(() => {
-    // Reset mock call counts between tests
-    mockDB.execute.mockClear();
+  beforeEach(async () => {
+    await app.initDB();
+    ({ api } = await global.testUtils.registerUser(app));
+  });
+
+  afterAll(async () => {
+    await app.closeDB();
   });
 
   describe('Health Check', () => {
@@ -52,6 +25,114 @@ describe('Notes App - Basic Tests', () => {
       expect(response.body).toHaveProperty('status', 'OK');
       expect(response.body).toHaveProperty('timestamp');
     });
+
+    test('GET /health/live returns 200', async () => {
+      const response = await request(app).get('/health/live');
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('status', 'OK');
+    });
+
+    test('GET /health/ready reports database status', async () => {
+      const response = await request(app).get('/health/ready');
+      expect(response.status).toBe(200);
+      expect(response.body.database).toMatchObject({ status: 'up', driver: 'memory' });
+      expect(response.body.database).toHaveProperty('pool');
+    });
+
+    test('GET /health/ready returns 503 when the database is down', async () => {
+      const storage = app.getDB();
+      jest.spyOn(storage, 'ping').mockRejectedValueOnce(new Error('connection lost'));
+
+      const response = await request(app).get('/health/ready');
+      expect(response.status).toBe(503);
+      expect(response.body.database).toMatchObject({ status: 'down', error: 'connection lost' });
+    });
+  });
+
+  describe('Metrics', () => {
+    test('GET /metrics reports requests by route pattern and status', async () => {
+      await api.get('/api/notes/12345');
+      await api.get('/api/notes/67890');
+      const { body: note } = await api.post('/api/notes').send({ title: 'Counted', content: 'Once' });
+      await api.get(`/api/notes/${note.id}/revisions/1`);
+
+      const response = await request(app).get('/metrics');
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain/);
+      expect(response.text).toMatch(/^http_requests_total\{method="GET",route="\/api\/notes\/:id",status="404"\} \d+$/m);
+      expect(response.text).toMatch(/^http_request_duration_seconds_bucket\{le="\+Inf",method="GET",route="\/api\/notes\/:id",status="404"\} \d+$/m);
+      expect(response.text).toContain('route="/api/notes/:id/revisions/:rev",status="200"');
+      expect(response.text).not.toContain('12345');
+      // Process metrics
+      expect(response.text).toMatch(/^process_cpu_user_seconds_total \d/m);
+      expect(response.text).toMatch(/^nodejs_heap_size_used_bytes \d/m);
+    });
+  });
+
+  describe('Request ids and logging', () => {
+    test('generates a request id, or keeps the one the client sent', async () => {
+      const generated = await request(app).get('/health');
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+      const propagated = await request(app).get('/health').set('X-Request-Id', 'upstream-42');
+      expect(propagated.headers['x-request-id']).toBe('upstream-42');
+
+      const invalid = await request(app).get('/health').set('X-Request-Id', 'bad id with spaces');
+      expect(invalid.headers['x-request-id']).not.toBe('bad id with spaces');
+    });
+
+    test('includes the request id in error responses', async () => {
+      const response = await api.get('/api/notes/12345').set('X-Request-Id', 'trace-404');
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Note not found', requestId: 'trace-404' });
+    });
+
+    test('writes an access log line with the duration', async () => {
+      const logs = global.testUtils.captureLogs();
+      await api.get('/api/notes?limit=5&access_token=secret').set('X-Request-Id', 'trace-access');
+
+      const entry = logs.find(line => line.message === 'request completed');
+      expect(entry).toMatchObject({
+        level: 'info',
+        requestId: 'trace-access',
+        method: 'GET',
+        path: '/api/notes',
+        status: 200,
+        userId: expect.any(Number)
+      });
+      expect(entry.durationMs).toEqual(expect.any(Number));
+      expect(new Date(entry.timestamp).toISOString()).toBe(entry.timestamp);
+    });
+
+    test('keeps share tokens out of the access log', async () => {
+      const { body: note } = await api.post('/api/notes').send({ title: 'Shared', content: 'For everyone' });
+      const { body: share } = await api.post(`/api/notes/${note.id}/shares`).send({});
+      const logs = global.testUtils.captureLogs();
+
+      await request(app).get(`/api/shares/${share.token}`);
+      await request(app).get(`/s/${share.token}`);
+      await request(app).post(`/s/${share.token}`).type('form').send({ password: 'guess' });
+      await request(app).get('/api/shares/not-a-real-token');
+
+      const paths = logs.filter(line => line.message === 'request completed').map(line => line.path);
+      expect(paths).toEqual(['/api/shares/:token', '/s/:token', '/s/:token', '/api/shares/:token']);
+      expect(JSON.stringify(logs)).not.toContain(share.token);
+      expect(JSON.stringify(logs)).not.toContain('not-a-real-token');
+    });
+
+    test('tags lines logged while handling a request with its id', async () => {
+      const storage = app.getDB();
+      jest.spyOn(storage.notes, 'list').mockRejectedValueOnce(new Error('disk on fire'));
+      const logs = global.testUtils.captureLogs();
+
+      const response = await api.get('/api/notes').set('X-Request-Id', 'trace-500');
+      expect(response.status).toBe(500);
+      expect(response.body.requestId).toBe('trace-500');
+
+      const entry = logs.find(line => line.message === 'Error fetching notes');
+      expect(entry).toMatchObject({ level: 'error', requestId: 'trace-500', error: { message: 'disk on fire' } });
+      expect(logs.find(line => line.message === 'request completed')).toMatchObject({ level: 'error', status: 500 });
+    });
   });
 
   describe('Static Files', () => {
@@ -63,7 +144,7 @@ describe('Notes App - Basic Tests', () => {
 
   describe('API Validation', () => {
     test('POST /api/notes requires title and content', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/notes')
         .send({ title: '', content: '' });
       
@@ -72,13 +153,13 @@ describe('Notes App - Basic Tests', () => {
     });
 
     test('GET /api/notes returns array', async () => {
-      const response = await request(app).get('/api/notes');
+      const response = await api.get('/api/notes');
       expect(response.status).toBe(200);
       expect(Array.isArray(response.body)).toBe(true);
     });
 
     test('PUT /api/notes/:id validates input', async () => {
-      const response = await request(app)
+      const response = await api
         .put('/api/notes/1')
         .send({ title: '', content: '' });
       
@@ -87,7 +168,10 @@ describe('Notes App - Basic Tests', () => {
     });
 
     test('DELETE /api/notes/:id accepts valid id', async () => {
-      const response = await request(app).delete('/api/notes/999');
+      const created = await api
+        .post('/api/notes')
+        .send(global.testUtils.createMockNote());
+      const response = await api.delete(`/api/notes/${created.body.id}`);
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('message');
     });
@@ -97,21 +181,23 @@ describe('Notes App - Basic Tests', () => {
     test('handles invalid routes', async () => {
       const response = await request(app).get('/api/invalid-route');
       expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Not found');
     });
 
     test('handles malformed JSON', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/notes')
         .set('Content-Type', 'application/json')
         .send('{ invalid json }');
       
       expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Malformed JSON body', requestId: expect.any(String) });
     });
   });
 
   describe('API CRUD Operations', () => {
     test('POST /api/notes creates a note', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/notes')
         .send({
           title: 'Test Note',
@@ -124,8 +210,11 @@ describe('Notes App - Basic Tests', () => {
     });
 
     test('PUT /api/notes/:id updates a note', async () => {
-      const response = await request(app)
-        .put('/api/notes/1')
+      const created = await api
+        .post('/api/notes')
+        .send(global.testUtils.createMockNote());
+      const response = await api
+        .put(`/api/notes/${created.body.id}`)
         .send({
           title: 'Updated Note',
           content: 'Updated Content'
@@ -136,3 +225,73 @@ describe('Notes App - Basic Tests', () => {
     });
   });
 });
+
+describe('Notes App - Rate limits, body size and CORS', () => {
+  const settings = {
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMIT_READ_MAX: '5',
+    RATE_LIMIT_WRITE_MAX: '2',
+    BODY_LIMIT_KB: '1',
+    CORS_ORIGIN: 'https://notes.example.com'
+  };
+  let app;
+
+  beforeAll(async () => {
+    // A fresh app, configured from these settings
+    Object.assign(process.env, settings);
+    jest.isolateModules(() => {
+      // Its own copy of lib/logger, which tests/setup.js hasn't silenced
+      require('../lib/logger').configure({ destination: () => {} });
+      app = require('../index');
+    });
+    Object.keys(settings).forEach(name => delete process.env[name]);
+    await app.initDB();
+  });
+
+  afterAll(async () => {
+    await app.closeDB();
+  });
+
+  // Before the write budget is spent
+  test('rejects bodies over the limit', async () => {
+    const response = await request(app)
+      .post('/api/notes')
+      .send({ title: 'Big', content: 'x'.repeat(2048) });
+    expect(response.status).toBe(413);
+    expect(response.body.error).toBe('Request body is too large');
+  });
+
+  test('limits writes separately from reads', async () => {
+    const login = () => request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: 'wrong' });
+
+    expect((await login()).status).toBe(401);
+    const limited = await login();
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.headers['ratelimit-limit']).toBe('2');
+    expect(limited.body).toHaveProperty('requestId');
+
+    const read = await request(app).get('/api/notes');
+    expect(read.status).toBe(401);
+    expect(read.headers['ratelimit-limit']).toBe('5');
+    // Outside the API
+    expect((await request(app).get('/health')).headers).not.toHaveProperty('ratelimit-limit');
+  });
+
+  test('allows only the configured origins', async () => {
+    const allowed = await request(app)
+      .options('/api/notes')
+      .set('Origin', 'https://notes.example.com')
+      .set('Access-Control-Request-Method', 'PATCH')
+      .set('Access-Control-Request-Headers', 'Authorization, If-Match');
+    expect(allowed.status).toBe(204);
+    expect(allowed.headers['access-control-allow-origin']).toBe('https://notes.example.com');
+    expect(allowed.headers['access-control-allow-headers']).toBe('Authorization, If-Match');
+
+    const exposed = await request(app).get('/api/notes').set('Origin', 'https://notes.example.com');
+    expect(exposed.headers['access-control-expose-headers']).toContain('RateLimit-Remaining');
+
+    const other = await request(app).get('/api/notes').set('Origin', 'https://evil.example');
+    expect(other.headers).not.toHaveProperty('access-control-allow-origin');
+  });
+});
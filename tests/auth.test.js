@@ -0,0 +1,146 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { hashPassword, verifyPassword } = require('../lib/auth');
+
+describe('Authentication', () => {
+  let app;
+
+  beforeAll(() => {
+    app = require('../index');
+  });
+
+  beforeEach(async () => {
+    await app.initDB();
+  });
+
+  afterAll(async () => {
+    await app.closeDB();
+  });
+
+  describe('Password hashing', () => {
+    test('verifies the right password only', async () => {
+      const stored = await hashPassword('s3cret-password');
+      expect(stored).toMatch(/^scrypt\$/);
+      expect(stored).not.toContain('s3cret-password');
+      await expect(verifyPassword('s3cret-password', stored)).resolves.toBe(true);
+      await expect(verifyPassword('wrong-password', stored)).resolves.toBe(false);
+    });
+
+    test('rejects a damaged stored hash rather than throwing', async () => {
+      const stored = await hashPassword('s3cret-password');
+      await expect(verifyPassword('s3cret-password', stored.slice(0, -2))).resolves.toBe(false);
+      await expect(verifyPassword('s3cret-password', `${stored}00`)).resolves.toBe(false);
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    test('creates a user and returns tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'Ada@Example.com', password: 'analytical engine' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.user).toEqual({ id: 1, email: 'ada@example.com' });
+      expect(response.body).toHaveProperty('accessToken');
+      expect(response.body).toHaveProperty('refreshToken');
+      expect(response.body).toMatchObject({ tokenType: 'Bearer', expiresIn: 900 });
+      expect(response.body.user).not.toHaveProperty('password_hash');
+    });
+
+    test('rejects duplicate emails', async () => {
+      await global.testUtils.registerUser(app, { email: 'ada@example.com' });
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'ADA@example.com', password: 'another password' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('validates email and password', async () => {
+      const badEmail = await request(app).post('/api/auth/register').send({ email: 'nope', password: 'long enough' });
+      expect(badEmail.status).toBe(400);
+
+      const shortPassword = await request(app).post('/api/auth/register').send({ email: 'a@b.co', password: 'short' });
+      expect(shortPassword.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    test('logs in with the right password', async () => {
+      const { credentials } = await global.testUtils.registerUser(app);
+      const response = await request(app).post('/api/auth/login').send(credentials);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.email).toBe(credentials.email);
+      expect(response.body).toHaveProperty('accessToken');
+    });
+
+    test('rejects a wrong password or unknown email', async () => {
+      const { credentials } = await global.testUtils.registerUser(app);
+
+      const wrong = await request(app).post('/api/auth/login').send({ ...credentials, password: 'not the password' });
+      expect(wrong.status).toBe(401);
+
+      const unknown = await request(app).post('/api/auth/login').send({ email: 'who@example.com', password: 'whatever123' });
+      expect(unknown.status).toBe(401);
+      expect(unknown.body.error).toBe(wrong.body.error);
+    });
+  });
+
+  describe('Refresh tokens', () => {
+    test('rotates the refresh token', async () => {
+      const { refreshToken } = await global.testUtils.registerUser(app);
+
+      const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.refreshToken).not.toBe(refreshToken);
+
+      const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(reused.status).toBe(401);
+
+      const next = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshed.body.refreshToken });
+      expect(next.status).toBe(200);
+    });
+
+    test('logout revokes the refresh token', async () => {
+      const { refreshToken } = await global.testUtils.registerUser(app);
+
+      const logout = await request(app).post('/api/auth/logout').send({ refreshToken });
+      expect(logout.status).toBe(200);
+
+      const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      expect(refreshed.status).toBe(401);
+    });
+  });
+
+  describe('Auth middleware', () => {
+    test('requires a token for notes and tags', async () => {
+      for (const path of ['/api/notes', '/api/tags', '/api/notes/search?q=x']) {
+        const response = await request(app).get(path);
+        expect(response.status).toBe(401);
+        expect(response.headers['www-authenticate']).toBe('Bearer');
+      }
+      const create = await request(app).post('/api/notes').send({ title: 'a', content: 'b' });
+      expect(create.status).toBe(401);
+    });
+
+    test('rejects tampered and expired tokens', async () => {
+      const { user } = await global.testUtils.registerUser(app);
+      const forged = jwt.sign({ email: user.email }, 'some-other-secret', { subject: String(user.id) });
+      const expired = jwt.sign({ email: user.email }, process.env.JWT_SECRET, { subject: String(user.id), expiresIn: -10 });
+
+      for (const token of [forged, expired, 'garbage']) {
+        const response = await request(app).get('/api/notes').set('Authorization', `Bearer ${token}`);
+        expect(response.status).toBe(401);
+      }
+    });
+
+    test('GET /api/auth/me returns the signed-in user', async () => {
+      const { api, user } = await global.testUtils.registerUser(app);
+      const response = await api.get('/api/auth/me');
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toEqual(user);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+const PRODUCTION = {
+  NODE_ENV: 'production',
+  DB_USER: 'notes',
+  DB_PASSWORD: 'Kj9mL2pR8qN5wXv3',
+  JWT_SECRET: 'a'.repeat(16) + 'b'.repeat(16)
+};
+
+describe('Config', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-config-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function problemsOf(env, options = { envFile: null }) {
+    try {
+      loadConfig(env, options);
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      return error.problems;
+    }
+    throw new Error('expected the config to be rejected');
+  }
+
+  test('should apply defaults, including development-only credentials', () => {
+    const config = loadConfig({}, { envFile: null });
+    expect(config).toMatchObject({
+      env: 'development',
+      port: 3000,
+      logLevel: 'info',
+      storageDriver: 'mysql',
+      db: { host: 'localhost', port: 3306, user: 'root', password: 'password', database: 'notes_app', migrateOnStart: true },
+      auth: { accessTokenTtl: '15m', refreshTokenTtlDays: 30 }
+    });
+    expect(config.auth.jwtSecret).toBeUndefined();
+    expect(config.metricsPort).toBeUndefined();
+  });
+
+  test('should parse typed values', () => {
+    const config = loadConfig({
+      PORT: '8080',
+      DB_PORT: '3307',
+      DB_CONNECT_RETRIES: '0',
+      MIGRATE_ON_START: 'false',
+      METRICS_PORT: '9090',
+      ATTACHMENT_TYPES: 'image/*, Application/PDF',
+      // Empty counts as unset
+      DB_HOST: ''
+    }, { envFile: null });
+
+    expect(config.port).toBe(8080);
+    expect(config.db).toMatchObject({ port: 3307, connectRetries: 0, migrateOnStart: false, host: 'localhost' });
+    expect(config.metricsPort).toBe(9090);
+    expect(config.attachments.types).toEqual(['image/*', 'application/pdf']);
+    expect(problemsOf({ ATTACHMENT_TYPES: 'image/png,pictures' })).toEqual([
+      'ATTACHMENT_TYPES must be a comma-separated list of MIME types like image/png or image/* ("pictures" is not one) (got "image/png,pictures")'
+    ]);
+  });
+
+  test('should report every invalid value at once', () => {
+    const problems = problemsOf({ PORT: 'abc', DB_POOL_SIZE: '0', MIGRATE_ON_START: 'maybe', LOG_LEVEL: 'loud', NODE_ENV: 'staging' });
+    expect(problems).toEqual([
+      'NODE_ENV must be one of: development, test, production (got "staging")',
+      'PORT must be a port number (1-65535) (got "abc")',
+      'LOG_LEVEL must be one of: debug, info, warn, error, silent (got "loud")',
+      'DB_POOL_SIZE must be an integer of at least 1 (got "0")',
+      'MIGRATE_ON_START must be true or false (got "maybe")'
+    ]);
+  });
+
+  test('should refuse to run production on default or missing credentials', () => {
+    expect(problemsOf({ NODE_ENV: 'production' })).toEqual([
+      'DB_USER must be set in production',
+      'DB_PASSWORD (or DB_PASSWORD_FILE) must be set in production',
+      'JWT_SECRET (or JWT_SECRET_FILE) must be set in production'
+    ]);
+    expect(problemsOf({ ...PRODUCTION, DB_PASSWORD: 'password', JWT_SECRET: 'short' })).toEqual([
+      'DB_PASSWORD is a default or example value; set a real password in production',
+      'JWT_SECRET must be a random value of at least 32 characters in production'
+    ]);
+
+    expect(loadConfig(PRODUCTION, { envFile: null })).toMatchObject({ env: 'production', db: { user: 'notes' } });
+    // The in-memory store has no database credentials
+    expect(loadConfig({ NODE_ENV: 'production', STORAGE_DRIVER: 'memory', JWT_SECRET: PRODUCTION.JWT_SECRET }, { envFile: null }))
+      .toMatchObject({ storageDriver: 'memory' });
+  });
+
+  test('should read secrets from *_FILE paths', () => {
+    const file = path.join(dir, 'db_password');
+    fs.writeFileSync(file, 'from-a-secret-file\n');
+
+    const config = loadConfig({ ...PRODUCTION, DB_PASSWORD: undefined, DB_PASSWORD_FILE: file }, { envFile: null });
+    expect(config.db.password).toBe('from-a-secret-file');
+
+    expect(problemsOf({ DB_PASSWORD: 'x', DB_PASSWORD_FILE: file })).toEqual(['DB_PASSWORD and DB_PASSWORD_FILE are both set; use one of them']);
+    expect(problemsOf({ JWT_SECRET_FILE: path.join(dir, 'missing') })).toEqual(['JWT_SECRET_FILE could not be read (ENOENT)']);
+  });
+
+  test('should fall back on a .env file, with the environment taking precedence', () => {
+    const envFile = path.join(dir, '.env');
+    fs.writeFileSync(envFile, '# Local settings\nPORT=4000\nDB_NAME="notes_dev"\n');
+
+    expect(loadConfig({ PORT: '5000' }, { envFile })).toMatchObject({ port: 5000, db: { database: 'notes_dev' } });
+    // Tests run on their own settings only
+    expect(loadConfig({ NODE_ENV: 'test' }, { envFile }).port).toBe(3000);
+    expect(loadConfig({}, { envFile: path.join(dir, 'missing.env') }).port).toBe(3000);
+  });
+});
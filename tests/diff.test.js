@@ -0,0 +1,82 @@
+const { diffLines, diffStats, unifiedDiff } = require('../lib/diff');
+
+describe('Line diff', () => {
+  test('should report unchanged text as all equal', () => {
+    const changes = diffLines('a\nb', 'a\nb');
+    expect(changes.every(change => change.type === 'equal')).toBe(true);
+    expect(unifiedDiff(changes)).toBe('');
+  });
+
+  test('should find the smallest set of added and removed lines', () => {
+    const changes = diffLines('a\nb\nc\nd', 'a\nc\nd\ne');
+
+    expect(changes).toEqual([
+      { type: 'equal', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'equal', text: 'c' },
+      { type: 'equal', text: 'd' },
+      { type: 'added', text: 'e' }
+    ]);
+    expect(diffStats(changes)).toEqual({ added: 1, removed: 1 });
+  });
+
+  test('should diff against empty text', () => {
+    expect(diffLines('', 'x\ny')).toEqual([
+      { type: 'added', text: 'x' },
+      { type: 'added', text: 'y' }
+    ]);
+    expect(unifiedDiff(diffLines('', 'x'))).toBe('--- a\n+++ b\n@@ -0,0 +1,1 @@\n+x\n');
+  });
+
+  test('should group changes into hunks with context', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    const after = [...before];
+    after[1] = 'changed 2';
+    after[17] = 'changed 18';
+
+    const unified = unifiedDiff(diffLines(before.join('\n'), after.join('\n')), {
+      fromLabel: 'revision 1',
+      toLabel: 'revision 2'
+    });
+
+    expect(unified).toBe([
+      '--- revision 1',
+      '+++ revision 2',
+      '@@ -1,5 +1,5 @@',
+      ' line 1',
+      '-line 2',
+      '+changed 2',
+      ' line 3',
+      ' line 4',
+      ' line 5',
+      '@@ -15,6 +15,6 @@',
+      ' line 15',
+      ' line 16',
+      ' line 17',
+      '-line 18',
+      '+changed 18',
+      ' line 19',
+      ' line 20',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('Revision retention', () => {
+  test('should keep only the newest REVISION_RETENTION revisions', async () => {
+    process.env.REVISION_RETENTION = '2';
+    let notes;
+    jest.isolateModules(() => {
+      notes = require('../lib/notes');
+    });
+    delete process.env.REVISION_RETENTION;
+
+    const storage = await require('../lib/storage').createStorage('memory');
+    const note = await notes.createNote(storage, 1, { title: 'Kept', content: 'v1' });
+    await notes.updateNote(storage, 1, note.id, { title: 'Kept', content: 'v2' });
+    await notes.updateNote(storage, 1, note.id, { title: 'Kept', content: 'v3' });
+
+    const revisions = await storage.revisions.list(note.id);
+    expect(revisions.map(row => row.revision)).toEqual([3, 2]);
+  });
+});
@@ -0,0 +1,23 @@
+const { noteEtag, parseIfMatch } = require('../lib/etag');
+
+describe('Note ETags', () => {
+  test('should build the ETag from the id and version', () => {
+    expect(noteEtag({ id: 4, version: 7 })).toBe('"4.7"');
+  });
+
+  test('should accept any version for a missing header or *', () => {
+    expect(parseIfMatch(undefined, 4)).toBeUndefined();
+    expect(parseIfMatch(' * ', 4)).toBeUndefined();
+  });
+
+  test('should read the versions of this note from If-Match', () => {
+    expect(parseIfMatch('"4.7"', 4)).toEqual([7]);
+    expect(parseIfMatch('"4.7", "4.8"', '4')).toEqual([7, 8]);
+  });
+
+  test('should never match weak, foreign or malformed tags', () => {
+    expect(parseIfMatch('W/"4.7"', 4)).toEqual([]);
+    expect(parseIfMatch('"5.7"', 4)).toEqual([]);
+    expect(parseIfMatch('"abc"', 4)).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+const { createEventBus } = require('../lib/events');
+
+describe('Event bus', () => {
+  test('should deliver events only to the owner\'s subscribers', () => {
+    const events = createEventBus();
+    const received = [];
+    const unsubscribe = events.subscribe(1, event => received.push(event));
+    events.subscribe(2, () => {
+      throw new Error('should not be called');
+    });
+
+    events.publish(1, 'note.created', { id: 10 });
+    unsubscribe();
+    events.publish(1, 'note.deleted', { id: 10 });
+
+    expect(received).toEqual([expect.objectContaining({ type: 'note.created', ownerId: 1, data: { id: 10 } })]);
+  });
+
+  test('should replay the owner\'s events after a given id', () => {
+    const events = createEventBus();
+    const first = events.publish(1, 'note.created', { id: 1 });
+    events.publish(2, 'note.created', { id: 2 });
+    events.publish(1, 'note.updated', { id: 1 });
+
+    expect(events.since(1, first.id).map(event => event.type)).toEqual(['note.updated']);
+    expect(events.since(1, events.lastId())).toEqual([]);
+  });
+
+  test('should refuse to replay when events may have been missed', () => {
+    const events = createEventBus({ historySize: 2 });
+    const first = events.publish(1, 'note.created', { id: 1 });
+    const second = events.publish(1, 'note.created', { id: 2 });
+    events.publish(1, 'note.created', { id: 3 });
+    events.publish(1, 'note.created', { id: 4 });
+
+    // The event after `first` has been evicted; the one after `second` is still there
+    expect(events.since(1, first.id)).toBeNull();
+    expect(events.since(1, second.id).map(event => event.data.id)).toEqual([3, 4]);
+    // Ids from another instance (before a restart), from the future, or garbage
+    expect(events.since(1, createEventBus().lastId().replace(/-\d+$/, '-1'))).toBeNull();
+    expect(events.since(1, events.lastId().replace(/-\d+$/, '-99'))).toBeNull();
+    expect(events.since(1, 'nonsense')).toBeNull();
+  });
+});
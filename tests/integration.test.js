@@ -1,5 +1,6 @@
-const request = require('supertest');
 const mysql = require('mysql2/promise');
+const http = require('http');
+const request = require('supertest');
 
 const testDbConfig = {
   host: process.env.TEST_DB_HOST || 'localhost',
@@ -8,62 +9,74 @@ const testDbConfig = {
   database: process.env.TEST_DB_NAME || 'notes_app_test'
 };
 
-describe('Integration Tests', () => {
-  let db;
+// Every storage backend runs the same suite; narrow it with e.g. TEST_STORAGE_DRIVERS=memory
+const drivers = (process.env.TEST_STORAGE_DRIVERS || 'memory,mysql')
+  .split(',')
+  .map(driver => driver.trim())
+  .filter(Boolean);
+
+describe.each(drivers)('Integration Tests (%s storage)', (driver) => {
   let app;
+  // Supertest agent authenticated as a freshly registered user
+  let api;
 
   beforeAll(async () => {
-    // Create test database
-    const connection = await mysql.createConnection({
-      ...testDbConfig,
-      database: undefined
-    });
-    
-    await connection.execute(`CREATE DATABASE IF NOT EXISTS ${testDbConfig.database}`);
-    await connection.end();
+    if (driver === 'mysql') {
+      // Create test database
+      const connection = await mysql.createConnection({
+        ...testDbConfig,
+        database: undefined
+      });
+      
+      await connection.execute(`CREATE DATABASE IF NOT EXISTS ${testDbConfig.database}`);
+      await connection.end();
 
-    // Set test environment
-    process.env.DB_HOST = testDbConfig.host;
-    process.env.DB_USER = testDbConfig.user;
-    process.env.DB_PASSWORD = testDbConfig.password;
-    process.env.DB_NAME = testDbConfig.database;
+      // Set test environment
+      process.env.DB_HOST = testDbConfig.host;
+      process.env.DB_USER = testDbConfig.user;
+      process.env.DB_PASSWORD = testDbConfig.password;
+      process.env.DB_NAME = testDbConfig.database;
+    }
 
     // Import app after setting env vars
     app = require('../index');
     
-    // Initialize the app database (this creates the table)
-    await app.initDB();
-    
-    db = await mysql.createConnection(testDbConfig);
+    // Initialize the app storage (this creates the table)
+    await app.initDB({ driver });
   });
 
   beforeEach(async () => {
     // Clean database before each test
     try {
-      await db.execute('DELETE FROM notes');
-      await db.execute('ALTER TABLE notes AUTO_INCREMENT = 1');
+      await app.getDB().clear();
     } catch (error) {
       console.error('Error cleaning test database:', error);
       throw error;
     }
+    ({ api } = await global.testUtils.registerUser(app));
   });
 
   afterAll(async () => {
-    if (db) {
+    if (!app) {
+      return;
+    }
+    await app.closeDB();
+
+    if (driver === 'mysql') {
+      const db = await mysql.createConnection(testDbConfig);
       try {
         await db.execute(`DROP DATABASE ${testDbConfig.database}`);
       } catch (error) {
         console.error('Error dropping test database:', error);
       }
       await db.end();
-      await app.closeDB();
     }
   });
 
   describe('Full CRUD Operations', () => {
     test('should perform complete note lifecycle', async () => {
       // Create note
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/notes')
         .send({
           title: 'Integration Test Note',
@@ -74,13 +87,13 @@ describe('Integration Tests', () => {
       expect(createResponse.body.id).toBe(1);
 
       // Read notes
-      const readResponse = await request(app).get('/api/notes');
+      const readResponse = await api.get('/api/notes');
       expect(readResponse.status).toBe(200);
       expect(readResponse.body).toHaveLength(1);
       expect(readResponse.body[0].title).toBe('Integration Test Note');
 
       // Update note
-      const updateResponse = await request(app)
+      const updateResponse = await api
         .put('/api/notes/1')
         .send({
           title: 'Updated Integration Test Note',
@@ -90,20 +103,20 @@ describe('Integration Tests', () => {
       expect(updateResponse.status).toBe(200);
 
       // Verify update
-      const readUpdatedResponse = await request(app).get('/api/notes');
+      const readUpdatedResponse = await api.get('/api/notes');
       expect(readUpdatedResponse.body[0].title).toBe('Updated Integration Test Note');
 
       // Delete note
-      const deleteResponse = await request(app).delete('/api/notes/1');
+      const deleteResponse = await api.delete('/api/notes/1');
       expect(deleteResponse.status).toBe(200);
 
       // Verify deletion
-      const readEmptyResponse = await request(app).get('/api/notes');
+      const readEmptyResponse = await api.get('/api/notes');
       expect(readEmptyResponse.body).toHaveLength(0);
     });
 
     test('should handle basic note creation', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/notes')
         .send({
           title: 'Simple Test Note',
@@ -118,7 +131,7 @@ describe('Integration Tests', () => {
 
   describe('Database Constraints', () => {
     test('should enforce NOT NULL constraints', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/notes')
         .send({ title: '', content: '' });
 
@@ -126,9 +139,1779 @@ describe('Integration Tests', () => {
     });
 
     test('should return 404 for non-existent note', async () => {
-      const response = await request(app).delete('/api/notes/999');
+      const response = await api.delete('/api/notes/999');
       expect(response.status).toBe(404); // Correctly expect 404 for non-existent note
       expect(response.body.error).toBe('Note not found');
     });
   });
+
+  describe('Pagination and Sorting', () => {
+    const titles = ['Delta', 'alpha', 'Echo', 'charlie', 'Bravo'];
+
+    beforeEach(async () => {
+      for (const title of titles) {
+        await api.post('/api/notes').send({ title, content: `${title} content` });
+      }
+    });
+
+    async function collectPages(query) {
+      const pages = [];
+      let response = await api.get('/api/notes').query(query);
+      pages.push(response.body);
+      while (response.headers['x-next-cursor']) {
+        expect(response.headers.link).toContain('rel="next"');
+        response = await api
+          .get('/api/notes')
+          .query({ ...query, cursor: response.headers['x-next-cursor'] });
+        expect(response.status).toBe(200);
+        pages.push(response.body);
+      }
+      return pages;
+    }
+
+    test('should page through notes newest first with a next cursor', async () => {
+      const pages = await collectPages({ limit: 2 });
+
+      expect(pages.map(page => page.length)).toEqual([2, 2, 1]);
+      expect(pages.flat().map(note => note.id)).toEqual([5, 4, 3, 2, 1]);
+    });
+
+    test('should not return a cursor on the last page', async () => {
+      const response = await api.get('/api/notes').query({ limit: 5 });
+
+      expect(response.body).toHaveLength(5);
+      expect(response.headers).not.toHaveProperty('x-next-cursor');
+    });
+
+    test('should sort by title case-insensitively in either direction', async () => {
+      const ascending = await collectPages({ sort: 'title', limit: 2 });
+      expect(ascending.flat().map(note => note.title))
+        .toEqual(['alpha', 'Bravo', 'charlie', 'Delta', 'Echo']);
+
+      const descending = await collectPages({ sort: 'title', order: 'desc', limit: 3 });
+      expect(descending.flat().map(note => note.title))
+        .toEqual(['Echo', 'Delta', 'charlie', 'Bravo', 'alpha']);
+    });
+
+    test('should filter by creation and update time', async () => {
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+      const none = await api.get('/api/notes').query({ created_after: future });
+      expect(none.body).toHaveLength(0);
+
+      const all = await api.get('/api/notes').query({ updated_since: past });
+      expect(all.body).toHaveLength(5);
+    });
+
+    test('should reject invalid pagination parameters', async () => {
+      const cases = [
+        { limit: 0 },
+        { limit: 'ten' },
+        { sort: 'content' },
+        { order: 'sideways' },
+        { cursor: 'not-a-cursor' },
+        { created_after: 'yesterday' }
+      ];
+      for (const query of cases) {
+        const response = await api.get('/api/notes').query(query);
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty('error');
+      }
+    });
+
+    test('should reject a cursor used with a different sort', async () => {
+      const first = await api.get('/api/notes').query({ limit: 2 });
+      const response = await api
+        .get('/api/notes')
+        .query({ sort: 'title', cursor: first.headers['x-next-cursor'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Full-text Search', () => {
+    beforeEach(async () => {
+      const notes = [
+        { title: 'Deploy checklist', content: 'Deploy after the database migrations. Deploy on Tuesdays' },
+        { title: 'Release notes', content: 'Deploy the release to staging, then production' },
+        { title: 'Groceries', content: 'Milk, eggs and bread' }
+      ];
+      for (const note of notes) {
+        await api.post('/api/notes').send(note);
+      }
+    });
+
+    test('should return relevance-ranked results with highlights', async () => {
+      const response = await api.get('/api/notes/search').query({ q: 'deploy' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(note => note.title)).toEqual(['Deploy checklist', 'Release notes']);
+      expect(response.body[0]).toHaveProperty('score');
+      expect(response.body[0].highlights.title).toBe('<mark>Deploy</mark> checklist');
+      expect(response.body[1].highlights.content).toContain('<mark>Deploy</mark>');
+    });
+
+    test('should support phrase and prefix queries', async () => {
+      const phrase = await api.get('/api/notes/search').query({ q: '"release notes"' });
+      expect(phrase.body.map(note => note.title)).toEqual(['Release notes']);
+
+      const prefix = await api.get('/api/notes/search').query({ q: 'grocer*' });
+      expect(prefix.body.map(note => note.title)).toEqual(['Groceries']);
+    });
+
+    test('should require every term to match', async () => {
+      const response = await api.get('/api/notes/search').query({ q: 'deploy groceries' });
+      expect(response.body).toEqual([]);
+    });
+
+    test('should require a query', async () => {
+      const response = await api.get('/api/notes/search');
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Tags', () => {
+    async function createTagged(title, tags) {
+      const response = await api
+        .post('/api/notes')
+        .send({ title, content: `${title} content`, tags });
+      expect(response.status).toBe(201);
+      return response.body;
+    }
+
+    async function titlesFor(query) {
+      const response = await api.get('/api/notes').query(query);
+      expect(response.status).toBe(200);
+      return response.body.map(note => note.title).sort();
+    }
+
+    beforeEach(async () => {
+      await createTagged('Rotate certs', ['ops', 'Security']);
+      await createTagged('Patch kernel', ['ops']);
+      await createTagged('Threat model', ['security', 'design']);
+    });
+
+    test('should normalize and return tags on created notes', async () => {
+      const note = await createTagged('Mixed', [' Ops ', 'ops', 'On Call']);
+      expect(note.tags).toEqual(['on call', 'ops']);
+
+      const list = await api.get('/api/notes');
+      expect(list.body.find(item => item.id === note.id).tags).toEqual(['on call', 'ops']);
+    });
+
+    test('should list tags with usage counts', async () => {
+      const response = await api.get('/api/tags');
+      expect(response.body).toEqual([
+        { name: 'design', count: 1 },
+        { name: 'ops', count: 2 },
+        { name: 'security', count: 2 }
+      ]);
+    });
+
+    test('should filter notes by all or any of several tags', async () => {
+      expect(await titlesFor({ tag: 'ops' })).toEqual(['Patch kernel', 'Rotate certs']);
+      expect(await titlesFor({ tag: ['ops', 'security'] })).toEqual(['Rotate certs']);
+      expect(await titlesFor({ tag: ['ops', 'design'], match: 'any' }))
+        .toEqual(['Patch kernel', 'Rotate certs', 'Threat model']);
+    });
+
+    test('should replace tags on update and keep them when omitted', async () => {
+      await api.put('/api/notes/2').send({ title: 'Patch kernel', content: 'v2', tags: ['linux'] });
+      expect(await titlesFor({ tag: 'linux' })).toEqual(['Patch kernel']);
+
+      await api.put('/api/notes/2').send({ title: 'Patch kernel', content: 'v3' });
+      expect(await titlesFor({ tag: 'linux' })).toEqual(['Patch kernel']);
+    });
+
+    test('should cascade tag renames to notes', async () => {
+      const response = await api.patch('/api/tags/ops').send({ name: 'operations' });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ name: 'operations', merged: false });
+
+      expect(await titlesFor({ tag: 'operations' })).toEqual(['Patch kernel', 'Rotate certs']);
+      expect(await titlesFor({ tag: 'ops' })).toEqual([]);
+    });
+
+    test('should merge when renaming onto an existing tag', async () => {
+      const response = await api.patch('/api/tags/security').send({ name: 'ops' });
+      expect(response.body).toMatchObject({ name: 'ops', merged: true });
+
+      const tags = await api.get('/api/tags');
+      expect(tags.body).toEqual([{ name: 'design', count: 1 }, { name: 'ops', count: 3 }]);
+    });
+
+    test('should merge several tags into one', async () => {
+      const response = await api
+        .post('/api/tags/merge')
+        .send({ sources: ['security', 'design'], target: 'infosec' });
+      expect(response.status).toBe(200);
+
+      expect(await titlesFor({ tag: 'infosec' })).toEqual(['Rotate certs', 'Threat model']);
+    });
+
+    test('should delete a tag from every note', async () => {
+      const response = await api.delete('/api/tags/ops');
+      expect(response.status).toBe(200);
+
+      const notes = await api.get('/api/notes');
+      expect(notes.body.every(note => !note.tags.includes('ops'))).toBe(true);
+    });
+
+    test('should reject invalid tags and unknown tag names', async () => {
+      const invalid = await api
+        .post('/api/notes')
+        .send({ title: 'Bad', content: 'tags', tags: 'ops' });
+      expect(invalid.status).toBe(400);
+
+      const missing = await api.patch('/api/tags/nope').send({ name: 'other' });
+      expect(missing.status).toBe(404);
+    });
+
+    test('should drop tags of deleted notes from the counts', async () => {
+      await api.delete('/api/notes/3');
+
+      const response = await api.get('/api/tags');
+      expect(response.body).toContainEqual({ name: 'design', count: 0 });
+    });
+  });
+
+  describe('Cross-user Isolation', () => {
+    let other;
+    let noteId;
+
+    beforeEach(async () => {
+      const created = await api
+        .post('/api/notes')
+        .send({ title: 'Private plans', content: 'Only mine', tags: ['secret'] });
+      noteId = created.body.id;
+      ({ api: other } = await global.testUtils.registerUser(app));
+    });
+
+    test('should not list or search other users\' notes', async () => {
+      const list = await other.get('/api/notes');
+      expect(list.body).toEqual([]);
+
+      const search = await other.get('/api/notes/search').query({ q: 'private' });
+      expect(search.body).toEqual([]);
+
+      const tags = await other.get('/api/tags');
+      expect(tags.body).toEqual([]);
+    });
+
+    test('should return 404 when modifying other users\' notes', async () => {
+      const update = await other
+        .put(`/api/notes/${noteId}`)
+        .send({ title: 'Hijacked', content: 'Not yours' });
+      expect(update.status).toBe(404);
+
+      const remove = await other.delete(`/api/notes/${noteId}`);
+      expect(remove.status).toBe(404);
+
+      const mine = await api.get('/api/notes');
+      expect(mine.body).toHaveLength(1);
+      expect(mine.body[0].title).toBe('Private plans');
+    });
+
+    test('should keep tags separate per user', async () => {
+      await other.post('/api/notes').send({ title: 'Theirs', content: 'x', tags: ['secret'] });
+      await other.patch('/api/tags/secret').send({ name: 'public' });
+
+      const mine = await api.get('/api/tags');
+      expect(mine.body).toEqual([{ name: 'secret', count: 1 }]);
+    });
+  });
+
+  describe('Revisions', () => {
+    let noteId;
+
+    beforeEach(async () => {
+      const created = await api
+        .post('/api/notes')
+        .send({ title: 'Draft', content: 'line one\nline two' });
+      noteId = created.body.id;
+      await api.put(`/api/notes/${noteId}`).send({ title: 'Draft', content: 'line one\nline 2\nline three' });
+      await api.put(`/api/notes/${noteId}`).send({ title: 'Final', content: 'line one\nline 2\nline three' });
+    });
+
+    test('should record a revision on create and on every change', async () => {
+      const response = await api.get(`/api/notes/${noteId}/revisions`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(row => row.revision)).toEqual([3, 2, 1]);
+      expect(response.body[0].title).toBe('Final');
+      expect(response.body[0]).not.toHaveProperty('content');
+    });
+
+    test('should not record a revision when nothing changed', async () => {
+      await api.put(`/api/notes/${noteId}`).send({ title: 'Final', content: 'line one\nline 2\nline three' });
+
+      const response = await api.get(`/api/notes/${noteId}/revisions`);
+      expect(response.body).toHaveLength(3);
+    });
+
+    test('should fetch a single revision', async () => {
+      const response = await api.get(`/api/notes/${noteId}/revisions/1`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ revision: 1, title: 'Draft', content: 'line one\nline two' });
+
+      expect((await api.get(`/api/notes/${noteId}/revisions/9`)).status).toBe(404);
+      expect((await api.get(`/api/notes/${noteId}/revisions/abc`)).status).toBe(400);
+    });
+
+    test('should diff a revision against the previous one by default', async () => {
+      const response = await api.get(`/api/notes/${noteId}/revisions/2/diff`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.from.revision).toBe(1);
+      expect(response.body.to.revision).toBe(2);
+      expect(response.body.stats).toEqual({ added: 2, removed: 1 });
+      expect(response.body.unified).toContain('-line two\n+line 2\n+line three');
+    });
+
+    test('should diff between any two revisions', async () => {
+      const response = await api.get(`/api/notes/${noteId}/revisions/1/diff`).query({ from: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.from.title).toBe('Final');
+      expect(response.body.to.title).toBe('Draft');
+      expect(response.body.stats).toEqual({ added: 1, removed: 2 });
+
+      const missing = await api.get(`/api/notes/${noteId}/revisions/1/diff`).query({ from: 7 });
+      expect(missing.status).toBe(404);
+
+      const invalid = await api.get(`/api/notes/${noteId}/revisions/1/diff`).query({ from: 'x' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should restore a revision as a new revision', async () => {
+      const response = await api.post(`/api/notes/${noteId}/revisions/1/restore`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ revision: 4, restoredFrom: 1 });
+
+      const notes = await api.get('/api/notes');
+      expect(notes.body[0]).toMatchObject({ title: 'Draft', content: 'line one\nline two' });
+
+      const revisions = await api.get(`/api/notes/${noteId}/revisions`);
+      expect(revisions.body.map(row => row.revision)).toEqual([4, 3, 2, 1]);
+    });
+
+    test('should hide other users\' revisions', async () => {
+      const { api: other } = await global.testUtils.registerUser(app);
+
+      expect((await other.get(`/api/notes/${noteId}/revisions`)).status).toBe(404);
+      expect((await other.get(`/api/notes/${noteId}/revisions/1`)).status).toBe(404);
+      expect((await other.post(`/api/notes/${noteId}/revisions/1/restore`)).status).toBe(404);
+    });
+
+    test('should drop revisions with the note', async () => {
+      await api.delete(`/api/notes/${noteId}`);
+
+      const response = await api.get(`/api/notes/${noteId}/revisions`);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Trash', () => {
+    let noteId;
+
+    beforeEach(async () => {
+      const created = await api
+        .post('/api/notes')
+        .send({ title: 'Disposable', content: 'Soon gone', tags: ['temp'] });
+      noteId = created.body.id;
+      await api.post('/api/notes').send({ title: 'Keeper', content: 'Stays' });
+    });
+
+    test('should move deleted notes to the trash', async () => {
+      const response = await api.delete(`/api/notes/${noteId}`);
+      expect(response.status).toBe(200);
+
+      const notes = await api.get('/api/notes');
+      expect(notes.body.map(note => note.title)).toEqual(['Keeper']);
+
+      const search = await api.get('/api/notes/search').query({ q: 'disposable' });
+      expect(search.body).toEqual([]);
+
+      const trash = await api.get('/api/trash');
+      expect(trash.status).toBe(200);
+      expect(trash.body).toHaveLength(1);
+      expect(trash.body[0]).toMatchObject({ id: noteId, title: 'Disposable', tags: ['temp'] });
+      expect(trash.body[0].deleted_at).toBeTruthy();
+      expect(new Date(trash.body[0].purge_at).getTime()).toBeGreaterThan(new Date(trash.body[0].deleted_at).getTime());
+    });
+
+    test('should not update or re-delete a trashed note', async () => {
+      await api.delete(`/api/notes/${noteId}`);
+
+      const update = await api.put(`/api/notes/${noteId}`).send({ title: 'Edited', content: 'In the trash' });
+      expect(update.status).toBe(404);
+
+      const again = await api.delete(`/api/notes/${noteId}`);
+      expect(again.status).toBe(404);
+    });
+
+    test('should restore a trashed note with its tags', async () => {
+      await api.delete(`/api/notes/${noteId}`);
+
+      const response = await api.post(`/api/notes/${noteId}/restore`);
+      expect(response.status).toBe(200);
+
+      const notes = await api.get('/api/notes');
+      expect(notes.body.find(note => note.id === noteId)).toMatchObject({ title: 'Disposable', tags: ['temp'] });
+      expect((await api.get('/api/trash')).body).toEqual([]);
+
+      const again = await api.post(`/api/notes/${noteId}/restore`);
+      expect(again.status).toBe(404);
+    });
+
+    test('should permanently delete only trashed notes', async () => {
+      const live = await api.delete('/api/trash/2');
+      expect(live.status).toBe(404);
+
+      await api.delete(`/api/notes/${noteId}`);
+      const response = await api.delete(`/api/trash/${noteId}`);
+      expect(response.status).toBe(200);
+
+      expect((await api.get('/api/trash')).body).toEqual([]);
+      expect((await api.post(`/api/notes/${noteId}/restore`)).status).toBe(404);
+    });
+
+    test('should purge notes trashed longer than the retention period', async () => {
+      const { purgeTrash } = require('../lib/trash');
+      await api.delete(`/api/notes/${noteId}`);
+
+      expect(await purgeTrash(app.getDB(), { retentionDays: 30 })).toBe(0);
+      const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+      expect(await purgeTrash(app.getDB(), { retentionDays: 30, now: later })).toBe(1);
+
+      expect((await api.get('/api/trash')).body).toEqual([]);
+      expect((await api.get('/api/notes')).body).toHaveLength(1);
+    });
+
+    test('should keep other users out of the trash', async () => {
+      await api.delete(`/api/notes/${noteId}`);
+      const { api: other } = await global.testUtils.registerUser(app);
+
+      expect((await other.get('/api/trash')).body).toEqual([]);
+      expect((await other.post(`/api/notes/${noteId}/restore`)).status).toBe(404);
+      expect((await other.delete(`/api/trash/${noteId}`)).status).toBe(404);
+    });
+  });
+
+  describe('Conditional Requests', () => {
+    let noteId;
+    let etag;
+
+    beforeEach(async () => {
+      const created = await api
+        .post('/api/notes')
+        .send({ title: 'Shared', content: 'Version one', tags: ['team'] });
+      noteId = created.body.id;
+      etag = created.headers.etag;
+    });
+
+    test('should fetch a single note with an ETag', async () => {
+      const response = await api.get(`/api/notes/${noteId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: noteId, title: 'Shared', tags: ['team'], version: 1 });
+      expect(response.headers.etag).toBe(etag);
+
+      expect((await api.get('/api/notes/999')).status).toBe(404);
+    });
+
+    test('should answer 304 when the note has not changed', async () => {
+      const unchanged = await api.get(`/api/notes/${noteId}`).set('If-None-Match', etag);
+      expect(unchanged.status).toBe(304);
+
+      await api.put(`/api/notes/${noteId}`).send({ title: 'Shared', content: 'Version two' });
+      const changed = await api.get(`/api/notes/${noteId}`).set('If-None-Match', etag);
+      expect(changed.status).toBe(200);
+      expect(changed.headers.etag).not.toBe(etag);
+    });
+
+    test('should update when If-Match is current and reject stale writes with 412', async () => {
+      const first = await api
+        .put(`/api/notes/${noteId}`)
+        .set('If-Match', etag)
+        .send({ title: 'Shared', content: 'Alice was here' });
+      expect(first.status).toBe(200);
+      expect(first.body.version).toBe(2);
+      expect(first.headers.etag).not.toBe(etag);
+
+      const stale = await api
+        .put(`/api/notes/${noteId}`)
+        .set('If-Match', etag)
+        .send({ title: 'Shared', content: 'Bob overwrites' });
+      expect(stale.status).toBe(412);
+
+      const current = await api.get(`/api/notes/${noteId}`);
+      expect(current.body.content).toBe('Alice was here');
+    });
+
+    test('should accept If-Match: * and unconditional writes', async () => {
+      await api.put(`/api/notes/${noteId}`).send({ title: 'Shared', content: 'Two' });
+
+      const any = await api.put(`/api/notes/${noteId}`).set('If-Match', '*').send({ title: 'Shared', content: 'Three' });
+      expect(any.status).toBe(200);
+      expect(any.body.version).toBe(3);
+    });
+
+    test('should patch only the given fields, honouring If-Match', async () => {
+      const response = await api
+        .patch(`/api/notes/${noteId}`)
+        .set('If-Match', etag)
+        .send({ content: 'Patched content' });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ title: 'Shared', content: 'Patched content', tags: ['team'] });
+
+      const stale = await api.patch(`/api/notes/${noteId}`).set('If-Match', etag).send({ title: 'Late' });
+      expect(stale.status).toBe(412);
+
+      expect((await api.patch(`/api/notes/${noteId}`).send({})).status).toBe(400);
+      expect((await api.patch(`/api/notes/${noteId}`).send({ title: '' })).status).toBe(400);
+      expect((await api.patch('/api/notes/999').send({ title: 'Missing' })).status).toBe(404);
+    });
+
+    test('should reject a delete with a stale If-Match', async () => {
+      await api.patch(`/api/notes/${noteId}`).send({ title: 'Renamed' });
+
+      const stale = await api.delete(`/api/notes/${noteId}`).set('If-Match', etag);
+      expect(stale.status).toBe(412);
+
+      const current = await api.get(`/api/notes/${noteId}`);
+      const response = await api.delete(`/api/notes/${noteId}`).set('If-Match', current.headers.etag);
+      expect(response.status).toBe(200);
+    });
+
+    test('should answer 304 for an unchanged listing', async () => {
+      const first = await api.get('/api/notes');
+      expect(first.headers.etag).toBeDefined();
+
+      const unchanged = await api.get('/api/notes').set('If-None-Match', first.headers.etag);
+      expect(unchanged.status).toBe(304);
+
+      await api.patch(`/api/notes/${noteId}`).send({ title: 'Changed' });
+      const changed = await api.get('/api/notes').set('If-None-Match', first.headers.etag);
+      expect(changed.status).toBe(200);
+    });
+  });
+
+  describe('Pinning and Archiving', () => {
+    beforeEach(async () => {
+      for (const title of ['One', 'Two', 'Three', 'Four', 'Five']) {
+        await api.post('/api/notes').send({ title, content: `${title} content` });
+      }
+    });
+
+    const titlesOf = response => response.body.map(note => note.title);
+
+    test('should create notes unpinned and unarchived', async () => {
+      const response = await api.get('/api/notes/1');
+
+      expect(response.body).toMatchObject({ pinned: false, archived: false });
+    });
+
+    test('should pin and archive through PATCH without touching the rest', async () => {
+      const response = await api.patch('/api/notes/2').send({ pinned: true });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ title: 'Two', content: 'Two content', pinned: true, archived: false, version: 2 });
+
+      const archived = await api.patch('/api/notes/2').send({ archived: true });
+      expect(archived.body).toMatchObject({ pinned: true, archived: true });
+
+      // A full replace leaves the flags alone unless it sets them
+      const replaced = await api.put('/api/notes/2').send({ title: 'Two', content: 'Rewritten' });
+      expect(replaced.body).toMatchObject({ pinned: true, archived: true });
+    });
+
+    test('should list pinned notes first, across pages', async () => {
+      await api.patch('/api/notes/2').send({ pinned: true });
+      await api.patch('/api/notes/4').send({ pinned: true });
+
+      expect(titlesOf(await api.get('/api/notes'))).toEqual(['Four', 'Two', 'Five', 'Three', 'One']);
+
+      const first = await api.get('/api/notes').query({ sort: 'title', limit: 3 });
+      expect(titlesOf(first)).toEqual(['Four', 'Two', 'Five']);
+      const second = await api.get('/api/notes').query({ sort: 'title', limit: 3, cursor: first.headers['x-next-cursor'] });
+      expect(titlesOf(second)).toEqual(['One', 'Three']);
+    });
+
+    test('should hide archived notes unless asked for them', async () => {
+      await api.patch('/api/notes/1').send({ archived: true });
+      await api.patch('/api/notes/3').send({ archived: true, pinned: true });
+
+      expect(titlesOf(await api.get('/api/notes'))).toEqual(['Five', 'Four', 'Two']);
+      expect(titlesOf(await api.get('/api/notes').query({ archived: true }))).toEqual(['Three', 'One']);
+      expect(titlesOf(await api.get('/api/notes').query({ archived: 'all' })))
+        .toEqual(['Three', 'Five', 'Four', 'Two', 'One']);
+
+      // Archived notes can still be opened and searched
+      expect((await api.get('/api/notes/1')).status).toBe(200);
+      expect((await api.get('/api/notes/search').query({ q: 'one' })).body).toHaveLength(1);
+    });
+
+    test('should reject flags that are not booleans', async () => {
+      const response = await api.patch('/api/notes/1').send({ pinned: 'yes' });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('pinned must be a boolean');
+
+      expect((await api.get('/api/notes').query({ archived: 'maybe' })).status).toBe(400);
+    });
+  });
+
+  describe('Sync', () => {
+    // A since between the notes created in beforeEach and whatever the test does next
+    async function checkpoint() {
+      await global.testUtils.sleep(20);
+      const since = new Date().toISOString();
+      await global.testUtils.sleep(20);
+      return since;
+    }
+
+    beforeEach(async () => {
+      await api.post('/api/notes').send({ title: 'Kept', content: 'Untouched', tags: ['home'] });
+      await api.post('/api/notes').send({ title: 'Edited', content: 'Before' });
+      await api.post('/api/notes').send({ title: 'Trashed', content: 'Soon gone' });
+      await api.post('/api/notes').send({ title: 'Purged', content: 'Gone for good' });
+      await api.delete('/api/notes/4');
+    });
+
+    test('should list every note, with a synced_at to resume from, when there is no since', async () => {
+      const response = await api.get('/api/notes/changes');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ reset: true, deleted: [] });
+      expect(response.body.notes.map(note => note.title)).toEqual(['Kept', 'Edited', 'Trashed']);
+      expect(response.body.notes[0].tags).toEqual(['home']);
+      expect(Date.parse(response.body.synced_at)).toBeLessThan(Date.now());
+    });
+
+    test('should report only what changed and was deleted since', async () => {
+      const since = await checkpoint();
+      await api.patch('/api/notes/2').send({ content: 'After' });
+      await api.post('/api/notes').send({ title: 'New', content: 'Offline draft' });
+      await api.delete('/api/notes/3');
+      await api.delete('/api/trash/4');
+
+      const response = await api.get('/api/notes/changes').query({ since, render: 'html' });
+
+      expect(response.body.reset).toBe(false);
+      expect(response.body.notes.map(note => [note.title, note.html])).toEqual([
+        ['Edited', '<p>After</p>'],
+        ['New', '<p>Offline draft</p>']
+      ]);
+      expect(response.body.deleted.sort()).toEqual([3, 4]);
+    });
+
+    test('should report restores and tag renames, which leave updated_at alone', async () => {
+      await api.delete('/api/notes/3');
+      const since = await checkpoint();
+      await api.post('/api/notes/3/restore');
+      await api.patch('/api/tags/home').send({ name: 'house' });
+
+      const response = await api.get('/api/notes/changes').query({ since });
+
+      expect(response.body.notes.map(note => [note.title, note.tags])).toEqual([['Trashed', []], ['Kept', ['house']]]);
+      expect(response.body.deleted).toEqual([]);
+    });
+
+    test('should report notes purged from the trash by retention', async () => {
+      const { purgeTrash } = require('../lib/trash');
+      const since = await checkpoint();
+      await purgeTrash(app.getDB(), { retentionDays: 0, now: new Date(Date.now() + 1000) });
+
+      const response = await api.get('/api/notes/changes').query({ since });
+      expect(response.body.deleted).toEqual([4]);
+    });
+
+    test('should start over when since is older than the trash keeps tombstones', async () => {
+      const since = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+
+      const response = await api.get('/api/notes/changes').query({ since });
+      expect(response.body).toMatchObject({ reset: true, deleted: [] });
+      expect(response.body.notes).toHaveLength(3);
+    });
+
+    test('should keep other users\' changes out and reject a bad since', async () => {
+      const { api: other } = await global.testUtils.registerUser(app);
+      expect((await other.get('/api/notes/changes')).body).toMatchObject({ notes: [], deleted: [] });
+
+      expect((await api.get('/api/notes/changes').query({ since: 'yesterday' })).status).toBe(400);
+    });
+  });
+
+  describe('Markdown', () => {
+    test('should store the format and default to plain', async () => {
+      const plain = await api.post('/api/notes').send({ title: 'Plain', content: 'Just text' });
+      expect(plain.body.format).toBe('plain');
+
+      const markdown = await api
+        .post('/api/notes')
+        .send({ title: 'Checklist', content: '- [ ] one', format: 'markdown' });
+      expect(markdown.status).toBe(201);
+
+      const fetched = await api.get(`/api/notes/${markdown.body.id}`);
+      expect(fetched.body.format).toBe('markdown');
+
+      const invalid = await api.post('/api/notes').send({ title: 'Bad', content: 'x', format: 'html' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should keep the format when an update leaves it out', async () => {
+      const created = await api
+        .post('/api/notes')
+        .send({ title: 'Doc', content: '# Heading', format: 'markdown' });
+      await api.put(`/api/notes/${created.body.id}`).send({ title: 'Doc', content: '# Changed' });
+
+      const fetched = await api.get(`/api/notes/${created.body.id}`);
+      expect(fetched.body.format).toBe('markdown');
+
+      const switched = await api.patch(`/api/notes/${created.body.id}`).send({ format: 'plain' });
+      expect(switched.body.format).toBe('plain');
+    });
+
+    test('should render sanitized HTML on request', async () => {
+      const created = await api.post('/api/notes').send({
+        title: 'Rendered',
+        content: '**bold** <script>alert(1)</script> [x](javascript:alert(1))',
+        format: 'markdown'
+      });
+
+      const raw = await api.get(`/api/notes/${created.body.id}`);
+      expect(raw.body).not.toHaveProperty('html');
+
+      const rendered = await api.get(`/api/notes/${created.body.id}`).query({ render: 'html' });
+      expect(rendered.status).toBe(200);
+      expect(rendered.body.html).toContain('<strong>bold</strong>');
+      expect(rendered.body.html).not.toContain('<script>');
+      expect(rendered.body.html).not.toContain('href="javascript');
+
+      const list = await api.get('/api/notes').query({ render: 'html' });
+      expect(list.body[0].html).toBe(rendered.body.html);
+
+      const invalid = await api.get(`/api/notes/${created.body.id}`).query({ render: 'pdf' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should preview content without saving it', async () => {
+      const response = await api.post('/api/render').send({ content: '- [x] done', format: 'markdown' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.html).toContain('<input type="checkbox" disabled checked />');
+      expect((await api.get('/api/notes')).body).toEqual([]);
+
+      const anonymous = await request(app).post('/api/render').send({ content: 'x' });
+      expect(anonymous.status).toBe(401);
+    });
+  });
+
+  describe('Import and Export', () => {
+    // Collect a binary response body into a Buffer
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeEach(async () => {
+      await api.post('/api/notes').send({ title: 'Runbook', content: 'Step 1\nStep "2", done', tags: ['ops', 'on call'] });
+      await api.post('/api/notes').send({ title: 'Ideas', content: '- [ ] ship it', format: 'markdown' });
+    });
+
+    test('should export notes as JSON with their metadata', async () => {
+      const response = await api.get('/api/export').query({ format: 'json' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="notes-.*\.json"/);
+      const body = JSON.parse(response.text);
+      expect(body.notes).toHaveLength(2);
+      expect(body.notes[0]).toMatchObject({
+        title: 'Runbook',
+        content: 'Step 1\nStep "2", done',
+        format: 'plain',
+        tags: ['on call', 'ops']
+      });
+      expect(body.notes[0].created_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('should export CSV that round-trips quotes, commas and line breaks', async () => {
+      const exported = await api.get('/api/export').query({ format: 'csv' });
+      expect(exported.status).toBe(200);
+      expect(exported.headers['content-type']).toMatch(/text\/csv/);
+      expect(exported.text.split('\r\n')[0]).toBe('id,title,content,format,tags,created_at,updated_at');
+
+      const { api: other } = await global.testUtils.registerUser(app);
+      const imported = await other.post('/api/import').set('Content-Type', 'text/csv').send(exported.text);
+      expect(imported.status).toBe(201);
+      expect(imported.body.summary).toMatchObject({ total: 2, created: 2 });
+
+      const notes = await other.get('/api/notes').query({ sort: 'title' });
+      expect(notes.body[1]).toMatchObject({ title: 'Runbook', content: 'Step 1\nStep "2", done', tags: ['on call', 'ops'] });
+    });
+
+    test('should round-trip a markdown zip with front-matter', async () => {
+      const exported = await api.get('/api/export').query({ format: 'markdown-zip' }).buffer(true).parse(binary);
+      expect(exported.status).toBe(200);
+      expect(exported.headers['content-type']).toBe('application/zip');
+      expect(exported.body.subarray(0, 2).toString()).toBe('PK');
+
+      const { api: other } = await global.testUtils.registerUser(app);
+      const imported = await other
+        .post('/api/import')
+        .set('Content-Type', 'application/zip')
+        .send(exported.body);
+      expect(imported.status).toBe(201);
+      expect(imported.body.items.map(item => item.source).sort()).toEqual(['ideas-2.md', 'runbook-1.md']);
+
+      const notes = await other.get('/api/notes').query({ sort: 'title' });
+      expect(notes.body).toEqual([
+        expect.objectContaining({ title: 'Ideas', content: '- [ ] ship it', format: 'markdown', tags: [] }),
+        expect.objectContaining({ title: 'Runbook', content: 'Step 1\nStep "2", done', format: 'plain', tags: ['on call', 'ops'] })
+      ]);
+    });
+
+    test('should validate without creating anything on a dry run', async () => {
+      const response = await api
+        .post('/api/import')
+        .query({ dry_run: 'true' })
+        .send([{ title: 'New', content: 'Fresh' }, { title: '', content: 'No title' }, { title: 'Bad tags', content: 'x', tags: 'ops' }]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary).toEqual({ total: 3, created: 0, valid: 1, duplicate: 0, invalid: 2 });
+      expect(response.body.items[1]).toMatchObject({ index: 1, source: 'notes[1]', status: 'invalid' });
+      expect(response.body.items[2].error).toBe('tags must be an array of strings');
+
+      expect((await api.get('/api/notes')).body).toHaveLength(2);
+    });
+
+    test('should report content that is too long as invalid', async () => {
+      const notes = [{ title: 'Fits', content: 'x'.repeat(65535) }, { title: 'Too long', content: 'x'.repeat(65536) }];
+
+      const dryRun = await api.post('/api/import').query({ dry_run: 'true' }).send(notes);
+      expect(dryRun.body.items.map(item => item.status)).toEqual(['valid', 'invalid']);
+
+      const response = await api.post('/api/import').send(notes);
+      expect(response.status).toBe(201);
+      expect(response.body.items.map(item => item.status)).toEqual(['created', 'invalid']);
+      expect(response.body.items[1].error).toBe('content must be at most 65535 characters');
+      expect((await api.get('/api/notes')).body.map(note => note.title)).not.toContain('Too long');
+    });
+
+    test('should skip duplicates of existing notes and of earlier items', async () => {
+      const response = await api
+        .post('/api/import')
+        .send({ notes: [
+          { title: 'Runbook', content: 'Step 1\nStep "2", done' },
+          { title: 'Copy', content: 'Same' },
+          { title: 'Copy', content: 'Same' }
+        ] });
+
+      expect(response.body.items.map(item => item.status)).toEqual(['duplicate', 'created', 'duplicate']);
+      expect(response.body.items[0].duplicateOf).toEqual({ id: 1 });
+      expect(response.body.items[2].duplicateOf).toEqual({ id: response.body.items[1].id });
+
+      const forced = await api
+        .post('/api/import')
+        .query({ duplicates: 'import' })
+        .send([{ title: 'Copy', content: 'Same' }]);
+      expect(forced.body.summary.created).toBe(1);
+    });
+
+    test('should reject unreadable uploads', async () => {
+      const json = await api.post('/api/import').set('Content-Type', 'application/json').send('{nope');
+      expect(json.status).toBe(400);
+
+      const zip = await api.post('/api/import').set('Content-Type', 'application/zip').send(Buffer.from('not a zip'));
+      expect(zip.status).toBe(400);
+
+      const csv = await api.post('/api/import').set('Content-Type', 'text/csv').send('name,body\r\na,b');
+      expect(csv.status).toBe(400);
+
+      const format = await api.get('/api/export').query({ format: 'xml' });
+      expect(format.status).toBe(400);
+
+      const anonymous = await request(app).get('/api/export');
+      expect(anonymous.status).toBe(401);
+    });
+  });
+
+  describe('Batch Operations', () => {
+    beforeEach(async () => {
+      await api.post('/api/notes').send({ title: 'First', content: 'One' });
+      await api.post('/api/notes').send({ title: 'Second', content: 'Two' });
+    });
+
+    const titles = async () => (await api.get('/api/notes').query({ sort: 'title' })).body.map(note => note.title);
+
+    test('should apply every operation atomically', async () => {
+      const response = await api.post('/api/notes/batch').send({
+        operations: [
+          { op: 'create', title: 'Third', content: 'Three', tags: ['batch'] },
+          { op: 'update', id: 1, title: 'First (edited)' },
+          { op: 'delete', id: 2 }
+        ]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ atomic: true, committed: true });
+      expect(response.body.results).toEqual([
+        expect.objectContaining({ index: 0, op: 'create', ok: true, status: 201, id: 3 }),
+        expect.objectContaining({ index: 1, op: 'update', ok: true, status: 200, id: 1 }),
+        expect.objectContaining({ index: 2, op: 'delete', ok: true, status: 200, id: 2 })
+      ]);
+      expect(response.body.results[0].note.tags).toEqual(['batch']);
+      expect(await titles()).toEqual(['First (edited)', 'Third']);
+    });
+
+    test('should roll everything back when an atomic operation fails', async () => {
+      const response = await api.post('/api/notes/batch').send({
+        operations: [
+          { op: 'create', title: 'Third', content: 'Three' },
+          { op: 'delete', id: 1 },
+          { op: 'update', id: 999, title: 'Missing' },
+          { op: 'delete', id: 2 }
+        ]
+      });
+
+      expect(response.status).toBe(404);
+      expect(response.body.committed).toBe(false);
+      expect(response.body.results.map(result => result.status)).toEqual([424, 424, 404, 424]);
+      expect(response.body.results[0].error).toBe('Not applied: operation 2 failed');
+      expect(await titles()).toEqual(['First', 'Second']);
+      expect((await api.get('/api/tags')).body).toEqual([]);
+    });
+
+    test('should reject an atomic batch with an invalid operation before running it', async () => {
+      const response = await api.post('/api/notes/batch').send({
+        operations: [{ op: 'delete', id: 1 }, { op: 'rename', id: 2 }]
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.results[1].error).toBe('op must be one of: create, update, delete');
+      expect(await titles()).toEqual(['First', 'Second']);
+    });
+
+    test('should apply what it can in best-effort mode', async () => {
+      const response = await api.post('/api/notes/batch').send({
+        atomic: false,
+        operations: [
+          { op: 'update', id: 1, content: 'Changed', version: 1 },
+          { op: 'update', id: 2, content: 'Stale', version: 7 },
+          { op: 'create', title: '', content: 'No title' },
+          { op: 'delete', id: 2 }
+        ]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.committed).toBe(true);
+      expect(response.body.results.map(result => [result.ok, result.status])).toEqual([
+        [true, 200], [false, 412], [false, 400], [true, 200]
+      ]);
+      expect(await titles()).toEqual(['First']);
+    });
+
+    test('should fail operations whose title or content is too long on their own', async () => {
+      const response = await api.post('/api/notes/batch').send({
+        atomic: false,
+        operations: [
+          { op: 'create', title: 'x'.repeat(256), content: 'Long title' },
+          { op: 'create', title: 'Long content', content: 'x'.repeat(65536) },
+          { op: 'update', id: 1, title: 'x'.repeat(256) },
+          { op: 'update', id: 2, content: 'x'.repeat(65536) },
+          { op: 'create', title: 'x'.repeat(255), content: 'Just fits' }
+        ]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.map(result => result.status)).toEqual([400, 400, 400, 400, 201]);
+      expect(response.body.results[0].error).toBe('title must be at most 255 characters');
+      expect(response.body.results[1].error).toBe('content must be at most 65535 characters');
+      expect(await titles()).toEqual(['First', 'Second', 'x'.repeat(255)]);
+    });
+
+    test('should check each operation against its documented schema', async () => {
+      const response = await api.post('/api/notes/batch').send({
+        atomic: false,
+        operations: [
+          { op: 'update', id: 1, pinned: 'yes' },
+          { op: 'delete', id: 2, version: 'latest' },
+          { op: 'create', title: 'Formatted', content: 'x', format: 'html' },
+          { op: 'create', title: 'Tagged', content: 'x', tags: ['x'.repeat(65)] },
+          { op: 'update', id: 'one', title: 'Renamed' }
+        ]
+      });
+
+      expect(response.body.results.map(result => [result.status, result.error])).toEqual([
+        [400, 'pinned must be a boolean'],
+        [400, 'version must be an integer'],
+        [400, 'format must be one of: plain, markdown'],
+        [400, 'tags[0] must be at most 64 characters'],
+        [400, 'id must be an integer']
+      ]);
+      expect(await titles()).toEqual(['First', 'Second']);
+    });
+
+    test('should validate the batch itself', async () => {
+      expect((await api.post('/api/notes/batch').send({ operations: [] })).status).toBe(400);
+      expect((await api.post('/api/notes/batch').send({ operations: 'nope' })).status).toBe(400);
+      expect((await api.post('/api/notes/batch').send({ operations: [{ op: 'delete', id: 1 }], atomic: 'yes' })).status).toBe(400);
+
+      const { MAX_BATCH_OPERATIONS } = require('../lib/batch');
+      const tooMany = Array.from({ length: MAX_BATCH_OPERATIONS + 1 }, () => ({ op: 'delete', id: 1 }));
+      const response = await api.post('/api/notes/batch').send({ operations: tooMany });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(`A batch can have at most ${MAX_BATCH_OPERATIONS} operations`);
+    });
+
+    test('should only touch the user\'s own notes', async () => {
+      const { api: other } = await global.testUtils.registerUser(app);
+      const response = await other.post('/api/notes/batch').send({
+        atomic: false,
+        operations: [{ op: 'delete', id: 1 }, { op: 'update', id: 2, title: 'Hijacked' }]
+      });
+
+      expect(response.body.results.map(result => result.status)).toEqual([404, 404]);
+      expect(await titles()).toEqual(['First', 'Second']);
+    });
+  });
+
+  describe('Events', () => {
+    let server;
+    let streams;
+
+    beforeAll(done => {
+      server = app.listen(0, done);
+    });
+
+    afterAll(done => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      streams = [];
+    });
+
+    afterEach(() => {
+      streams.forEach(stream => stream.close());
+    });
+
+    // Open /api/events; resolves once the response starts, with take(n) to wait for the first n events
+    function openStream({ token, lastEventId, query = '' } = {}) {
+      const headers = {};
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+      const url = `http://127.0.0.1:${server.address().port}/api/events${query}`;
+
+      return new Promise((resolve, reject) => {
+        const req = http.get(url, { headers, agent: false }, (res) => {
+          const received = [];
+          let notify = () => {};
+          let buffer = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              const event = {};
+              for (const line of buffer.slice(0, end).split('\n')) {
+                const [, field, value] = /^(\w+): ?(.*)$/.exec(line) || [];
+                if (field === 'id') event.id = value;
+                if (field === 'event') event.type = value;
+                if (field === 'data') event.data = JSON.parse(value);
+              }
+              buffer = buffer.slice(end + 2);
+              if (event.type) {
+                received.push(event);
+              }
+            }
+            notify();
+          });
+
+          const stream = {
+            status: res.statusCode,
+            headers: res.headers,
+            close: () => req.destroy(),
+            async take(count) {
+              while (received.length < count) {
+                await new Promise(wake => {
+                  notify = wake;
+                });
+              }
+              return received.slice(0, count);
+            }
+          };
+          streams.push(stream);
+          resolve(stream);
+        });
+        req.on('error', reject);
+      });
+    }
+
+    test('should require an access token, in the header or the query', async () => {
+      const { accessToken } = await global.testUtils.registerUser(app);
+
+      expect((await openStream()).status).toBe(401);
+      expect((await openStream({ query: '?access_token=forged' })).status).toBe(401);
+
+      const stream = await openStream({ query: `?access_token=${accessToken}` });
+      expect(stream.status).toBe(200);
+      expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect((await stream.take(1))[0].type).toBe('ready');
+    });
+
+    test('should push the owner\'s note changes from the write routes', async () => {
+      const owner = await global.testUtils.registerUser(app);
+      const other = await global.testUtils.registerUser(app);
+      const stream = await openStream({ token: owner.accessToken });
+      const otherStream = await openStream({ token: other.accessToken });
+      await stream.take(1);
+      await otherStream.take(1);
+
+      const { body: note } = await owner.api.post('/api/notes').send({ title: 'Live', content: 'One', tags: ['ops'] });
+      await owner.api.patch(`/api/notes/${note.id}`).send({ content: 'Two' });
+      await owner.api.delete(`/api/notes/${note.id}`);
+      await owner.api.post(`/api/notes/${note.id}/restore`);
+      await owner.api.post(`/api/notes/${note.id}/revisions/1/restore`);
+      await owner.api.post('/api/notes/batch').send({
+        operations: [{ op: 'create', title: 'Batched', content: 'Three' }, { op: 'delete', id: note.id }]
+      });
+      await other.api.post('/api/notes').send({ title: 'Elsewhere', content: 'Other user' });
+
+      const received = (await stream.take(8)).slice(1);
+      expect(received.map(event => event.type)).toEqual([
+        'note.created', 'note.updated', 'note.deleted', 'note.restored', 'note.updated', 'note.created', 'note.deleted'
+      ]);
+      expect(received[0].data).toMatchObject({ id: note.id, title: 'Live', content: 'One', tags: ['ops'], version: 1 });
+      expect(received[1].data).toMatchObject({ id: note.id, content: 'Two', version: 2 });
+      expect(received[2].data).toEqual({ id: note.id });
+      expect(received[4].data.content).toBe('One');
+      expect(received[5].data.title).toBe('Batched');
+      // The other user only hears about their own note
+      expect((await otherStream.take(2))[1].data.title).toBe('Elsewhere');
+    });
+
+    test('should replay missed events after a reconnect with Last-Event-ID', async () => {
+      const { api: writer, accessToken } = await global.testUtils.registerUser(app);
+      const first = await openStream({ token: accessToken });
+      const [ready] = await first.take(1);
+      first.close();
+
+      await writer.post('/api/notes').send({ title: 'While away', content: 'One' });
+      await writer.post('/api/notes').send({ title: 'Still away', content: 'Two' });
+
+      const resumed = await openStream({ token: accessToken, lastEventId: ready.id });
+      const missed = await resumed.take(2);
+      expect(missed.map(event => event.data.title)).toEqual(['While away', 'Still away']);
+
+      // And by query parameter, for clients that reconnect by hand
+      const manual = await openStream({ token: accessToken, query: `?last_event_id=${missed[0].id}` });
+      expect((await manual.take(1))[0].data.title).toBe('Still away');
+    });
+
+    test('should ask the client to reload when missed events can\'t be replayed', async () => {
+      const { accessToken } = await global.testUtils.registerUser(app);
+      const stream = await openStream({ token: accessToken, lastEventId: 'deadbeef-12' });
+
+      const [reset] = await stream.take(1);
+      expect(reset.type).toBe('reset');
+      expect(reset.id).toMatch(/^[0-9a-f]+-\d+$/);
+    });
+
+    test('should render notes with ?render=html and announce imports', async () => {
+      const { api: writer, accessToken } = await global.testUtils.registerUser(app);
+      const stream = await openStream({ token: accessToken, query: '?render=html' });
+      await stream.take(1);
+
+      await writer.post('/api/notes').send({ title: 'Rendered', content: '**bold**', format: 'markdown' });
+      await writer.post('/api/import').send([{ title: 'Imported', content: 'From a file' }]);
+
+      const [, created, imported] = await stream.take(3);
+      expect(created.data.html).toBe('<p><strong>bold</strong></p>\n');
+      expect(imported).toMatchObject({ type: 'notes.imported', data: { created: 1 } });
+      expect((await openStream({ token: accessToken, query: '?render=pdf' })).status).toBe(400);
+    });
+  });
+
+  describe('Webhooks', () => {
+    const crypto = require('crypto');
+    const { deliverDue } = require('../lib/webhooks');
+    let receiver;
+    let received;
+    // Status codes to answer with, in order; 204 once they run out
+    let replies;
+    let arrived;
+
+    beforeAll(done => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = replies.shift() || 204;
+          res.end();
+          arrived();
+        });
+      });
+      receiver.listen(0, '127.0.0.1', done);
+    });
+
+    afterAll(done => {
+      receiver.close(done);
+    });
+
+    beforeEach(() => {
+      received = [];
+      replies = [];
+      arrived = () => {};
+    });
+
+    const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    // Resolves once the receiver has had `count` requests
+    async function deliveries(count) {
+      while (received.length < count) {
+        await new Promise(resolve => {
+          arrived = resolve;
+        });
+      }
+      return received;
+    }
+
+    // Poll the delivery log until its newest entry has left `pending` (or has been attempted `attempts` times)
+    async function settled(webhookId, attempts = 1) {
+      for (;;) {
+        const { body: [latest] } = await api.get(`/api/webhooks/${webhookId}/deliveries`);
+        if (latest && latest.attempts >= attempts) {
+          return latest;
+        }
+        await global.testUtils.sleep(10);
+      }
+    }
+
+    test('should manage webhooks without ever showing the secret again', async () => {
+      const createResponse = await api.post('/api/webhooks').send({ url: receiverUrl(), events: ['note.created'] });
+      expect(createResponse.status).toBe(201);
+      expect(createResponse.body).toMatchObject({ url: receiverUrl(), events: ['note.created'], active: true });
+      expect(createResponse.body.secret).toMatch(/^[0-9a-f]{64}$/);
+      const { id } = createResponse.body;
+
+      const listResponse = await api.get('/api/webhooks');
+      expect(listResponse.body).toHaveLength(1);
+      expect(listResponse.body[0]).not.toHaveProperty('secret');
+
+      const patchResponse = await api.patch(`/api/webhooks/${id}`).send({ active: false, events: ['note.deleted', 'note.updated'] });
+      expect(patchResponse.status).toBe(200);
+      expect(patchResponse.body).toMatchObject({ url: receiverUrl(), events: ['note.deleted', 'note.updated'], active: false });
+
+      const { api: other } = await global.testUtils.registerUser(app);
+      expect((await other.get(`/api/webhooks/${id}`)).status).toBe(404);
+      expect((await other.delete(`/api/webhooks/${id}`)).status).toBe(404);
+
+      expect((await api.delete(`/api/webhooks/${id}`)).status).toBe(200);
+      expect((await api.get(`/api/webhooks/${id}`)).status).toBe(404);
+    });
+
+    test('should validate webhooks', async () => {
+      expect((await api.post('/api/webhooks').send({})).body.error).toBe('url is required');
+      expect((await api.post('/api/webhooks').send({ url: 'ftp://example.com' })).status).toBe(400);
+      expect((await api.post('/api/webhooks').send({ url: 'not a url' })).status).toBe(400);
+      expect((await api.post('/api/webhooks').send({ url: receiverUrl(), events: ['note.exploded'] })).status).toBe(400);
+      expect((await api.post('/api/webhooks').send({ url: receiverUrl(), events: [] })).status).toBe(400);
+      expect((await api.post('/api/webhooks').send({ url: receiverUrl(), secret: 'short' })).status).toBe(400);
+      expect((await request(app).get('/api/webhooks')).status).toBe(401);
+    });
+
+    test('should deliver subscribed events with a verifiable signature', async () => {
+      const { body: webhook } = await api.post('/api/webhooks').send({
+        url: receiverUrl(),
+        events: ['note.created', 'note.deleted'],
+        secret: 'a-shared-secret-of-some-length'
+      });
+
+      const { body: note } = await api.post('/api/notes').send({ title: 'Hooked', content: 'Delivered', tags: ['ops'] });
+      // Not subscribed to updates
+      await api.patch(`/api/notes/${note.id}`).send({ content: 'Changed' });
+      await api.delete(`/api/notes/${note.id}`);
+
+      // Deliveries go out concurrently, so they may arrive in either order
+      const byEvent = (await deliveries(2)).reduce((found, delivery) => ({ ...found, [delivery.headers['x-webhook-event']]: delivery }), {});
+      const { 'note.created': created, 'note.deleted': deleted } = byEvent;
+      const expected = crypto.createHmac('sha256', 'a-shared-secret-of-some-length')
+        .update(`${created.headers['x-webhook-timestamp']}.${created.body}`)
+        .digest('hex');
+      expect(created.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+      expect(JSON.parse(created.body)).toMatchObject({
+        event: 'note.created',
+        data: { id: note.id, title: 'Hooked', content: 'Delivered', tags: ['ops'] }
+      });
+      expect(JSON.parse(deleted.body)).toMatchObject({ event: 'note.deleted', data: { id: note.id } });
+
+      const latest = await settled(webhook.id);
+      expect(latest).toMatchObject({ event: 'note.deleted', status: 'delivered', attempts: 1, response_status: 204 });
+    });
+
+    test('should retry failed deliveries with backoff and log each outcome', async () => {
+      const { body: webhook } = await api.post('/api/webhooks').send({ url: receiverUrl(), events: ['note.created'] });
+      replies = [500];
+
+      await api.post('/api/notes').send({ title: 'Flaky', content: 'Receiver' });
+      await deliveries(1);
+      const failed = await settled(webhook.id);
+      expect(failed).toMatchObject({ status: 'pending', attempts: 1, response_status: 500, error: 'Receiver answered 500' });
+      expect(new Date(failed.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet
+      expect(await deliverDue(app.getDB())).toEqual([]);
+      const later = new Date(Date.now() + 60 * 60 * 1000);
+      expect(await deliverDue(app.getDB(), { now: later })).toEqual([{ id: failed.id, status: 'delivered' }]);
+
+      const [first, second] = await deliveries(2);
+      expect(second.headers['x-webhook-delivery']).toBe(first.headers['x-webhook-delivery']);
+      expect(JSON.parse(second.body).id).toBe(JSON.parse(first.body).id);
+      expect(await settled(webhook.id, 2)).toMatchObject({ status: 'delivered', attempts: 2, error: null });
+    });
+
+    test('should not deliver to inactive webhooks', async () => {
+      const { body: webhook } = await api.post('/api/webhooks').send({ url: receiverUrl(), active: false });
+      await api.post('/api/notes').send({ title: 'Quiet', content: 'Nobody listening' });
+
+      expect((await api.get(`/api/webhooks/${webhook.id}/deliveries`)).body).toEqual([]);
+      expect(received).toEqual([]);
+    });
+  });
+
+  describe('Shares', () => {
+    async function shareNote(fields = {}, share = {}) {
+      const { body: note } = await api.post('/api/notes').send({ title: 'Shared', content: 'For **everyone**', format: 'markdown', tags: ['public'], ...fields });
+      const response = await api.post(`/api/notes/${note.id}/shares`).send(share);
+      expect(response.status).toBe(201);
+      return { note, share: response.body };
+    }
+
+    test('should share a note read-only and count each view', async () => {
+      const { note, share } = await shareNote();
+      expect(share).toMatchObject({ note_id: note.id, expires_at: null, password_protected: false, access_count: 0 });
+      expect(share.token).toMatch(/^[\w-]{43}$/);
+      expect(share.url).toMatch(new RegExp(`^http://[^/]+/s/${share.token}$`));
+
+      const response = await request(app).get(`/api/shares/${share.token}`).query({ render: 'html' });
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body).toEqual({
+        title: 'Shared',
+        content: 'For **everyone**',
+        format: 'markdown',
+        tags: ['public'],
+        updated_at: expect.any(String),
+        html: '<p>For <strong>everyone</strong></p>\n'
+      });
+      await request(app).get(`/api/shares/${share.token}`);
+
+      const [listed] = (await api.get(`/api/notes/${note.id}/shares`)).body;
+      expect(listed).toMatchObject({ id: share.id, access_count: 2, last_accessed_at: expect.any(String) });
+      expect(listed).not.toHaveProperty('token');
+
+      // Read-only: the token opens nothing else
+      expect((await request(app).get(`/api/notes/${note.id}`).set('Authorization', `Bearer ${share.token}`)).status).toBe(401);
+    });
+
+    test('should keep shares to their note\'s owner and stop serving revoked ones', async () => {
+      const { note, share } = await shareNote();
+      const { api: other } = await global.testUtils.registerUser(app);
+      expect((await other.get(`/api/notes/${note.id}/shares`)).status).toBe(404);
+      expect((await other.post(`/api/notes/${note.id}/shares`).send({})).status).toBe(404);
+      expect((await other.delete(`/api/notes/${note.id}/shares/${share.id}`)).status).toBe(404);
+
+      expect((await api.delete(`/api/notes/${note.id}/shares/${share.id}`)).status).toBe(200);
+      expect((await api.delete(`/api/notes/${note.id}/shares/${share.id}`)).status).toBe(404);
+      expect((await api.get(`/api/notes/${note.id}/shares`)).body).toEqual([]);
+      const response = await request(app).get(`/api/shares/${share.token}`);
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Share not found');
+    });
+
+    test('should hide shared notes while they are in the trash', async () => {
+      const { note, share } = await shareNote();
+      await api.delete(`/api/notes/${note.id}`);
+      expect((await request(app).get(`/api/shares/${share.token}`)).status).toBe(404);
+      expect((await request(app).get(`/s/${share.token}`)).status).toBe(404);
+
+      await api.post(`/api/notes/${note.id}/restore`);
+      expect((await request(app).get(`/api/shares/${share.token}`)).status).toBe(200);
+
+      // Purging the note removes its shares
+      await api.delete(`/api/notes/${note.id}`);
+      await api.delete(`/api/trash/${note.id}`);
+      expect((await request(app).get(`/api/shares/${share.token}`)).status).toBe(404);
+    });
+
+    test('should ask for the password of a protected share', async () => {
+      const { note, share } = await shareNote({}, { password: 'open sesame' });
+      expect(share.password_protected).toBe(true);
+
+      const missing = await request(app).get(`/api/shares/${share.token}`);
+      expect(missing.status).toBe(401);
+      expect(missing.body.error).toBe('Password required');
+      const wrong = await request(app).get(`/api/shares/${share.token}`).set('X-Share-Password', 'open barley');
+      expect(wrong.status).toBe(401);
+      expect(wrong.body.error).toBe('Incorrect password');
+      const right = await request(app).get(`/api/shares/${share.token}`).set('X-Share-Password', 'open sesame');
+      expect(right.status).toBe(200);
+      expect(right.body.title).toBe('Shared');
+
+      // Only views that got to see the note count
+      expect((await api.get(`/api/notes/${note.id}/shares`)).body[0].access_count).toBe(1);
+    });
+
+    test('should stop serving shares once they expire', async () => {
+      const { share } = await shareNote({}, { expires_at: new Date(Date.now() + 1000).toISOString() });
+      expect(new Date(share.expires_at).getTime()).toBeGreaterThan(Date.now());
+      expect((await request(app).get(`/api/shares/${share.token}`)).status).toBe(200);
+
+      // Timestamps are stored to the second
+      await global.testUtils.sleep(1600);
+      const response = await request(app).get(`/api/shares/${share.token}`);
+      expect(response.status).toBe(410);
+      expect(response.body.error).toBe('Share has expired');
+      expect((await request(app).get(`/s/${share.token}`)).status).toBe(410);
+    });
+
+    test('should validate new shares', async () => {
+      const { body: note } = await api.post('/api/notes').send({ title: 'Private', content: 'x' });
+      const past = await api.post(`/api/notes/${note.id}/shares`).send({ expires_at: '2020-01-01T00:00:00Z' });
+      expect(past.status).toBe(400);
+      expect(past.body.error).toBe('expires_at must be in the future');
+      expect((await api.post(`/api/notes/${note.id}/shares`).send({ expires_at: 'tomorrow' })).status).toBe(400);
+      expect((await api.post(`/api/notes/${note.id}/shares`).send({ password: 'short' })).status).toBe(400);
+      expect((await api.post('/api/notes/999/shares').send({})).status).toBe(404);
+      expect((await request(app).post(`/api/notes/${note.id}/shares`).send({})).status).toBe(401);
+      expect((await request(app).get('/api/shares/not-a-token')).status).toBe(400);
+    });
+
+    test('should render a standalone read-only page', async () => {
+      const { share } = await shareNote({ title: '<Plans>', content: 'Hi <script>alert(1)</script>' });
+
+      const response = await request(app).get(`/s/${share.token}`);
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/html/);
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.headers['x-robots-tag']).toBe('noindex, nofollow');
+      expect(response.headers['referrer-policy']).toBe('no-referrer');
+      expect(response.headers['content-security-policy']).toContain('default-src \'none\'');
+      expect(response.text).toContain('<title>&lt;Plans&gt;</title>');
+      expect(response.text).toContain('Hi &lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(response.text).not.toContain('<script');
+      expect(response.text).toContain('<span class="tag">public</span>');
+
+      const unknown = await request(app).get('/s/unknown');
+      expect(unknown.status).toBe(404);
+      expect(unknown.text).toContain('Share not found');
+    });
+
+    test('should show a password form on the page of a protected share', async () => {
+      const { share } = await shareNote({}, { password: 'open sesame' });
+
+      const form = await request(app).get(`/s/${share.token}`);
+      expect(form.status).toBe(401);
+      expect(form.text).toContain('<form method="post">');
+      expect(form.text).not.toContain('Incorrect password');
+
+      const wrong = await request(app).post(`/s/${share.token}`).type('form').send({ password: 'open barley' });
+      expect(wrong.status).toBe(401);
+      expect(wrong.text).toContain('Incorrect password');
+
+      const right = await request(app).post(`/s/${share.token}`).type('form').send({ password: 'open sesame' });
+      expect(right.status).toBe(200);
+      expect(right.text).toContain('<p>For <strong>everyone</strong></p>');
+    });
+  });
+
+  describe('Attachments', () => {
+    const crypto = require('crypto');
+    const fs = require('fs');
+    const { config } = require('../lib/config');
+    const { purgeTrash } = require('../lib/trash');
+    const { createBlobStore } = require('../lib/blobs');
+
+    // Files in the blob store's directory
+    const storedFiles = () => (fs.existsSync(config.attachments.dir) ? fs.readdirSync(config.attachments.dir) : []);
+    const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+    async function createNote() {
+      return (await api.post('/api/notes').send({ title: 'Bug report', content: 'See the attached log' })).body;
+    }
+
+    afterAll(() => {
+      fs.rmSync(config.attachments.dir, { recursive: true, force: true });
+    });
+
+    test('should upload files with their metadata and send them back', async () => {
+      const note = await createNote();
+      const log = 'GET /api/notes 500\nTypeError: boom\n';
+      const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+      const response = await api.post(`/api/notes/${note.id}/attachments`)
+        .attach('file', Buffer.from(log), 'server.log')
+        .attach('file', png, { filename: 'C:\\Users\\me\\Screen shot.png', contentType: 'image/png' });
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual([
+        expect.objectContaining({ note_id: note.id, filename: 'server.log', content_type: 'text/plain', size: log.length, checksum: sha256(log) }),
+        expect.objectContaining({ filename: 'Screen shot.png', content_type: 'image/png', size: png.length, checksum: sha256(png) })
+      ]);
+      expect(response.body[0]).not.toHaveProperty('storage_key');
+      const [logFile, image] = response.body;
+
+      expect((await api.get(`/api/notes/${note.id}/attachments`)).body).toEqual(response.body);
+
+      const download = await api.get(`/api/notes/${note.id}/attachments/${logFile.id}`);
+      expect(download.status).toBe(200);
+      expect(download.text).toBe(log);
+      expect(download.headers).toMatchObject({
+        'content-type': 'text/plain; charset=utf-8',
+        'content-disposition': 'inline; filename="server.log"',
+        'content-length': String(log.length),
+        'accept-ranges': 'bytes',
+        etag: `"${sha256(log)}"`,
+        'x-content-type-options': 'nosniff'
+      });
+      expect((await api.get(`/api/notes/${note.id}/attachments/${logFile.id}`).set('If-None-Match', download.headers.etag)).status).toBe(304);
+
+      const picture = await api.get(`/api/notes/${note.id}/attachments/${image.id}`).buffer(true);
+      expect(picture.headers['content-type']).toBe('image/png');
+      expect(picture.headers['content-disposition']).toBe('inline; filename="Screen shot.png"');
+      expect(Buffer.compare(picture.body, png)).toBe(0);
+
+      const { api: other } = await global.testUtils.registerUser(app);
+      expect((await other.get(`/api/notes/${note.id}/attachments`)).status).toBe(404);
+      expect((await other.get(`/api/notes/${note.id}/attachments/${logFile.id}`)).status).toBe(404);
+      expect((await other.post(`/api/notes/${note.id}/attachments`).attach('file', Buffer.from('x'), 'x.txt')).status).toBe(404);
+    });
+
+    test('should download other types and unusual names as attachments', async () => {
+      const note = await createNote();
+      const { body: [file] } = await api.post(`/api/notes/${note.id}/attachments`)
+        .attach('file', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'), { filename: '报告.svg', contentType: 'image/svg+xml' });
+
+      const download = await api.get(`/api/notes/${note.id}/attachments/${file.id}`);
+      expect(download.headers['content-type']).toBe('image/svg+xml');
+      expect(download.headers['content-disposition']).toBe('attachment; filename="??.svg"; filename*=UTF-8\'\'%E6%8A%A5%E5%91%8A.svg');
+      expect(download.headers['content-security-policy']).toBe('default-src \'none\'; sandbox');
+    });
+
+    test('should answer Range requests with part of the file', async () => {
+      const note = await createNote();
+      const text = '0123456789abcdef';
+      const { body: [file] } = await api.post(`/api/notes/${note.id}/attachments`).attach('file', Buffer.from(text), 'digits.txt');
+      const url = `/api/notes/${note.id}/attachments/${file.id}`;
+
+      const middle = await api.get(url).set('Range', 'bytes=2-5');
+      expect(middle.status).toBe(206);
+      expect(middle.text).toBe('2345');
+      expect(middle.headers['content-range']).toBe('bytes 2-5/16');
+      expect(middle.headers['content-length']).toBe('4');
+
+      const tail = await api.get(url).set('Range', 'bytes=-3');
+      expect(tail.status).toBe(206);
+      expect(tail.text).toBe('def');
+
+      const rest = await api.get(url).set('Range', 'bytes=10-').set('If-Range', `"${file.checksum}"`);
+      expect(rest.status).toBe(206);
+      expect(rest.text).toBe('abcdef');
+
+      // A stale If-Range, or several ranges, get the whole file
+      expect((await api.get(url).set('Range', 'bytes=10-').set('If-Range', '"stale"')).text).toBe(text);
+      const several = await api.get(url).set('Range', 'bytes=0-1,5-6');
+      expect(several.status).toBe(200);
+      expect(several.text).toBe(text);
+
+      const outside = await api.get(url).set('Range', 'bytes=16-20');
+      expect(outside.status).toBe(416);
+      expect(outside.headers['content-range']).toBe('bytes */16');
+      expect(outside.body.error).toBe('Range not satisfiable');
+    });
+
+    test('should refuse files that are too large or of types not allowed', async () => {
+      const note = await createNote();
+      const before = storedFiles().length;
+
+      const large = await api.post(`/api/notes/${note.id}/attachments`)
+        .attach('file', Buffer.from('fine'), 'small.txt')
+        .attach('file', Buffer.alloc(config.attachments.maxMb * 1024 * 1024 + 1), 'huge.txt');
+      expect(large.status).toBe(413);
+      expect(large.body.error).toBe(`Attachments are limited to ${config.attachments.maxMb} MB`);
+
+      const executable = await api.post(`/api/notes/${note.id}/attachments`)
+        .attach('file', Buffer.from('fine'), 'small.txt')
+        .attach('file', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/x-msdownload' });
+      expect(executable.status).toBe(415);
+      expect(executable.body.error).toMatch(/^application\/x-msdownload files can't be attached/);
+
+      // Nothing is kept from a refused upload
+      expect((await api.get(`/api/notes/${note.id}/attachments`)).body).toEqual([]);
+      expect(storedFiles()).toHaveLength(before);
+
+      expect((await api.post(`/api/notes/${note.id}/attachments`).send({ file: 'x' })).body.error).toBe('Upload the files as multipart/form-data');
+      expect((await api.post(`/api/notes/${note.id}/attachments`).field('name', 'x')).body.error).toBe('No file was uploaded');
+      expect((await api.post('/api/notes/999/attachments').attach('file', Buffer.from('x'), 'x.txt')).status).toBe(404);
+    });
+
+    test('should remove the file when an attachment is deleted', async () => {
+      const note = await createNote();
+      const before = storedFiles().length;
+      const { body: [file] } = await api.post(`/api/notes/${note.id}/attachments`).attach('file', Buffer.from('bye'), 'bye.txt');
+      expect(storedFiles()).toHaveLength(before + 1);
+
+      expect((await api.delete(`/api/notes/${note.id}/attachments/${file.id}`)).status).toBe(200);
+      expect((await api.delete(`/api/notes/${note.id}/attachments/${file.id}`)).status).toBe(404);
+      expect((await api.get(`/api/notes/${note.id}/attachments/${file.id}`)).status).toBe(404);
+      expect(storedFiles()).toHaveLength(before);
+    });
+
+    test('should keep attachments in the trash and remove them with the note', async () => {
+      const before = storedFiles().length;
+      const [purged, expired] = [await createNote(), await createNote()];
+      for (const note of [purged, expired]) {
+        await api.post(`/api/notes/${note.id}/attachments`).attach('file', Buffer.from(`for ${note.id}`), 'a.txt');
+        await api.delete(`/api/notes/${note.id}`);
+      }
+      expect(storedFiles()).toHaveLength(before + 2);
+      expect((await api.get(`/api/notes/${purged.id}/attachments`)).status).toBe(404);
+
+      await api.post(`/api/notes/${purged.id}/restore`);
+      expect((await api.get(`/api/notes/${purged.id}/attachments`)).body).toHaveLength(1);
+      await api.delete(`/api/notes/${purged.id}`);
+
+      expect((await api.delete(`/api/trash/${purged.id}`)).status).toBe(200);
+      expect(storedFiles()).toHaveLength(before + 1);
+
+      await purgeTrash(app.getDB(), { retentionDays: 0, now: new Date(Date.now() + 1000), blobs: createBlobStore() });
+      expect(storedFiles()).toHaveLength(before);
+    });
+  });
+
+  describe('Links', () => {
+    async function createNote(title, content = 'Nothing to see') {
+      const response = await api.post('/api/notes').send({ title, content });
+      expect(response.status).toBe(201);
+      return response.body;
+    }
+
+    test('should list a note\'s links and the notes linking to it', async () => {
+      const roadmap = await createNote('Roadmap');
+      const planning = await createNote('Planning', `See [[roadmap]], [[#${roadmap.id}]] and [[Budget]]. Not \`[[Roadmap]]\``);
+
+      expect((await api.get(`/api/notes/${planning.id}/links`)).body).toEqual([
+        { reference: 'roadmap', note: { id: roadmap.id, title: 'Roadmap' } },
+        { reference: `#${roadmap.id}`, note: { id: roadmap.id, title: 'Roadmap' } },
+        { reference: 'Budget', note: null }
+      ]);
+      expect((await api.get(`/api/notes/${roadmap.id}/backlinks`)).body).toEqual([
+        { reference: 'roadmap', source: { id: planning.id, title: 'Planning' } },
+        { reference: `#${roadmap.id}`, source: { id: planning.id, title: 'Planning' } }
+      ]);
+
+      // Links to a title work as soon as a note has it; the oldest note with a title keeps it
+      const budget = await createNote('Budget');
+      await createNote('budget');
+      expect((await api.get(`/api/notes/${planning.id}/links`)).body[2].note).toEqual({ id: budget.id, title: 'Budget' });
+      expect((await api.get(`/api/notes/${budget.id}/backlinks`)).body).toHaveLength(1);
+
+      // Editing the content replaces the links
+      await api.patch(`/api/notes/${planning.id}`).send({ content: 'Only [[Budget]] now' });
+      expect((await api.get(`/api/notes/${roadmap.id}/backlinks`)).body).toEqual([]);
+    });
+
+    test('should point links at a renamed note\'s new title', async () => {
+      const archive = await createNote('Archive', 'Old stuff');
+      const target = await createNote('Q3 plan');
+      const source = await createNote('Standup', `Discussed [[Q3 Plan]] and [[#${archive.id}]]; \`[[Q3 plan]]\` stays`);
+      const other = await createNote('Retro', 'Follow up on [[q3 plan]]');
+
+      const renamed = await api.patch(`/api/notes/${target.id}`).send({ title: 'Q4 plan' });
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.relinked).toEqual([source.id, other.id]);
+
+      const updated = (await api.get(`/api/notes/${source.id}`)).body;
+      expect(updated.content).toBe(`Discussed [[Q4 plan]] and [[#${archive.id}]]; \`[[Q3 plan]]\` stays`);
+      expect(updated.version).toBe(2);
+      expect((await api.get(`/api/notes/${source.id}/revisions`)).body).toHaveLength(2);
+      expect((await api.get(`/api/notes/${target.id}/backlinks`)).body.map(link => link.source.id))
+        .toEqual([source.id, other.id]);
+
+      // An older note already has the new title, so links go by id
+      const archived = await api.put(`/api/notes/${target.id}`).send({ title: 'Archive', content: target.content });
+      expect(archived.body.relinked).toEqual([source.id, other.id]);
+      expect((await api.get(`/api/notes/${other.id}`)).body.content).toBe(`Follow up on [[#${target.id}]]`);
+
+      // Changing only the case, or not renaming at all, leaves the other notes alone
+      expect((await api.patch(`/api/notes/${target.id}`).send({ title: 'ARCHIVE' })).body.relinked).toEqual([]);
+      expect((await api.patch(`/api/notes/${target.id}`).send({ pinned: true })).body.relinked).toEqual([]);
+    });
+
+    test('should report broken links', async () => {
+      const trashed = await createNote('Drafts');
+      const source = await createNote('Index', `[[Drafts]], [[#${trashed.id}]], [[#999]] and [[Nowhere]]`);
+      await createNote('Scratch', '[[Also nowhere]]').then(note => api.delete(`/api/notes/${note.id}`));
+
+      expect((await api.get('/api/links/broken')).body).toEqual([{ reference: '#999', source: { id: source.id, title: 'Index' } }, {
+        reference: 'Nowhere', source: { id: source.id, title: 'Index' }
+      }]);
+
+      await api.delete(`/api/notes/${trashed.id}`);
+      expect((await api.get('/api/links/broken')).body.map(link => link.reference)).toEqual(['Drafts', `#${trashed.id}`, '#999', 'Nowhere']);
+      await api.post(`/api/notes/${trashed.id}/restore`);
+      expect((await api.get('/api/links/broken')).body).toHaveLength(2);
+    });
+
+    test('should keep links between a user\'s own notes', async () => {
+      const note = await createNote('Private', 'Secret');
+      const { api: other } = await global.testUtils.registerUser(app);
+      const { body: theirs } = await other.post('/api/notes').send({ title: 'Mine', content: `[[Private]] and [[#${note.id}]]` });
+
+      expect((await other.get(`/api/notes/${theirs.id}/links`)).body.map(link => link.note)).toEqual([null, null]);
+      expect((await api.get(`/api/notes/${note.id}/backlinks`)).body).toEqual([]);
+      expect((await other.get(`/api/notes/${note.id}/links`)).status).toBe(404);
+      expect((await other.get(`/api/notes/${note.id}/backlinks`)).status).toBe(404);
+      expect((await other.get('/api/links/broken')).body).toHaveLength(2);
+      expect((await request(app).get('/api/links/broken')).status).toBe(401);
+    });
+  });
+
+  describe('Rate limit buckets', () => {
+    const { createStorageStore } = require('../lib/ratelimit');
+    const limit = { capacity: 2, windowMs: 1000 };
+
+    test('takes tokens, refills them and prunes idle buckets', async () => {
+      const store = createStorageStore(async () => app.getDB());
+
+      expect(await store.take('write:ip:10.0.0.1', limit, 1000)).toEqual({ allowed: true, tokens: 1 });
+      expect(await store.take('write:ip:10.0.0.1', limit, 1000)).toEqual({ allowed: true, tokens: 0 });
+      expect(await store.take('write:ip:10.0.0.1', limit, 1250)).toEqual({ allowed: false, tokens: 0.5 });
+      expect(await store.take('write:ip:10.0.0.1', limit, 1500)).toEqual({ allowed: true, tokens: 0 });
+      expect(await store.take('write:ip:10.0.0.2', limit, 1500)).toEqual({ allowed: true, tokens: 1 });
+
+      expect(await store.prune(1500)).toBe(0);
+      expect(await store.prune(1501)).toBe(2);
+      expect(await store.take('write:ip:10.0.0.1', limit, 1600)).toEqual({ allowed: true, tokens: 1 });
+    });
+
+    test('never hands out more tokens than the bucket holds to concurrent requests', async () => {
+      const store = createStorageStore(async () => app.getDB());
+      const results = await Promise.all(Array.from({ length: 5 }, () => store.take('write:user:1', limit, 1000)));
+      expect(results.filter(result => result.allowed)).toHaveLength(2);
+    });
+  });
 });
@@ -0,0 +1,29 @@
+const { parseLinks, rewriteLinks } = require('../lib/links');
+
+describe('Wiki links', () => {
+  test('should find title and id links once each, in order', () => {
+    const content = 'See [[Meeting notes]] and [[#42]], then [[ meeting NOTES ]] and [[#42]] again.\n[[Roadmap]]';
+    expect(parseLinks(content)).toEqual([
+      { targetId: null, title: 'Meeting notes' },
+      { targetId: 42, title: null },
+      { targetId: null, title: 'Roadmap' }
+    ]);
+  });
+
+  test('should skip code, empty brackets and references that can\'t be notes', () => {
+    const content = [
+      'Run `[[ -f x ]]` first',
+      '```sh\nif [[ -n "$A" ]]; then echo; fi\n```',
+      '[[ ]] [[#0]] [[#99999999999]] [[a\nb]]',
+      `[[${'x'.repeat(256)}]]`,
+      '[[#12abc]]'
+    ].join('\n');
+    expect(parseLinks(content)).toEqual([{ targetId: null, title: '#12abc' }]);
+    expect(parseLinks(null)).toEqual([]);
+  });
+
+  test('should rewrite links to a title, whatever their case, and nothing else', () => {
+    const content = '[[Old]], [[ old ]], [[Older]], [[#3]] and `[[Old]]`';
+    expect(rewriteLinks(content, 'Old', 'New')).toBe('[[New]], [[New]], [[Older]], [[#3]] and `[[Old]]`');
+  });
+});
@@ -0,0 +1,65 @@
+const { logger, createLogger, configure } = require('../lib/logger');
+
+describe('Logger', () => {
+  let previous;
+
+  afterEach(() => {
+    configure(previous);
+  });
+
+  function capture(level) {
+    const lines = [];
+    previous = configure({ level, destination: line => lines.push(line) });
+    return lines;
+  }
+
+  test('should write one JSON object per line', () => {
+    const lines = capture('info');
+    logger.info('Server running', { port: 3000 });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].endsWith('\n')).toBe(true);
+    const entry = JSON.parse(lines[0]);
+    expect(entry).toEqual({ level: 'info', timestamp: expect.any(String), message: 'Server running', port: 3000 });
+  });
+
+  test('should drop lines below the configured level', () => {
+    const lines = capture('warn');
+    logger.debug('noise');
+    logger.info('still noise');
+    logger.warn('careful');
+    logger.error('broken');
+
+    expect(lines.map(line => JSON.parse(line).level)).toEqual(['warn', 'error']);
+
+    configure({ level: 'silent' });
+    logger.error('nobody hears this');
+    expect(lines).toHaveLength(2);
+  });
+
+  test('should serialize errors with their message, code and stack', () => {
+    const lines = capture('info');
+    const error = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+    logger.error('Database error', { error });
+
+    expect(JSON.parse(lines[0]).error).toEqual({
+      name: 'Error',
+      message: 'connection refused',
+      code: 'ECONNREFUSED',
+      stack: expect.stringContaining('connection refused')
+    });
+  });
+
+  test('should add a child logger\'s bindings to every line', () => {
+    const lines = capture('debug');
+    const child = createLogger({ component: 'webhooks' }).child({ webhookId: 7 });
+    child.debug('Delivering', { attempt: 2 });
+
+    expect(JSON.parse(lines[0])).toMatchObject({ level: 'debug', component: 'webhooks', webhookId: 7, attempt: 2 });
+  });
+
+  test('should reject unknown levels', () => {
+    previous = configure();
+    expect(() => configure({ level: 'verbose' })).toThrow('Unknown log level');
+  });
+});
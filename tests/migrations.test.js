@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMigrator, loadMigrations } = require('../lib/migrations');
+
+// Just enough of a MySQL connection to track schema_migrations bookkeeping
+function createFakeDB() {
+  const applied = new Map();
+  const connection = {
+    execute: jest.fn(async (sql, params = []) => {
+      if (sql.includes('SELECT version')) {
+        return [[...applied].map(([version, applied_at]) => ({ version, applied_at }))];
+      }
+      if (sql.includes('INSERT INTO schema_migrations')) {
+        applied.set(params[0], new Date());
+      }
+      if (sql.includes('DELETE FROM schema_migrations')) {
+        applied.delete(params[0]);
+      }
+      return [{}];
+    }),
+    query: jest.fn(async () => [[{ locked: 1 }]]),
+    release: jest.fn()
+  };
+  return {
+    applied,
+    connection,
+    execute: connection.execute,
+    getConnection: jest.fn(async () => connection)
+  };
+}
+
+describe('Schema migrations', () => {
+  let directory;
+  let calls;
+
+  function writeMigration(file, name) {
+    fs.writeFileSync(path.join(directory, file), `
+      module.exports = {
+        up: async () => global.migrationCalls.push('up ${name}'),
+        down: async () => global.migrationCalls.push('down ${name}')
+      };
+    `);
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    calls = global.migrationCalls = [];
+    writeMigration('002_add_tags.js', 'tags');
+    writeMigration('001_create_notes.js', 'notes');
+    writeMigration('010_add_users.js', 'users');
+    fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete global.migrationCalls;
+  });
+
+  test('loads numbered migration files in order', () => {
+    expect(loadMigrations(directory).map(m => `${m.version}_${m.name}`))
+      .toEqual(['001_create_notes', '002_add_tags', '010_add_users']);
+  });
+
+  test('ships the notes table as migration 001', () => {
+    const [first] = loadMigrations(path.join(__dirname, '..', 'migrations'));
+    expect(first).toMatchObject({ version: '001', name: 'create_notes' });
+  });
+
+  test('applies pending migrations once, in order', async () => {
+    const db = createFakeDB();
+    const migrator = createMigrator(db, { directory });
+
+    expect(await migrator.pending()).toHaveLength(3);
+    await migrator.migrate();
+    expect(calls).toEqual(['up notes', 'up tags', 'up users']);
+    expect(await migrator.pending()).toHaveLength(0);
+
+    await migrator.migrate();
+    expect(calls).toHaveLength(3);
+  });
+
+  test('holds a named lock while migrating', async () => {
+    const db = createFakeDB();
+    await createMigrator(db, { directory }).migrate();
+
+    expect(db.connection.query).toHaveBeenCalledWith(expect.stringContaining('GET_LOCK'), expect.any(Array));
+    expect(db.connection.query).toHaveBeenCalledWith(expect.stringContaining('RELEASE_LOCK'), expect.any(Array));
+    expect(db.connection.release).toHaveBeenCalled();
+  });
+
+  test('fails when the lock cannot be acquired', async () => {
+    const db = createFakeDB();
+    db.connection.query.mockResolvedValueOnce([[{ locked: 0 }]]);
+
+    await expect(createMigrator(db, { directory }).migrate()).rejects.toThrow('another process');
+    expect(calls).toEqual([]);
+    expect(db.connection.release).toHaveBeenCalled();
+  });
+
+  test('reports status of applied and pending migrations', async () => {
+    const db = createFakeDB();
+    db.applied.set('001', new Date('2024-01-01T00:00:00Z'));
+
+    const status = await createMigrator(db, { directory }).status();
+    expect(status.map(m => [m.version, Boolean(m.applied_at)]))
+      .toEqual([['001', true], ['002', false], ['010', false]]);
+  });
+
+  test('rolls back the most recent migrations', async () => {
+    const db = createFakeDB();
+    const migrator = createMigrator(db, { directory });
+    await migrator.migrate();
+
+    const undone = await migrator.rollback(2);
+    expect(undone.map(m => m.version)).toEqual(['010', '002']);
+    expect(calls.slice(3)).toEqual(['down users', 'down tags']);
+    expect([...db.applied.keys()]).toEqual(['001']);
+  });
+
+  test('refuses to roll back a migration whose file is gone', async () => {
+    const db = createFakeDB();
+    db.applied.set('099', new Date());
+
+    await expect(createMigrator(db, { directory }).rollback()).rejects.toThrow('missing');
+  });
+});
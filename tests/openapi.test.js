@@ -0,0 +1,330 @@
+const request = require('supertest');
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { document } = require('../lib/openapi');
+
+// Routes that aren't part of the API: the app, the docs page and the shared note pages
+const UNDOCUMENTED = ['GET /', 'GET /api/docs', 'GET /s/{token}', 'POST /s/{token}'];
+
+// '/api/notes/:id' for a router mounted there: express keeps only the pattern it compiled
+function mountPath(layer) {
+  return layer.keys
+    .reduce((source, key) => source.replace('(?:\\/([^/]+?))', `/:${key.name}`), layer.regexp.source)
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/');
+}
+
+// Every route of the app as { key: 'GET /api/notes/{id}', handlers }
+function listRoutes(app) {
+  const routes = [];
+  const walk = (stack, prefix) => stack.forEach((layer) => {
+    if (layer.route) {
+      const path = `${prefix}${layer.route.path}`.replace(/(.)\/$/, '$1').replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods).forEach((method) => {
+        routes.push({ key: `${method.toUpperCase()} ${path}`, handlers: layer.route.stack.map(entry => entry.handle) });
+      });
+    } else if (layer.name === 'router') {
+      walk(layer.handle.stack, prefix + mountPath(layer));
+    }
+  });
+  walk(app._router.stack, '');
+  return routes.filter(route => !UNDOCUMENTED.includes(route.key));
+}
+
+const operations = Object.entries(document.paths).flatMap(([path, item]) =>
+  Object.entries(item).map(([method, operation]) => ({
+    key: `${method.toUpperCase()} ${path}`,
+    method,
+    path,
+    operation,
+    pattern: new RegExp(`^${path.replace(/\{\w+\}/g, '[^/]+')}$`)
+  })));
+
+describe('OpenAPI document', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = require('../index');
+    await app.initDB({ driver: 'memory' });
+  });
+
+  afterAll(async () => {
+    await app.closeDB();
+  });
+
+  test('should be served as JSON with a docs page', async () => {
+    const response = await request(app).get('/api/openapi.json');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ openapi: '3.1.0', info: { title: 'Notes API' } });
+    expect(response.body.paths['/api/notes/{id}'].put.requestBody.content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/NoteInput' });
+
+    const docs = await request(app).get('/api/docs');
+    expect(docs.status).toBe(200);
+    expect(docs.text).toContain('/api/openapi.json');
+    expect((await request(app).get('/api/docs/swagger-ui-bundle.js')).status).toBe(200);
+  });
+
+  test('should describe every route, and only those', () => {
+    const routes = listRoutes(app).map(route => route.key).sort();
+    expect(routes).toEqual(operations.map(({ key }) => key).sort());
+  });
+
+  test('should validate each route against its own operation', () => {
+    const byKey = new Map(operations.map(entry => [entry.key, entry.operation]));
+    for (const route of listRoutes(app)) {
+      const { operationId, parameters, requestBody } = byKey.get(route.key);
+      const validators = route.handlers.filter(handler => handler.operationId).map(handler => handler.operationId);
+      // Operations with nothing to check may go without
+      expect({ route: route.key, validators }).toEqual({
+        route: route.key,
+        validators: parameters || requestBody ? [operationId] : expect.any(Array)
+      });
+      validators.forEach(id => expect(id).toBe(operationId));
+    }
+  });
+
+  test('should describe the batch operations the server accepts', () => {
+    const { parseBatch } = require('../lib/batch');
+    const ajv = new Ajv({ allowUnionTypes: true });
+    addFormats(ajv);
+    ajv.addVocabulary(Object.keys(document));
+    ajv.addSchema(document, 'openapi.json');
+    const schema = name => ajv.compile({ $ref: `openapi.json#/components/schemas/${name}` });
+
+    const examples = {
+      BatchCreate: { op: 'create', title: 'New', content: 'Body', tags: ['ops'] },
+      BatchUpdate: { op: 'update', id: 4, content: 'Edited', version: 3 },
+      BatchDelete: { op: 'delete', id: 7, version: 2 }
+    };
+    Object.entries(examples).forEach(([name, example]) => expect(schema(name)(example)).toBe(true));
+    expect(schema('BatchUpdate')({ op: 'update', id: 4, version: 'latest' })).toBe(false);
+
+    // The documented version is the precondition the batch applies
+    const { operations: [, update, remove] } = parseBatch({ operations: Object.values(examples) });
+    expect(update.ifMatch).toEqual([3]);
+    expect(remove.ifMatch).toEqual([2]);
+  });
+});
+
+describe('API contract', () => {
+  let app;
+  let api;
+  const ajv = new Ajv({ allowUnionTypes: true });
+  addFormats(ajv);
+  ajv.addVocabulary(Object.keys(document));
+  ajv.addSchema(document, 'openapi.json');
+  const covered = new Set();
+
+  // Problems with a response: an undocumented route or status, or a body not matching its schema
+  function violations(response) {
+    const { method, path } = response.req;
+    const pathname = path.split('?')[0];
+    const match = operations.find(entry => entry.method === method.toLowerCase() && entry.pattern.test(pathname));
+    if (!match) {
+      return [`${method} ${pathname} is not in the document`];
+    }
+    covered.add(match.operation.operationId);
+
+    // Where the response is in the document, for ajv to resolve the schema's $refs from
+    let location = ['paths', match.path, match.method, 'responses', response.status];
+    let documented = match.operation.responses[response.status];
+    if (!documented) {
+      return [`${match.key} answered ${response.status}, which is not documented`];
+    }
+    if (documented.$ref) {
+      location = documented.$ref.split('/').slice(1);
+      documented = document.components.responses[location[location.length - 1]];
+    }
+    const contentType = (response.headers['content-type'] || '').split(';')[0];
+    if (!documented.content) {
+      return response.status === 304 || !response.text ? [] : [`${match.key} ${response.status} should have no body`];
+    }
+    if (!documented.content[contentType] && !documented.content['*/*']) {
+      return [`${match.key} ${response.status} answered ${contentType}`];
+    }
+    if (contentType !== 'application/json' || !documented.content[contentType]) {
+      return [];
+    }
+    const pointer = [...location, 'content', contentType, 'schema']
+      .map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+      .join('/');
+    const validateBody = ajv.compile({ $ref: `openapi.json#/${pointer}` });
+    return validateBody(response.body)
+      ? []
+      : validateBody.errors.map(error => `${match.key} ${response.status}: ${error.instancePath} ${error.message}`);
+  }
+
+  async function expectDocumented(pending) {
+    const response = await pending;
+    expect(violations(response)).toEqual([]);
+    return response;
+  }
+
+  beforeAll(async () => {
+    app = require('../index');
+    await app.initDB({ driver: 'memory' });
+  });
+
+  beforeEach(async () => {
+    await app.getDB().clear();
+  });
+
+  afterAll(async () => {
+    await app.closeDB();
+  });
+
+  test('should answer every operation as documented', async () => {
+    const credentials = { email: 'contract@example.com', password: 'correct horse battery staple' };
+    const session = (await expectDocumented(request(app).post('/api/auth/register').send(credentials))).body;
+    api = request.agent(app).set('Authorization', `Bearer ${session.accessToken}`);
+    await expectDocumented(request(app).post('/api/auth/register').send(credentials));
+    await expectDocumented(request(app).post('/api/auth/login').send({ ...credentials, password: 'wrong password' }));
+    const login = await expectDocumented(request(app).post('/api/auth/login').send(credentials));
+    const refreshed = await expectDocumented(request(app).post('/api/auth/refresh').send({ refreshToken: login.body.refreshToken }));
+    await expectDocumented(request(app).post('/api/auth/logout').send({ refreshToken: refreshed.body.refreshToken }));
+    await expectDocumented(request(app).get('/api/auth/me'));
+    await expectDocumented(api.get('/api/auth/me'));
+
+    const note = (await expectDocumented(api.post('/api/notes').send({ title: 'Plan', content: 'one', tags: ['work'] }))).body;
+    await expectDocumented(api.post('/api/notes').send({ title: '' }));
+    await expectDocumented(api.get('/api/notes').query({ render: 'html', limit: 1 }));
+    await expectDocumented(api.get('/api/notes/search').query({ q: 'plan' }));
+    const fetched = await expectDocumented(api.get(`/api/notes/${note.id}`));
+    await expectDocumented(api.get(`/api/notes/${note.id}`).set('If-None-Match', fetched.headers.etag));
+    await expectDocumented(api.get('/api/notes/999'));
+    await expectDocumented(api.put(`/api/notes/${note.id}`).send({ title: 'Plan', content: 'one\ntwo' }));
+    await expectDocumented(api.patch(`/api/notes/${note.id}`).set('If-Match', fetched.headers.etag).send({ content: 'stale' }));
+    await expectDocumented(api.patch(`/api/notes/${note.id}`).send({ content: 'one\ntwo\nthree' }));
+    await expectDocumented(api.post('/api/notes/batch').send({ operations: [{ op: 'create', title: 'B', content: 'b' }] }));
+    await expectDocumented(api.post('/api/notes/batch').send({ operations: [{ op: 'delete', id: 999 }] }));
+    await expectDocumented(api.post('/api/notes/batch').send({ operations: [{ op: 'update', id: note.id, title: 'Stale', version: 99 }] }));
+    await expectDocumented(api.post('/api/notes/batch').send({ operations: [{ op: 'explode' }] }));
+
+    await expectDocumented(api.get(`/api/notes/${note.id}/revisions`));
+    await expectDocumented(api.get(`/api/notes/${note.id}/revisions/1`));
+    await expectDocumented(api.get(`/api/notes/${note.id}/revisions/3/diff`));
+    await expectDocumented(api.get(`/api/notes/${note.id}/revisions/3/diff`).query({ from: 1 }));
+    await expectDocumented(api.post(`/api/notes/${note.id}/revisions/1/restore`));
+
+    await expectDocumented(api.post('/api/render').send({ content: '**bold**' }));
+    await expectDocumented(api.get('/api/tags'));
+    await expectDocumented(api.patch('/api/tags/work').send({ name: 'job' }));
+    await expectDocumented(api.post('/api/tags/merge').send({ sources: ['job'], target: 'work' }));
+    await expectDocumented(api.delete('/api/tags/work'));
+
+    await expectDocumented(api.get('/api/export'));
+    await expectDocumented(api.get('/api/export').query({ format: 'csv' }));
+    await expectDocumented(api.post('/api/import').query({ format: 'json' }).send([{ title: 'Imported', content: 'x' }]));
+    await expectDocumented(api.get('/api/events').query({ render: 'pdf' }));
+
+    const share = (await expectDocumented(api.post(`/api/notes/${note.id}/shares`).send({ password: 'open sesame' }))).body;
+    await expectDocumented(api.post(`/api/notes/${note.id}/shares`).send({ expires_at: '2000-01-01T00:00:00Z' }));
+    await expectDocumented(api.get(`/api/notes/${note.id}/shares`));
+    await expectDocumented(request(app).get(`/api/shares/${share.token}`));
+    await expectDocumented(request(app).get(`/api/shares/${share.token}`).set('X-Share-Password', 'open sesame').query({ render: 'html' }));
+    await expectDocumented(request(app).get('/api/shares/not-a-token'));
+    await expectDocumented(api.delete(`/api/notes/${note.id}/shares/${share.id}`));
+    await expectDocumented(request(app).get(`/api/shares/${share.token}`));
+
+    const [attachment] = (await expectDocumented(api.post(`/api/notes/${note.id}/attachments`).attach('file', Buffer.from('log line\n'), 'app.log'))).body;
+    await expectDocumented(api.post(`/api/notes/${note.id}/attachments`).attach('file', Buffer.from('<svg/>'), { filename: 'x.exe', contentType: 'application/x-msdownload' }));
+    await expectDocumented(api.get(`/api/notes/${note.id}/attachments`));
+    const download = await expectDocumented(api.get(`/api/notes/${note.id}/attachments/${attachment.id}`));
+    await expectDocumented(api.get(`/api/notes/${note.id}/attachments/${attachment.id}`).set('If-None-Match', download.headers.etag));
+    await expectDocumented(api.get(`/api/notes/${note.id}/attachments/${attachment.id}`).set('Range', 'bytes=0-2'));
+    await expectDocumented(api.get(`/api/notes/${note.id}/attachments/${attachment.id}`).set('Range', 'bytes=100-'));
+    await expectDocumented(api.delete(`/api/notes/${note.id}/attachments/${attachment.id}`));
+    await expectDocumented(api.get(`/api/notes/${note.id}/attachments/${attachment.id}`));
+
+    const { body: linking } = await expectDocumented(api.post('/api/notes').send({ title: 'Index', content: `[[#${note.id}]] and [[Missing]]` }));
+    await expectDocumented(api.get(`/api/notes/${linking.id}/links`));
+    await expectDocumented(api.get(`/api/notes/${note.id}/backlinks`));
+    await expectDocumented(api.get('/api/notes/999999/backlinks'));
+    await expectDocumented(api.get('/api/links/broken'));
+
+    await expectDocumented(api.delete(`/api/notes/${note.id}`));
+    await expectDocumented(api.get('/api/trash'));
+    await expectDocumented(api.post(`/api/notes/${note.id}/restore`));
+    await expectDocumented(api.delete(`/api/notes/${note.id}`));
+    await expectDocumented(api.delete(`/api/trash/${note.id}`));
+    const changes = await expectDocumented(api.get('/api/notes/changes').query({ render: 'html' }));
+    await expectDocumented(api.get('/api/notes/changes').query({ since: changes.body.synced_at }));
+    await expectDocumented(api.get('/api/notes/changes').query({ since: 'yesterday' }));
+
+    const webhook = (await expectDocumented(api.post('/api/webhooks').send({ url: 'http://127.0.0.1:9/hook' }))).body;
+    await expectDocumented(api.get('/api/webhooks'));
+    await expectDocumented(api.get(`/api/webhooks/${webhook.id}`));
+    await expectDocumented(api.patch(`/api/webhooks/${webhook.id}`).send({ active: false }));
+    await expectDocumented(api.get(`/api/webhooks/${webhook.id}/deliveries`));
+    await expectDocumented(api.delete(`/api/webhooks/${webhook.id}`));
+
+    await expectDocumented(request(app).get('/api/openapi.json'));
+    await expectDocumented(request(app).get('/health'));
+    await expectDocumented(request(app).get('/health/live'));
+    await expectDocumented(request(app).get('/health/ready'));
+    await expectDocumented(request(app).get('/metrics'));
+
+    const untested = operations.map(({ operation }) => operation.operationId).filter(id => !covered.has(id));
+    expect(untested).toEqual([]);
+  });
+});
+
+describe('Request validation', () => {
+  let app;
+  let api;
+
+  beforeAll(async () => {
+    app = require('../index');
+    await app.initDB({ driver: 'memory' });
+  });
+
+  beforeEach(async () => {
+    await app.getDB().clear();
+    ({ api } = await global.testUtils.registerUser(app));
+  });
+
+  afterAll(async () => {
+    await app.closeDB();
+  });
+
+  test('should list every problem with the body', async () => {
+    const response = await api.post('/api/notes').send({ title: 'x'.repeat(256), tags: ['ok', 7] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('content is required');
+    expect(response.body.details).toEqual([
+      { in: 'body', field: 'content', message: 'is required' },
+      { in: 'body', field: 'title', message: 'must be at most 255 characters' },
+      { in: 'body', field: 'tags[1]', message: 'must be a string' }
+    ]);
+    expect(response.body.requestId).toBe(response.headers['x-request-id']);
+  });
+
+  test('should check ids and query parameters', async () => {
+    const id = await api.get('/api/notes/abc');
+    expect(id.status).toBe(400);
+    expect(id.body.details).toEqual([{ in: 'path', field: 'id', message: 'must be an integer' }]);
+
+    expect((await api.delete('/api/notes/0')).body.error).toBe('id must be at least 1');
+    expect((await api.get('/api/webhooks/99999999999')).body.error).toBe('id must be at most 2147483647');
+    expect((await api.get('/api/notes').query({ limit: 500 })).body.error).toBe('limit must be at most 200');
+    expect((await api.get('/api/notes').query({ sort: 'content' })).body.error)
+      .toBe('sort must be one of: created_at, updated_at, title');
+    // Numbers in the query string are still numbers
+    expect((await api.get('/api/notes').query({ limit: 5 })).status).toBe(200);
+  });
+
+  test('should take the same rules for partial updates', async () => {
+    const created = await api.post('/api/notes').send({ title: 'Title', content: 'Body' });
+
+    const response = await api.patch(`/api/notes/${created.body.id}`).send({ title: 42, format: 'html' });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      { in: 'body', field: 'title', message: 'must be a string' },
+      { in: 'body', field: 'format', message: 'must be one of: plain, markdown' }
+    ]);
+    expect((await api.patch(`/api/notes/${created.body.id}`).send({ title: 'Renamed' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,35 @@
+const { parseListQuery, encodeCursor, DEFAULT_LIMIT } = require('../lib/pagination');
+const { BadRequestError } = require('../lib/errors');
+
+describe('Pagination query parsing', () => {
+  test('defaults to newest first with the default page size', () => {
+    expect(parseListQuery({})).toMatchObject({ sort: 'created_at', order: 'desc', limit: DEFAULT_LIMIT });
+  });
+
+  test('defaults title sorting to ascending', () => {
+    expect(parseListQuery({ sort: 'title' })).toMatchObject({ order: 'asc' });
+  });
+
+  test('round-trips cursors, restoring dates', () => {
+    const note = { id: 7, created_at: new Date('2024-05-01T10:00:00Z') };
+    const options = { sort: 'created_at', order: 'desc' };
+    const cursor = encodeCursor(note, options);
+
+    expect(parseListQuery({ cursor }).after).toEqual({ id: 7, pinned: false, value: note.created_at });
+    const pinned = encodeCursor({ ...note, pinned: true }, options);
+    expect(parseListQuery({ cursor: pinned }).after).toMatchObject({ id: 7, pinned: true });
+  });
+
+  test('leaves archived notes out unless asked for', () => {
+    expect(parseListQuery({}).archived).toBe(false);
+    expect(parseListQuery({ archived: 'true' }).archived).toBe(true);
+    expect(parseListQuery({ archived: 'all' }).archived).toBeUndefined();
+    expect(() => parseListQuery({ archived: 'yes' })).toThrow('archived must be one of: false, true, all');
+  });
+
+  test('throws BadRequestError for invalid input', () => {
+    expect(() => parseListQuery({ limit: '500' })).toThrow(BadRequestError);
+    expect(() => parseListQuery({ sort: ['title', 'created_at'] })).toThrow(BadRequestError);
+    expect(() => parseListQuery({ updated_since: 'soon' })).toThrow('updated_since');
+  });
+});
@@ -2,14 +2,6 @@ const http = require('http');
 const { spawn } = require('child_process');
 const request = require('supertest');
 
-// Mock the database connection for performance tests
-jest.mock('mysql2/promise', () => ({
-  createConnection: jest.fn(() => Promise.resolve({
-    execute: jest.fn(() => Promise.resolve([[], {}])),
-    end: jest.fn(() => Promise.resolve())
-  }))
-}));
-
 const app = require('../index');
 
 // Simple performance test without external dependencies
@@ -18,7 +10,7 @@ async function performanceTest() {
   
   // Start the application
   const appProcess = spawn('node', ['index.js'], {
-    env: { ...process.env, NODE_ENV: 'test', PORT: '3001' },
+    env: { ...process.env, NODE_ENV: 'test', PORT: '3001', STORAGE_DRIVER: 'memory' },
     stdio: 'pipe'
   });
 
@@ -155,6 +147,12 @@ if (require.main === module) {
 }
 
 describe('Performance Tests', () => {
+  let api;
+
+  beforeAll(async () => {
+    ({ api } = await global.testUtils.registerUser(app));
+  });
+
   describe('Response Time Tests', () => {
     test('Health check responds within 100ms', async () => {
       const start = Date.now();
@@ -166,7 +164,7 @@ describe('Performance Tests', () => {
 
     test('API endpoints respond within 500ms', async () => {
       const start = Date.now();
-      await request(app).get('/api/notes');
+      await api.get('/api/notes');
       const responseTime = Date.now() - start;
       
       expect(responseTime).toBeLessThan(500);
@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+const { signAccessToken } = require('../lib/auth');
+const { takeToken, createMemoryStore, createStorageStore, createRateLimiter } = require('../lib/ratelimit');
+const { createStorage } = require('../lib/storage');
+
+describe('Token buckets', () => {
+  const limit = { capacity: 2, windowMs: 1000 };
+
+  test('should start full, empty one token at a time and refill over the window', () => {
+    let result = takeToken(undefined, limit, 0);
+    expect(result).toMatchObject({ allowed: true, tokens: 1 });
+    result = takeToken(result.bucket, limit, 0);
+    expect(result).toMatchObject({ allowed: true, tokens: 0 });
+    result = takeToken(result.bucket, limit, 250);
+    expect(result).toMatchObject({ allowed: false, tokens: 0.5 });
+    result = takeToken(result.bucket, limit, 500);
+    expect(result).toMatchObject({ allowed: true, tokens: 0 });
+    // Never more than the capacity
+    expect(takeToken(result.bucket, limit, 60000)).toMatchObject({ allowed: true, tokens: 1 });
+  });
+});
+
+describe('Rate limiter', () => {
+  let now;
+  let store;
+
+  function createApp(options = {}) {
+    const app = express();
+    app.use(createRateLimiter({ store, windowMs: 60000, readMax: 3, writeMax: 1, now: () => now, ...options }));
+    app.get('/notes', (req, res) => res.json([]));
+    app.post('/notes', (req, res) => res.status(201).json({}));
+    return app;
+  }
+
+  beforeEach(() => {
+    now = 1000000;
+    store = createMemoryStore();
+  });
+
+  test('should report the budget and answer 429 with Retry-After once it is spent', async () => {
+    const app = createApp();
+
+    const first = await request(app).get('/notes');
+    expect(first.status).toBe(200);
+    expect(first.headers).toMatchObject({
+      'ratelimit-policy': '3;w=60',
+      'ratelimit-limit': '3',
+      'ratelimit-remaining': '2',
+      'ratelimit-reset': '20'
+    });
+    await request(app).get('/notes');
+    await request(app).get('/notes');
+
+    const limited = await request(app).get('/notes');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('20');
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(limited.body.error).toMatch(/^Too many requests/);
+
+    now += 20000;
+    expect((await request(app).get('/notes')).status).toBe(200);
+  });
+
+  test('should keep separate budgets for reads and writes', async () => {
+    const app = createApp();
+
+    expect((await request(app).post('/notes')).status).toBe(201);
+    expect((await request(app).post('/notes')).status).toBe(429);
+    expect((await request(app).get('/notes')).status).toBe(200);
+  });
+
+  test('should key signed-in clients by user rather than address', async () => {
+    const app = createApp();
+    const ada = `Bearer ${signAccessToken({ id: 1, email: 'ada@example.com' })}`;
+    const grace = `Bearer ${signAccessToken({ id: 2, email: 'grace@example.com' })}`;
+
+    expect((await request(app).post('/notes').set('Authorization', ada)).status).toBe(201);
+    expect((await request(app).post('/notes').set('Authorization', ada)).status).toBe(429);
+    expect((await request(app).post('/notes').set('Authorization', grace)).status).toBe(201);
+    // Anonymous requests from the same address have their own bucket; a bad token counts as one
+    expect((await request(app).post('/notes')).status).toBe(201);
+    expect((await request(app).post('/notes').set('Authorization', 'Bearer forged')).status).toBe(429);
+  });
+
+  test('should let requests through when the store fails', async () => {
+    store = { take: () => Promise.reject(new Error('store down')), prune: () => Promise.resolve() };
+    const logs = global.testUtils.captureLogs();
+
+    const response = await request(createApp()).get('/notes');
+    expect(response.status).toBe(200);
+    expect(response.headers).not.toHaveProperty('ratelimit-limit');
+    expect(logs.find(line => line.message.startsWith('Rate limit store failed'))).toMatchObject({ level: 'error' });
+  });
+
+  test('should forget buckets idle for a whole window', async () => {
+    const memory = createMemoryStore();
+    await memory.take('read:ip:a', { capacity: 1, windowMs: 1000 }, 0);
+    await memory.prune(1);
+    expect(await memory.take('read:ip:a', { capacity: 1, windowMs: 1000 }, 1)).toEqual({ allowed: true, tokens: 0 });
+  });
+
+  test('should share buckets through the database store', async () => {
+    const storage = await createStorage('memory');
+    const shared = createStorageStore(async () => storage);
+    const limit = { capacity: 1, windowMs: 1000 };
+
+    expect(await shared.take('write:user:1', limit, 0)).toEqual({ allowed: true, tokens: 0 });
+    expect(await shared.take('write:user:1', limit, 500)).toEqual({ allowed: false, tokens: 0.5 });
+    expect(await shared.prune(1)).toBe(0);
+    expect(await shared.prune(501)).toBe(1);
+  });
+});
@@ -0,0 +1,110 @@
+const { normalizeFormat, wantsHtml, sanitize, renderContent } = require('../lib/render');
+
+// Real tags and attributes (not escaped text) that could run script or load a page
+function unsafeMarkup(html) {
+  const problems = [];
+  for (const [, name, attributes] of html.matchAll(/<([a-z][a-z0-9]*)\b([^>]*)>/gi)) {
+    if (/^(script|iframe|style|svg|object|embed|form)$/i.test(name)) {
+      problems.push(`<${name}>`);
+    }
+    for (const [, attribute, value = ''] of attributes.matchAll(/([^\s=/]+)(?:=("[^"]*"|'[^']*'|[^\s>]+))?/g)) {
+      if (/^on/i.test(attribute) || /^(srcdoc|formaction)$/i.test(attribute)) {
+        problems.push(attribute);
+      }
+      if (/^(href|src)$/i.test(attribute) && !/^["']?(https?:|mailto:)/i.test(value)) {
+        problems.push(`${attribute}=${value}`);
+      }
+    }
+  }
+  return problems;
+}
+
+describe('Markdown rendering', () => {
+  test('should render common markdown', () => {
+    const html = renderContent('# Title\n\nSome **bold** and `code`\n\n```js\nconst a = 1 < 2;\n```', 'markdown');
+
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).toContain('<code>code</code>');
+    expect(html).toContain('<pre><code class="language-js">const a = 1 &lt; 2;');
+  });
+
+  test('should render checklists as read-only checkboxes', () => {
+    const html = renderContent('- [ ] todo\n- [x] done\n- plain', 'markdown');
+
+    expect(html).toContain('<li class="task-list-item"><input type="checkbox" disabled /> todo</li>');
+    expect(html).toContain('<li class="task-list-item"><input type="checkbox" disabled checked /> done</li>');
+    expect(html).toContain('<li>plain</li>');
+  });
+
+  test('should render links with rel attributes and autolink URLs', () => {
+    const html = renderContent('[docs](https://example.com/docs) and https://example.org', 'markdown');
+
+    expect(html).toContain('<a href="https://example.com/docs" rel="nofollow noopener noreferrer">docs</a>');
+    expect(html).toContain('<a href="https://example.org" rel="nofollow noopener noreferrer">https://example.org</a>');
+  });
+
+  test('should keep table alignment', () => {
+    const html = renderContent('| a | b |\n|--:|:-|\n| 1 | 2 |', 'markdown');
+    expect(html).toContain('<th style="text-align:right">a</th>');
+  });
+
+  test('should escape plain text and keep its line breaks', () => {
+    expect(renderContent('a <b>\nnext\n\npara', 'plain')).toBe('<p>a &lt;b&gt;<br>next</p>\n<p>para</p>');
+    expect(renderContent('x')).toBe('<p>x</p>');
+  });
+
+  test.each([
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<a href="javascript:alert(1)">x</a>',
+    '[click](javascript:alert(1))',
+    '[click](JaVaScRiPt:alert(1))',
+    '[click](vbscript:msgbox(1))',
+    '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    '![img](javascript:alert(1))',
+    '<iframe src="https://evil.example"></iframe>',
+    '<svg onload=alert(1)>',
+    '- [ ] <img src=x onerror=alert(1)>',
+    '[x](https://example.com "title\\" onmouseover=\\"alert(1)")',
+    '<style>body{display:none}</style>'
+  ])('should not let markdown inject markup: %s', (content) => {
+    expect(unsafeMarkup(renderContent(content, 'markdown'))).toEqual([]);
+    expect(renderContent(content, 'plain')).not.toMatch(/<(?!\/?(p|br)>)/);
+  });
+
+  test.each([
+    '<script>alert(1)</script><p>ok</p>',
+    '<p onclick="alert(1)">ok</p>',
+    '<a href="javascript:alert(1)">ok</a>',
+    '<img src="javascript:alert(1)" onerror="alert(1)">',
+    '<input type="text" onfocus="alert(1)" autofocus>',
+    '<td style="background:url(javascript:alert(1))">ok</td>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>'
+  ])('should strip dangerous HTML that reaches the sanitizer: %s', (html) => {
+    expect(unsafeMarkup(sanitize(html))).toEqual([]);
+  });
+
+  test('should flag unsafe markup in the test helper itself', () => {
+    expect(unsafeMarkup('<a href="javascript:x" onclick="y">')).toEqual(['href="javascript:x"', 'onclick']);
+    expect(unsafeMarkup('<p>&lt;script&gt; onclick=x</p>')).toEqual([]);
+  });
+
+  test('should only ever keep read-only checkboxes', () => {
+    expect(sanitize('<input type="text" name="x" value="y">')).toBe('<input type="checkbox" disabled />');
+  });
+});
+
+describe('Note formats', () => {
+  test('should accept known formats and pass undefined through', () => {
+    expect(normalizeFormat('markdown')).toBe('markdown');
+    expect(normalizeFormat(undefined)).toBeUndefined();
+    expect(() => normalizeFormat('html')).toThrow('format must be one of: plain, markdown');
+  });
+
+  test('should read ?render=html', () => {
+    expect(wantsHtml({})).toBe(false);
+    expect(wantsHtml({ render: 'html' })).toBe(true);
+    expect(() => wantsHtml({ render: 'pdf' })).toThrow('render must be html');
+  });
+});
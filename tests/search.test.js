@@ -0,0 +1,65 @@
+const { parseSearchQuery, toBooleanQuery, scoreNote, highlight } = require('../lib/search');
+
+describe('Search query parsing', () => {
+  test('parses words, phrases and prefixes', () => {
+    const { terms } = parseSearchQuery('deploy "release notes" kube*');
+    expect(terms).toEqual([
+      { words: ['deploy'], phrase: false, prefix: false },
+      { words: ['release', 'notes'], phrase: true, prefix: false },
+      { words: ['kube'], phrase: false, prefix: true }
+    ]);
+  });
+
+  test('builds a MySQL boolean-mode query requiring every term', () => {
+    expect(toBooleanQuery(parseSearchQuery('deploy "release notes" kube*')))
+      .toBe('+deploy +"release notes" +kube*');
+  });
+
+  test('strips boolean operators from user input', () => {
+    expect(toBooleanQuery(parseSearchQuery('-drop +(table) @foo'))).toBe('+drop +table +foo');
+  });
+
+  test('rejects empty queries', () => {
+    expect(() => parseSearchQuery('')).toThrow('q is required');
+    expect(() => parseSearchQuery('"" ***')).toThrow('at least one word');
+  });
+});
+
+describe('Search scoring and highlighting', () => {
+  const note = { title: 'Kubernetes release', content: 'Steps for the release notes. Release early.' };
+
+  test('requires every term to match', () => {
+    expect(scoreNote(note, parseSearchQuery('release notes'))).toBeGreaterThan(0);
+    expect(scoreNote(note, parseSearchQuery('release docker'))).toBe(0);
+  });
+
+  test('matches phrases only as consecutive words', () => {
+    expect(scoreNote(note, parseSearchQuery('"release notes"'))).toBeGreaterThan(0);
+    expect(scoreNote(note, parseSearchQuery('"notes steps"'))).toBe(0);
+  });
+
+  test('matches prefixes', () => {
+    expect(scoreNote(note, parseSearchQuery('kube*'))).toBeGreaterThan(0);
+    expect(scoreNote(note, parseSearchQuery('kube'))).toBe(0);
+  });
+
+  test('ranks title matches above content matches', () => {
+    const query = parseSearchQuery('kubernetes');
+    const inTitle = scoreNote({ title: 'Kubernetes', content: '' }, query);
+    const inContent = scoreNote({ title: 'Other', content: 'kubernetes' }, query);
+    expect(inTitle).toBeGreaterThan(inContent);
+  });
+
+  test('wraps matches in <mark> and escapes everything else', () => {
+    const html = highlight('<b>Release</b> & release-notes', parseSearchQuery('release'), { whole: true });
+    expect(html).toBe('&lt;b&gt;<mark>Release</mark>&lt;/b&gt; &amp; <mark>release</mark>-notes');
+  });
+
+  test('trims long content to a snippet around the first match', () => {
+    const text = `${'a '.repeat(100)}needle${' b'.repeat(100)}`;
+    const snippet = highlight(text, parseSearchQuery('needle'), { radius: 10 });
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>needle</mark>');
+  });
+});
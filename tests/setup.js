@@ -2,18 +2,24 @@
 process.env.NODE_ENV = 'test';
 process.env.PORT = '3001';
 
+// Default to the in-memory backend so suites don't need a live MySQL
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+// Attachment files go to a scratch directory, and small limits keep the size tests quick
+process.env.ATTACHMENT_DIR = require('path').join(require('os').tmpdir(), `notes-app-test-attachments-${process.pid}`);
+process.env.ATTACHMENT_MAX_MB = '1';
+
 // Set test database environment variables
 process.env.DB_HOST = process.env.TEST_DB_HOST || 'localhost';
 process.env.DB_USER = process.env.TEST_DB_USER || 'root';
 process.env.DB_PASSWORD = process.env.TEST_DB_PASSWORD || 'password';
 process.env.DB_NAME = process.env.TEST_DB_NAME || 'notes_app_test';
 
-// Suppress console.log during tests (use Jest's built-in mocking)
-if (process.env.NODE_ENV === 'test') {
-  jest.spyOn(console, 'log').mockImplementation(() => {});
-  jest.spyOn(console, 'error').mockImplementation(() => {});
-  jest.spyOn(console, 'warn').mockImplementation(() => {});
-}
+// Keep log lines out of the test output; testUtils.captureLogs() collects them instead
+const { configure: configureLogger } = require('../lib/logger');
+const discardLogs = () => configureLogger({ destination: () => {} });
+discardLogs();
 
 // Global test utilities
 global.testUtils = {
@@ -23,12 +29,42 @@ global.testUtils = {
     ...overrides
   }),
   
-  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+
+  // Collect log lines, parsed, for the rest of the test; returns the array they go into
+  captureLogs: () => {
+    const entries = [];
+    configureLogger({ destination: line => entries.push(JSON.parse(line)) });
+    return entries;
+  },
+
+  // Register a user and return its tokens plus a supertest agent that sends its access token
+  registerUser: async (app, overrides = {}) => {
+    const request = require('supertest');
+    const credentials = {
+      email: `user-${Math.random().toString(36).slice(2)}@example.com`,
+      password: 'correct horse battery staple',
+      ...overrides
+    };
+    const response = await request(app).post('/api/auth/register').send(credentials);
+    if (response.status !== 201) {
+      throw new Error(`Registration failed: ${response.status} ${JSON.stringify(response.body)}`);
+    }
+    return {
+      ...response.body,
+      credentials,
+      api: request.agent(app).set('Authorization', `Bearer ${response.body.accessToken}`)
+    };
+  }
 };
 
+afterEach(() => {
+  discardLogs();
+});
+
 // Clean up after tests
 afterAll(async () => {
-  // Restore console methods
+  // Restore anything a test spied on
   jest.restoreAllMocks();
   
   // Close any open handles
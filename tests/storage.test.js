@@ -0,0 +1,248 @@
+// MySQL driver behaviour around connection failures, against a mocked pool
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn()
+}));
+
+const mysql = require('mysql2/promise');
+const { createStorage } = require('../lib/storage');
+const retry = require('../lib/retry');
+
+function connectionError(code) {
+  const error = new Error(`connect ${code}`);
+  error.code = code;
+  return error;
+}
+
+function createMockPool() {
+  return {
+    execute: jest.fn(() => Promise.resolve([{ affectedRows: 1, insertId: 1 }, {}])),
+    query: jest.fn(() => Promise.resolve([[{ 1: 1 }], {}])),
+    end: jest.fn(() => Promise.resolve()),
+    pool: {
+      _allConnections: [{}, {}],
+      _freeConnections: [{}],
+      _connectionQueue: []
+    }
+  };
+}
+
+const options = { connectionLimit: 5, migrations: 'skip', retry: { retries: 3, minDelay: 1 } };
+
+describe('retry', () => {
+  test('retries until the operation succeeds', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('first'))
+      .mockResolvedValue('done');
+
+    await expect(retry(operation, { minDelay: 1 })).resolves.toBe('done');
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    const operation = jest.fn().mockRejectedValue(new Error('down'));
+
+    await expect(retry(operation, { retries: 2, minDelay: 1 })).rejects.toThrow('down');
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry errors rejected by shouldRetry', async () => {
+    const operation = jest.fn().mockRejectedValue(new Error('syntax'));
+
+    await expect(retry(operation, { minDelay: 1, shouldRetry: () => false })).rejects.toThrow('syntax');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('MySQL storage driver', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = createMockPool();
+    mysql.createPool.mockReset();
+    mysql.createPool.mockReturnValue(pool);
+  });
+
+  test('uses a connection pool', async () => {
+    await createStorage('mysql', options);
+    expect(mysql.createPool).toHaveBeenCalledWith(expect.objectContaining({ connectionLimit: 5 }));
+    expect(mysql.createPool.mock.calls[0][0]).not.toHaveProperty('retry');
+    expect(mysql.createPool.mock.calls[0][0]).not.toHaveProperty('migrations');
+  });
+
+  test('retries with backoff while MySQL is starting up', async () => {
+    pool.query
+      .mockRejectedValueOnce(connectionError('ECONNREFUSED'))
+      .mockRejectedValueOnce(connectionError('ECONNREFUSED'));
+
+    const storage = await createStorage('mysql', options);
+    expect(storage.driver).toBe('mysql');
+    expect(pool.query).toHaveBeenCalledTimes(3);
+  });
+
+  test('fails and releases the pool when MySQL never comes up', async () => {
+    pool.query.mockRejectedValue(connectionError('ECONNREFUSED'));
+
+    await expect(createStorage('mysql', options)).rejects.toThrow('ECONNREFUSED');
+    expect(pool.end).toHaveBeenCalled();
+  });
+
+  test('retries reads after a lost connection', async () => {
+    const storage = await createStorage('mysql', options);
+    pool.execute
+      .mockRejectedValueOnce(connectionError('PROTOCOL_CONNECTION_LOST'))
+      .mockResolvedValueOnce([[], {}]);
+
+    await expect(storage.notes.get(1, 1)).resolves.toBeNull();
+    expect(pool.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry writes after a lost connection, which may have been applied', async () => {
+    const storage = await createStorage('mysql', options);
+    pool.execute.mockRejectedValueOnce(connectionError('ECONNRESET'));
+
+    await expect(storage.notes.remove(1, 1)).rejects.toThrow('ECONNRESET');
+    expect(pool.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries getting a connection for a transaction', async () => {
+    const connection = {
+      execute: jest.fn(() => Promise.resolve([{ affectedRows: 1, insertId: 1 }, {}])),
+      query: jest.fn(() => Promise.resolve([[], {}])),
+      beginTransaction: jest.fn(() => Promise.resolve()),
+      commit: jest.fn(() => Promise.resolve()),
+      rollback: jest.fn(() => Promise.resolve()),
+      release: jest.fn()
+    };
+    pool.getConnection = jest.fn()
+      .mockRejectedValueOnce(connectionError('ECONNREFUSED'))
+      .mockResolvedValueOnce(connection);
+    const storage = await createStorage('mysql', options);
+
+    await expect(storage.transaction(tx => tx.notes.remove(1, 1))).resolves.toBe(true);
+    expect(pool.getConnection).toHaveBeenCalledTimes(2);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  test('does not retry query errors', async () => {
+    const storage = await createStorage('mysql', options);
+    pool.execute.mockRejectedValueOnce(Object.assign(new Error('bad sql'), { code: 'ER_PARSE_ERROR' }));
+
+    await expect(storage.notes.remove(1, 1)).rejects.toThrow('bad sql');
+  });
+
+  test('lets the guarded UPDATE decide whether a refresh token is consumed', async () => {
+    const storage = await createStorage('mysql', options);
+    pool.execute.mockResolvedValueOnce([{ affectedRows: 0 }, {}]);
+    await expect(storage.users.consumeRefreshToken('used')).resolves.toBeNull();
+    expect(pool.execute).toHaveBeenCalledTimes(1);
+    expect(pool.execute.mock.calls[0][0]).toMatch(/^UPDATE refresh_tokens .* revoked_at IS NULL AND expires_at > NOW\(\)$/);
+
+    pool.execute
+      .mockResolvedValueOnce([{ affectedRows: 1 }, {}])
+      .mockResolvedValueOnce([[{ user_id: 7 }], {}]);
+    await expect(storage.users.consumeRefreshToken('live')).resolves.toBe(7);
+  });
+
+  test('refuses to start while migrations are pending in check mode', async () => {
+    pool.execute.mockImplementation(async (sql) => (sql.includes('SELECT version') ? [[]] : [{}]));
+
+    await expect(createStorage('mysql', { ...options, migrations: 'check' }))
+      .rejects.toThrow('Database schema is behind');
+    expect(pool.end).toHaveBeenCalled();
+  });
+
+  test('reports pool stats', async () => {
+    const storage = await createStorage('mysql', options);
+    await storage.ping();
+
+    expect(pool.query).toHaveBeenCalledWith('SELECT 1', undefined);
+    expect(storage.stats()).toEqual({ limit: 5, total: 2, active: 1, idle: 1, queued: 0 });
+  });
+
+  test('records statement timings and errors for the metrics', async () => {
+    const { registry } = require('../lib/metrics');
+    const value = async (name, labels) => {
+      const { values } = await registry.getSingleMetric(name).get();
+      const found = values.find(entry => Object.entries(labels).every(([key, label]) => entry.labels[key] === label));
+      return found ? found.value : 0;
+    };
+    const storage = await createStorage('mysql', options);
+    const errors = await value('db_query_errors_total', { operation: 'UPDATE', code: 'ER_PARSE_ERROR' });
+    const timed = await value('db_query_duration_seconds', { operation: 'UPDATE', outcome: 'ok' });
+
+    pool.execute.mockRejectedValueOnce(Object.assign(new Error('bad sql'), { code: 'ER_PARSE_ERROR' }));
+    await expect(storage.notes.remove(1, 1)).rejects.toThrow('bad sql');
+    await storage.notes.remove(1, 1);
+
+    expect(await value('db_query_errors_total', { operation: 'UPDATE', code: 'ER_PARSE_ERROR' })).toBe(errors + 1);
+    expect(await value('db_query_duration_seconds', { operation: 'UPDATE', outcome: 'ok' })).toBeGreaterThan(timed);
+  });
+
+  test('runs nested transactions in savepoints', async () => {
+    const connection = {
+      execute: jest.fn(() => Promise.resolve([{ affectedRows: 1, insertId: 1 }, {}])),
+      query: jest.fn(() => Promise.resolve([{}, {}])),
+      beginTransaction: jest.fn(() => Promise.resolve()),
+      commit: jest.fn(() => Promise.resolve()),
+      rollback: jest.fn(() => Promise.resolve()),
+      release: jest.fn()
+    };
+    pool.getConnection = jest.fn(() => Promise.resolve(connection));
+    const storage = await createStorage('mysql', options);
+
+    await storage.transaction(async (tx) => {
+      await tx.transaction(inner => inner.notes.create(1, { title: 'a', content: 'b' }));
+      await expect(tx.transaction(() => Promise.reject(new Error('abort')))).rejects.toThrow('abort');
+    });
+
+    expect(connection.query.mock.calls.map(([sql]) => sql)).toEqual([
+      'SAVEPOINT sp_1',
+      'RELEASE SAVEPOINT sp_1',
+      'SAVEPOINT sp_2',
+      'ROLLBACK TO SAVEPOINT sp_2'
+    ]);
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+});
+
+describe('Memory storage driver', () => {
+  test('rolls back a failed transaction', async () => {
+    const storage = await createStorage('memory');
+    await storage.notes.create(1, { title: 'Kept', content: 'before' });
+
+    await expect(storage.transaction(async (tx) => {
+      const note = await tx.notes.create(1, { title: 'Discarded', content: 'inside' });
+      await tx.tags.setForNote(1, note.id, ['temp']);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect((await storage.notes.list(1)).map(note => note.title)).toEqual(['Kept']);
+    expect(await storage.tags.list(1)).toEqual([]);
+  });
+
+  test('runs nested transactions inline', async () => {
+    const storage = await createStorage('memory');
+    const result = await storage.transaction(tx => tx.transaction(inner => inner.notes.create(1, { title: 'a', content: 'b' })));
+    expect(result).toMatchObject({ id: 1 });
+  });
+
+  test('rolls back only a failed nested transaction', async () => {
+    const storage = await createStorage('memory');
+    await storage.transaction(async (tx) => {
+      await tx.notes.create(1, { title: 'Outer', content: 'kept' });
+      await expect(tx.transaction(async (inner) => {
+        await inner.notes.create(1, { title: 'Inner', content: 'discarded' });
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+    });
+
+    expect((await storage.notes.list(1)).map(note => note.title)).toEqual(['Outer']);
+  });
+});
+
+describe('createStorage', () => {
+  test('rejects unknown drivers', async () => {
+    await expect(createStorage('oracle')).rejects.toThrow('Unknown storage driver');
+  });
+});
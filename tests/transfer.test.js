@@ -0,0 +1,81 @@
+const { PassThrough } = require('stream');
+const { formatRow, parseCsv } = require('../lib/csv');
+const { exportNotes, readImport } = require('../lib/transfer');
+const { createStorage } = require('../lib/storage');
+
+describe('CSV', () => {
+  test('should quote only fields that need it', () => {
+    expect(formatRow(['a', 'b,c', 'say "hi"', 'two\nlines', null, 3])).toBe('a,"b,c","say ""hi""","two\nlines",,3\r\n');
+  });
+
+  test('should parse quoted fields, CRLF and a byte order mark', () => {
+    const text = '\ufefftitle,content\r\n"A, b","line 1\r\nline ""2"""\r\n\r\nplain,text';
+    expect(parseCsv(text)).toEqual([
+      ['title', 'content'],
+      ['A, b', 'line 1\r\nline "2"'],
+      ['plain', 'text']
+    ]);
+  });
+
+  test('should reject an unterminated quote', () => {
+    expect(() => parseCsv('a,"b')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('Markdown import', () => {
+  test('should fall back to the first heading, then the file name, for the title', async () => {
+    const yazl = require('yazl');
+    const zip = new yazl.ZipFile();
+    zip.addBuffer(Buffer.from('# From heading\n\nBody'), 'notes/heading.md');
+    zip.addBuffer(Buffer.from('No heading here'), 'notes/from-file-name.md');
+    zip.addBuffer(Buffer.from('---\ntitle: [unclosed\n---\nx'), 'broken.md');
+    zip.addBuffer(Buffer.from('ignored'), 'image.png');
+    zip.end();
+    const chunks = [];
+    for await (const chunk of zip.outputStream) {
+      chunks.push(chunk);
+    }
+
+    const entries = await readImport('markdown-zip', Buffer.concat(chunks));
+    expect(entries).toEqual([
+      { source: 'notes/heading.md', fields: { title: 'From heading', content: '# From heading\n\nBody', format: 'markdown' } },
+      { source: 'notes/from-file-name.md', fields: { title: 'from-file-name', content: 'No heading here', format: 'markdown' } },
+      { source: 'broken.md', error: expect.stringMatching(/^Invalid front-matter/) }
+    ]);
+  });
+});
+
+describe('Streaming export', () => {
+  async function exportJson(storage) {
+    const res = new PassThrough();
+    res.set = jest.fn();
+    res.attachment = jest.fn();
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    await exportNotes(storage, 1, 'json', res);
+    return { res, notes: JSON.parse(Buffer.concat(chunks).toString()).notes };
+  }
+
+  test('should page through every note', async () => {
+    const storage = await createStorage('memory');
+    for (let i = 0; i < 450; i++) {
+      await storage.notes.create(1, { title: `Note ${i}`, content: 'x' });
+    }
+
+    const { res, notes } = await exportJson(storage);
+    expect(notes).toHaveLength(450);
+    expect(new Set(notes.map(note => note.id)).size).toBe(450);
+    expect(res.set).toHaveBeenCalledWith('Content-Type', 'application/json; charset=utf-8');
+  });
+
+  test('should export pinned notes once, across pages', async () => {
+    const storage = await createStorage('memory');
+    for (let i = 0; i < 250; i++) {
+      await storage.notes.create(1, { title: `Note ${i}`, content: 'x', pinned: i % 50 === 0 });
+    }
+
+    const { notes } = await exportJson(storage);
+    expect(notes).toHaveLength(250);
+    expect(new Set(notes.map(note => note.id)).size).toBe(250);
+  });
+});
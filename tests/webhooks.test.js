@@ -0,0 +1,123 @@
+const http = require('http');
+const { createStorage } = require('../lib/storage');
+const { parseWebhook, checkHost, queueDeliveries, deliverDue, pruneDeliveries } = require('../lib/webhooks');
+
+describe('Webhook validation', () => {
+  test('should default a new webhook to every event, active', () => {
+    expect(parseWebhook({ url: 'https://example.com/hook' })).toEqual({
+      url: 'https://example.com/hook',
+      events: ['note.created', 'note.updated', 'note.deleted', 'note.restored', 'notes.imported'],
+      active: true
+    });
+  });
+
+  test('should keep current values for fields an update leaves out', () => {
+    const current = { url: 'https://example.com/hook', events: ['note.created'], active: true };
+    expect(parseWebhook({ active: false }, current)).toEqual({ ...current, active: false });
+    expect(parseWebhook({ events: ['note.deleted', 'note.deleted'] }, current).events).toEqual(['note.deleted']);
+  });
+
+  test('should reject bad urls, events and flags', () => {
+    expect(() => parseWebhook({ url: 'javascript:alert(1)' })).toThrow('url must be an absolute http or https URL');
+    expect(() => parseWebhook({ url: 'https://example.com', events: 'note.created' })).toThrow(/^events must be/);
+    expect(() => parseWebhook({ url: 'https://example.com', active: 'yes' })).toThrow('active must be a boolean');
+  });
+});
+
+describe('Webhook hosts', () => {
+  const strict = { allowPrivateHosts: false };
+
+  test('should refuse loopback, private and link-local addresses', async () => {
+    const urls = [
+      'http://127.0.0.1:3000/hook',
+      'http://localhost/hook',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.5/hook',
+      'http://192.168.1.10/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://0.0.0.0/hook',
+      'http://[::1]/hook',
+      'http://[fd12:3456::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook'
+    ];
+    for (const url of urls) {
+      await expect(checkHost(url, strict)).rejects.toThrow('url must not point at a loopback, private or link-local address');
+    }
+  });
+
+  test('should allow public addresses, and private ones when WEBHOOK_ALLOW_PRIVATE_HOSTS is on', async () => {
+    await expect(checkHost('https://93.184.215.14/hook', strict)).resolves.toBeUndefined();
+    await expect(checkHost('https://[2606:4700::1111]/hook', strict)).resolves.toBeUndefined();
+    await expect(checkHost('http://127.0.0.1/hook', { allowPrivateHosts: true })).resolves.toBeUndefined();
+  });
+});
+
+describe('Webhook delivery', () => {
+  let storage;
+  let webhook;
+
+  beforeEach(async () => {
+    storage = await createStorage('memory');
+    const user = await storage.users.create({ email: 'hooks@example.com', passwordHash: 'x' });
+    // A port nothing listens on
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    webhook = await storage.webhooks.create(user.id, {
+      url: `http://127.0.0.1:${port}/`,
+      events: ['note.created'],
+      secret: 'x'.repeat(32)
+    });
+    await queueDeliveries(storage, { id: 'abc-1', ownerId: user.id, type: 'note.created', data: { id: 1 } });
+    await queueDeliveries(storage, { id: 'abc-2', ownerId: user.id, type: 'note.deleted', data: { id: 1 } });
+  });
+
+  test('should back off exponentially and give up after the last attempt', async () => {
+    const gaps = [];
+    let now = new Date();
+    for (;;) {
+      const [result] = await deliverDue(storage, { now });
+      const [delivery] = await storage.webhooks.deliveries(webhook.id, { limit: 1 });
+      expect(delivery.error).toMatch(/ECONNREFUSED/);
+      if (result.status === 'failed') {
+        expect(delivery.next_attempt_at).toBeNull();
+        break;
+      }
+      gaps.push(delivery.next_attempt_at - delivery.last_attempt_at);
+      now = delivery.next_attempt_at;
+    }
+
+    expect(gaps).toHaveLength(7);
+    gaps.slice(1).forEach((gap, index) => expect(gap).toBe(gaps[index] * 2));
+    // Only the subscribed event was queued, and nothing is left to send
+    expect(await storage.webhooks.deliveries(webhook.id, { limit: 10 })).toHaveLength(1);
+    expect(await deliverDue(storage, { now: new Date(now.getTime() + 24 * 60 * 60 * 1000) })).toEqual([]);
+  });
+
+  test('should not send to a private address unless allowed', async () => {
+    const [result] = await deliverDue(storage, { allowPrivateHosts: false });
+    expect(result.status).toBe('pending');
+
+    const [delivery] = await storage.webhooks.deliveries(webhook.id, { limit: 1 });
+    expect(delivery).toMatchObject({ attempts: 1, response_status: null });
+    expect(delivery.error).toBe('url must not point at a loopback, private or link-local address');
+  });
+
+  test('should prune delivered and failed deliveries past retention', async () => {
+    const user = await storage.users.create({ email: 'pending@example.com', passwordHash: 'x' });
+    const other = await storage.webhooks.create(user.id, { url: webhook.url, events: ['note.created'], secret: 'x'.repeat(32) });
+    await queueDeliveries(storage, { id: 'abc-3', ownerId: user.id, type: 'note.created', data: { id: 2 } });
+    const [attempted] = await storage.webhooks.deliveries(webhook.id, { limit: 1 });
+    await storage.webhooks.recordAttempt(attempted.id, { status: 'failed', attempts: 1, at: new Date() });
+
+    expect(await pruneDeliveries(storage, { retentionDays: 30 })).toBe(0);
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    expect(await pruneDeliveries(storage, { retentionDays: 30, now: later })).toBe(1);
+    expect(await storage.webhooks.deliveries(webhook.id, { limit: 10 })).toEqual([]);
+    // Still pending, so kept
+    expect(await storage.webhooks.deliveries(other.id, { limit: 10 })).toHaveLength(1);
+  });
+});